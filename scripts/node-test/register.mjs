@@ -0,0 +1,5 @@
+// `node --test` entry hook: src/ imports siblings without a file extension
+// (`./clearTypes`), which Vite resolves but Node's ESM loader does not.
+import { register } from 'node:module';
+
+register('./resolve-extensionless.mjs', import.meta.url);
@@ -0,0 +1,10 @@
+// Retry a relative import that has no extension as `<specifier>.js`.
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (error?.code !== 'ERR_MODULE_NOT_FOUND' || !isRelative || /\.[cm]?jsx?$/.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
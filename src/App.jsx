@@ -1,5 +1,5 @@
-import { lazy, useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
+import { lazy, Suspense, useEffect } from 'react';
+import { createBrowserRouter, RouterProvider, Routes, Route, Navigate, useLocation, useParams } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { useAuthStore } from './store/authStore';
 import { authApi } from './api/auth';
@@ -7,6 +7,7 @@ import ProtectedRoute from './components/guards/ProtectedRoute';
 import ProtectedLayout from './components/layout/ProtectedLayout';
 import GlobalLoadingOverlay from './components/common/GlobalLoadingOverlay';
 import ErrorBoundary from './components/common/ErrorBoundary';
+import { FullPageSpinner } from './components/common/Spinner';
 import NavigationBridge from './components/routing/NavigationBridge';
 import NotFoundPage from './pages/errors/NotFoundPage';
 import Login from './pages/Login';
@@ -20,6 +21,8 @@ const Scores = lazy(() => import('./pages/Scores'));
 const TierTable = lazy(() => import('./pages/TierTable'));
 const CsvUpload = lazy(() => import('./pages/CsvUpload'));
 const AdminTierTable = lazy(() => import('./pages/AdminTierTable'));
+const ChartDetail = lazy(() => import('./pages/ChartDetail'));
+const PublicTierTable = lazy(() => import('./pages/PublicTierTable'));
 
 /**
  * 🎓 학습 포인트: 중첩 라우트 (Nested Routes) 패턴
@@ -48,11 +51,25 @@ const PlaceholderPage = ({ title }) => (
   </div>
 );
 
+/**
+ * 예전 /tier-table/:level 링크 → /tier-table?level=:level
+ * 레벨은 이제 쿼리 스트링에 있으므로 경로 파라미터를 쿼리로 옮겨 줍니다.
+ * 나머지 쿼리(?playStyle=DP 등)는 그대로 넘깁니다.
+ */
+const TierTableLevelRedirect = () => {
+  const { level } = useParams();
+  const location = useLocation();
+  const params = new URLSearchParams(location.search);
+  params.set('level', level);
+
+  return <Navigate to={{ pathname: '/tier-table', search: `?${params}` }} replace />;
+};
+
 /**
  * 라우트 정의 + 최상위 ErrorBoundary
  *
  * 🎓 왜 App에서 분리했나요?
- * useLocation()은 <Router> 안에서만 호출할 수 있는데, App 자신이 <Router>를
+ * useLocation()은 라우터 안에서만 호출할 수 있는데, App 자신이 <RouterProvider>를
  * 렌더링하므로 App 레벨에서는 쓸 수 없습니다. 한 단계 안쪽 컴포넌트로 빼면
  * 현재 경로를 읽어 ErrorBoundary의 resetKey로 넘길 수 있습니다.
  */
@@ -75,6 +92,15 @@ function AppRoutes() {
         <Route path="/find-account" element={<FindAccount />} />
         <Route path="/reset-password" element={<ResetPasswordConfirm />} />
         <Route path="/ddr" element={<Ddr />} />
+        {/* ProtectedLayout 밖이라 Suspense를 직접 둡니다 */}
+        <Route
+          path="/u/:username/tier-table/:level/:playStyle"
+          element={
+            <Suspense fallback={<FullPageSpinner />}>
+              <PublicTierTable />
+            </Suspense>
+          }
+        />
 
         {/* ───────────────────────────────────────────────
          * 보호된 라우트 (로그인 필요)
@@ -94,8 +120,9 @@ function AppRoutes() {
           <Route path="/" element={<Dashboard />} />
           <Route path="/dashboard" element={<Navigate to="/" replace />} />
           <Route path="/scores" element={<Scores />} />
+          <Route path="/charts/:chartId" element={<ChartDetail />} />
           <Route path="/tier-table" element={<TierTable />} />
-          <Route path="/tier-table/:level" element={<Navigate to="/tier-table" replace />} />
+          <Route path="/tier-table/:level" element={<TierTableLevelRedirect />} />
           <Route path="/import" element={<Navigate to="/import/csv" replace />} />
           <Route path="/import/csv" element={<CsvUpload />} />
           <Route path="/profile/*" element={<PlaceholderPage title="프로필" />} />
@@ -116,31 +143,22 @@ function AppRoutes() {
   );
 }
 
-function App() {
-  /**
-   * 앱 마운트 시 세션 복원
-   * → 새로고침 후에도 로그인 상태를 유지합니다
-   */
-  useEffect(() => {
-    const restoreSession = async () => {
-      try {
-        const user = await authApi.getCurrentUser();
-        useAuthStore.getState().setUser(user);
-      } catch {
-        // 비로그인 상태 → user: null 유지
-      } finally {
-        useAuthStore.getState().setLoading(false);
-      }
-    };
-    restoreSession();
-  }, []);
-
+/**
+ * 라우터 안쪽의 앱 뼈대
+ *
+ * 🎓 왜 createBrowserRouter인가요?
+ * <BrowserRouter>로는 useBlocker(저장하지 않은 변경이 있을 때 페이지 이동 막기)를
+ * 쓸 수 없습니다. 데이터 라우터가 필요하기 때문입니다.
+ * 라우트 정의는 그대로 <Routes>(AppRoutes)에 두고, 데이터 라우터에는
+ * 모든 경로('*')를 이 컴포넌트로 보내는 라우트 하나만 등록합니다.
+ */
+function RootLayout() {
   return (
-    <Router>
+    <>
       {/**
        * NavigationBridge — axios 인터셉터처럼 React 밖에서 실행되는 코드가
        * SPA 이동을 할 수 있도록 navigate 함수를 등록합니다 (401 → /login).
-       * 반드시 <Router> 안에 있어야 합니다.
+       * 반드시 라우터 안에 있어야 합니다.
        */}
       <NavigationBridge />
 
@@ -155,8 +173,32 @@ function App() {
       />
 
       <AppRoutes />
-    </Router>
+    </>
   );
 }
 
+const router = createBrowserRouter([{ path: '*', element: <RootLayout /> }]);
+
+function App() {
+  /**
+   * 앱 마운트 시 세션 복원
+   * → 새로고침 후에도 로그인 상태를 유지합니다
+   */
+  useEffect(() => {
+    const restoreSession = async () => {
+      try {
+        const user = await authApi.getCurrentUser();
+        useAuthStore.getState().setUser(user);
+      } catch {
+        // 비로그인 상태 → user: null 유지
+      } finally {
+        useAuthStore.getState().setLoading(false);
+      }
+    };
+    restoreSession();
+  }, []);
+
+  return <RouterProvider router={router} />;
+}
+
 export default App;
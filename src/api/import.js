@@ -61,4 +61,22 @@ export const importApi = {
     });
     return response.data;
   },
+
+  /**
+   * 업로드할 때마다 남는 램프 집계 스냅샷 (대시보드 진행 그래프용)
+   *
+   * 아직 이 API가 없는 백엔드도 있습니다. 404는 "스냅샷 없음"으로 보고
+   * 호출하는 쪽이 bestPlayedAt 기반 추정으로 대신합니다.
+   *
+   * @returns {Promise<Array<{ importedAt: string, clearTypes: object, rateByLevel?: object }> | null>}
+   */
+  getImportSnapshots: async () => {
+    try {
+      const response = await apiClient.get('/import/iidx/snapshots');
+      return Array.isArray(response.data) ? response.data : response.data?.content ?? [];
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  },
 };
@@ -1,4 +1,6 @@
 import apiClient from './client';
+import { createPromiseCache, fetchAllPages } from '../utils/scorePages';
+import { normalizeScoreHistory } from '../utils/scoreHistory';
 
 /**
  * 스코어 관련 API 함수 모음
@@ -13,14 +15,101 @@ import apiClient from './client';
  *   → cleanParams: { level: 12 }
  *   → GET /api/scores?level=12  (전체 플레이스타일, 전체 클리어타입)
  */
+const toCleanParams = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, v]) => v !== '' && v !== null && v !== undefined)
+);
+
+// getAllScores 페이지 크기. 백엔드가 더 작게 자르더라도 totalPages를 따라가므로 안전합니다.
+const ALL_SCORES_PAGE_SIZE = 500;
+const ALL_SCORES_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// 키: [username, 필터]. 페이지 순회와 캐시 동작은 utils/scorePages에 있습니다.
+const allScoresCache = createPromiseCache(ALL_SCORES_CACHE_TTL_MS);
+
 export const scoresApi = {
   getScores: async (params = {}) => {
-    const cleanParams = Object.fromEntries(
-      Object.entries(params).filter(([, v]) => v !== '' && v !== null && v !== undefined)
-    );
-    const response = await apiClient.get('/scores', { params: cleanParams });
+    const response = await apiClient.get('/scores', { params: toCleanParams(params) });
+    return response.data;
+  },
+
+  /**
+   * 대시보드 통계: 클리어 타입별 · DJ 레벨별 개수 (전체 + 레벨/플레이스타일별)
+   *
+   * 🎓 예전에는 getScores({ clearType, size: 1 })를 여러 번 보내
+   * totalElements만 읽었습니다. 램프 종류마다 요청이 하나씩 필요했고,
+   * ASSIST/EASY/FAILED는 아예 세지 못했습니다. 이 API 한 번이면 전부 옵니다.
+   * 응답 정규화는 utils/scoreSummary.normalizeScoreSummary가 맡습니다.
+   *
+   * @param {{ playStyle?: 'SP' | 'DP' }} [params]
+   */
+  getSummary: async (params = {}) => {
+    const response = await apiClient.get('/scores/summary', { params: toCleanParams(params) });
+    return response.data;
+  },
+
+  /**
+   * 다른 사용자(라이벌)의 스코어 조회
+   *
+   * 응답 형식은 getScores와 같은 Spring Page입니다.
+   * 존재하지 않는 사용자는 404로 옵니다 — 호출하는 쪽에서 toAppError로 처리합니다.
+   *
+   * @param {string} username
+   * @param {object} [params] - getScores와 같은 필터 (level, playStyle, size ...)
+   */
+  getUserScores: async (username, params = {}) => {
+    const response = await apiClient.get(`/users/${encodeURIComponent(username)}/scores`, {
+      params: toCleanParams(params),
+    });
     return response.data;
   },
+
+  /**
+   * 조건에 맞는 스코어 전부 (모든 페이지)
+   *
+   * 🎓 예전에는 size: 1000 한 번으로 "다 왔겠지" 하고 넘어갔습니다.
+   * 한 레벨에 1000차트가 넘거나 백엔드가 페이지 크기를 줄이면 램프가
+   * 조용히 빠졌습니다. 이제 totalPages까지 차례로 받고, id 순으로 정렬해서
+   * 페이지를 넘기는 사이에 순서가 흔들리지 않게 합니다.
+   *
+   * 결과는 [username, 필터] 조합마다 5분간 캐시합니다. 스코어가 바뀌는
+   * 작업(CSV 업로드, 관리자 DB 초기화) 뒤와 사용자가 바뀔 때(authStore)는
+   * clearAllScoresCache()를 불러야 합니다.
+   *
+   * @param {object} [filters] - getScores와 같은 필터 (level, playStyle, clearType ...)
+   * @param {{ username?: string | null, force?: boolean }} [options] -
+   *   username이 있으면 그 사용자(라이벌)의 스코어, force는 캐시를 건너뜁니다
+   * @returns {Promise<Array>} 스코어 배열 (Page가 아니라 content만)
+   */
+  getAllScores: async (filters = {}, { username = null, force = false } = {}) => {
+    const params = toCleanParams({ ...filters, size: ALL_SCORES_PAGE_SIZE, sort: 'id,asc' });
+    const cacheKey = JSON.stringify([username, Object.entries(params).sort(([a], [b]) => a.localeCompare(b))]);
+
+    return allScoresCache.get(cacheKey, () => fetchAllPages((page) => (
+      username
+        ? scoresApi.getUserScores(username, { ...params, page })
+        : scoresApi.getScores({ ...params, page })
+    )), { force });
+  },
+
+  clearAllScoresCache: () => {
+    allScoresCache.clear();
+  },
+
+  /**
+   * 차트 하나의 기록 이력 (CSV 업로드마다 한 건)
+   *
+   * 🎓 getScores는 차트별 "최고 기록"만 돌려줍니다.
+   * 예전 업로드의 기록을 보려면 이 API로 이력 전체를 받아야 합니다.
+   * 응답이 배열이든 Spring Page({ content })든 배열로 맞추고,
+   * 오래된 기록 → 최신 기록 순으로 정렬해서 돌려줍니다.
+   *
+   * @param {number | string} chartId - score.chart.id
+   * @returns {Promise<Array<{ id, score, missCount, clearType, djLevel, playedAt }>>}
+   */
+  getScoreHistory: async (chartId) => {
+    const response = await apiClient.get(`/scores/charts/${chartId}/history`);
+    return normalizeScoreHistory(response.data);
+  },
 };
 
 export const userApi = {
@@ -16,6 +16,8 @@ const EXEMPT_PREFIXES = [
   '/auth/signup',
   '/auth/find-username',
   '/auth/password-reset',
+  // Shared tier tables are opened by logged-out visitors (see api/sharing.js).
+  '/public/',
 ];
 
 // `/users/me` is called on app boot to restore the session (see
@@ -25,7 +27,7 @@ const EXEMPT_EXACT = ['/users/me'];
 
 // How long to suppress duplicate redirects after handling a 401. Long enough
 // to absorb a burst of concurrent requests failing together (e.g.
-// `useDashboard`'s 6-request `Promise.all`), short enough that a *later*
+// `useDashboard`'s parallel `Promise.all`), short enough that a *later*
 // session expiry (after the user logs back in) is handled too.
 const REDIRECT_SUPPRESS_MS = 3000;
 
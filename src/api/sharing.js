@@ -0,0 +1,58 @@
+import apiClient from './client';
+import { groupTierItems } from '../utils/tierData';
+
+/**
+ * 서열표 공유 관련 API 함수 모음
+ *
+ * 🎓 공개 API는 왜 /public/ 아래에 있나요?
+ * 공유 링크는 로그인하지 않은 사람도 엽니다. 이 경로의 401은 "세션 만료"가
+ * 아니므로 sessionExpiry.js의 EXEMPT_PREFIXES에 '/public/'을 등록해
+ * 로그인 페이지로 튕겨 나가지 않게 했습니다.
+ */
+export const sharingApi = {
+  /**
+   * 내 공유 설정 조회
+   *
+   * @returns {Promise<{ tierTablePublic: boolean }>}
+   */
+  getSharingSettings: async () => {
+    const response = await apiClient.get('/users/me/sharing');
+    return { tierTablePublic: Boolean(response.data?.tierTablePublic) };
+  },
+
+  /**
+   * 내 서열표 공개 여부 변경
+   *
+   * @param {{ tierTablePublic: boolean }} settings
+   */
+  updateSharingSettings: async ({ tierTablePublic }) => {
+    const response = await apiClient.put('/users/me/sharing', { tierTablePublic });
+    return { tierTablePublic: Boolean(response.data?.tierTablePublic ?? tierTablePublic) };
+  },
+
+  /**
+   * 공개된 서열표 조회 (로그인 불필요)
+   *
+   * 서열표와 그 사용자의 스코어가 한 번에 옵니다. 공개하지 않은 사용자와
+   * 존재하지 않는 사용자는 둘 다 404로 옵니다 — 어느 쪽인지 알려주지 않는 것이
+   * 의도입니다.
+   *
+   * @param {string} username
+   * @param {number | string} level
+   * @param {'SP' | 'DP'} playStyle
+   * @returns {Promise<{ username: string, tierData: object, scores: Array }>}
+   *   tierData는 tierApi.getTierData와 같은 tier → songs 그룹 형식입니다.
+   */
+  getPublicTierTable: async (username, level, playStyle) => {
+    const response = await apiClient.get(
+      `/public/users/${encodeURIComponent(username)}/tier-table/${level}/${playStyle}`
+    );
+    const { tierData, scores } = response.data ?? {};
+
+    return {
+      username: response.data?.username ?? username,
+      tierData: Array.isArray(tierData) ? groupTierItems(tierData) : tierData ?? {},
+      scores: Array.isArray(scores) ? scores : scores?.content ?? [],
+    };
+  },
+};
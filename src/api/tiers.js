@@ -42,6 +42,20 @@ const unwrapArrayPayload = (data) => {
  * [{ title, difficulty, category, tier, sortOrder }]
  */
 export const tierApi = {
+  /**
+   * Fetch tier-table metadata: available levels per play style, tier bands
+   * and categories. Returned raw; see utils/tierMeta.normalizeTierMeta.
+   */
+  getTierTableMeta: async () => {
+    try {
+      const response = await apiClient.get('/tiers/meta');
+      return parseJsonIfNeeded(response.data);
+    } catch (error) {
+      console.error('Failed to fetch tier table metadata', error);
+      throw error;
+    }
+  },
+
   /**
    * Fetch tier table data for a specific level and play style
    * @param {number} level - Level to fetch (e.g. 10, 11, 12)
@@ -162,13 +176,15 @@ export const tierApi = {
 
   /**
    * Fetch history of edits (Admin Only)
+   * @returns {Promise<Array>} Raw history records; each record's tier data may
+   *   still be a JSON string. See store/adminTierLoader.normalizeTierHistory.
    */
   getAdminTierHistory: async (level, playStyle) => {
     try {
       const response = await apiClient.get('/admin/tier-table/history', {
         params: { level, playStyle }
       });
-      return response.data;
+      return unwrapArrayPayload(response.data);
     } catch (error) {
       console.error(`Failed to fetch history for Lv.${level} ${playStyle}`, error);
       throw error;
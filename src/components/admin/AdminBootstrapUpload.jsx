@@ -2,6 +2,7 @@ import React, { useRef } from 'react';
 import toast from 'react-hot-toast';
 import { FiDatabase } from 'react-icons/fi';
 import { importApi } from '../../api/import';
+import { scoresApi } from '../../api/scores';
 import { useLoading } from '../../hooks/useLoading';
 import { toAppError } from '../../utils/httpError';
 
@@ -23,6 +24,8 @@ const AdminBootstrapUpload = ({ playStyle }) => {
         () => importApi.bootstrapAdminCsv(file, playStyle),
         `${playStyle} 데이터를 DB에 적재하는 중...`
       );
+      // The bootstrap rewrites songs and charts, so cached score lists are stale.
+      scoresApi.clearAllScoresCache();
       toast.success(`DB 초기화 성공! (곡: ${data.songsImported}, 패턴: ${data.chartsImported})`);
     } catch (err) {
       toast.error(toAppError(err, { fallback: 'DB 초기화 업로드에 실패했습니다.' }).message);
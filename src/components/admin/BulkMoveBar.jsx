@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { UNASSIGNED_SECTION } from '../../utils/tierCommand';
+
+/**
+ * BulkMoveBar
+ * Pinned to the bottom of the editor while songs are selected; moves the
+ * whole selection to one section as a single edit.
+ *
+ * @param {string[]} sectionOrder - `category|tier` keys in render order
+ */
+const BulkMoveBar = ({ selectedCount, sectionOrder, onMove, onClear }) => {
+  const [target, setTarget] = useState(sectionOrder[0] ?? UNASSIGNED_SECTION);
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 bg-slate-900 border border-primary-700 rounded-xl shadow-2xl px-4 py-3 text-sm">
+      <span className="text-white font-semibold">{selectedCount} selected</span>
+      <select
+        value={target}
+        onChange={(event) => setTarget(event.target.value)}
+        className="bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-gray-200"
+      >
+        {sectionOrder.map((section) => (
+          <option key={section} value={section}>{section.replace('|', ' ')}</option>
+        ))}
+        <option value={UNASSIGNED_SECTION}>Unassigned</option>
+      </select>
+      <button
+        onClick={() => onMove(target)}
+        className="px-3 py-1 rounded-md bg-primary-600 hover:bg-primary-500 text-white font-medium"
+      >
+        Move
+      </button>
+      <button onClick={onClear} className="px-2 py-1 rounded-md text-gray-400 hover:text-white">
+        Clear
+      </button>
+    </div>
+  );
+};
+
+export default BulkMoveBar;
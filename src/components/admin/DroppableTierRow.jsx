@@ -8,7 +8,7 @@ import SortableSongTile from './SortableSongTile';
  * Represents a single Tier (e.g., 'S+') or the 'Unassigned' pool.
  * It is a droppable container that also provides a SortableContext for the items within it.
  */
-const DroppableTierRow = ({ id, title, items, isPool = false }) => {
+const DroppableTierRow = ({ id, title, items, isPool = false, selectedIds = [], onSelectSong, headerExtra = null }) => {
   const { setNodeRef, isOver } = useDroppable({
     id: id,
   });
@@ -28,6 +28,7 @@ const DroppableTierRow = ({ id, title, items, isPool = false }) => {
         <span className="ml-3 text-sm text-gray-500 font-mono">
           {items.length} {items.length === 1 ? 'song' : 'songs'}
         </span>
+        {headerExtra}
       </div>
       
       {/*
@@ -45,7 +46,17 @@ const DroppableTierRow = ({ id, title, items, isPool = false }) => {
           strategy={rectSortingStrategy}
         >
           {items.map((song) => (
-            <SortableSongTile key={song.id} id={song.id} title={song.title} />
+            <SortableSongTile
+              key={song.id}
+              id={song.id}
+              title={song.title}
+              difficulty={song.difficulty}
+              isSelected={selectedIds.includes(song.id)}
+              onSelect={(songId, options) => onSelectSong?.(songId, {
+                ...options,
+                orderedIds: items.map((item) => item.id)
+              })}
+            />
           ))}
         </SortableContext>
         
@@ -0,0 +1,76 @@
+import React, { useEffect } from 'react';
+import { FiAlertTriangle } from 'react-icons/fi';
+import Button from '../common/Button';
+import { countTierDiff } from '../../utils/tierDiff';
+import TierDiffList from './TierDiffList';
+
+/**
+ * SaveReviewDialog
+ * Last look at what a save will publish, compared against the live table.
+ * Sections that would be left empty are called out above the list, since
+ * that is how an accidental mass drag into the pool usually shows up.
+ *
+ * @param {{ diff: object, emptiedSections: string[] }} review - adminTierStore.saveReview
+ * @param {string[]} sectionOrder - `category|tier` keys in render order
+ */
+const SaveReviewDialog = ({ review, sectionOrder, isSaving, onConfirm, onCancel }) => {
+  const { diff, emptiedSections } = review;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isSaving) onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isSaving, onCancel]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="save-review-title"
+    >
+      <div className="w-full max-w-2xl max-h-[85vh] flex flex-col bg-slate-900 border border-gray-700 rounded-xl shadow-2xl">
+        <div className="px-6 py-4 border-b border-gray-700">
+          <h2 id="save-review-title" className="text-lg font-bold text-white">Review changes before going live</h2>
+          <p className="text-sm text-gray-400 mt-1">
+            <span className="text-green-400">{diff.added.length} added</span>
+            {' · '}
+            <span className="text-yellow-400">{diff.moved.length} moved</span>
+            {' · '}
+            <span className="text-red-400">{diff.removed.length} removed</span>
+          </p>
+        </div>
+
+        <div className="px-6 py-4 overflow-y-auto space-y-4">
+          {emptiedSections.length > 0 && (
+            <div className="flex gap-2 bg-red-900/30 border border-red-700 text-red-200 text-sm rounded-lg px-3 py-2">
+              <FiAlertTriangle className="shrink-0 mt-0.5" />
+              <p>
+                These sections will be left empty: {emptiedSections.map((section) => section.replace('|', ' ')).join(', ')}
+              </p>
+            </div>
+          )}
+
+          {countTierDiff(diff) === 0 ? (
+            <p className="text-sm text-gray-500">No songs changed section. Saving will only rewrite the same table.</p>
+          ) : (
+            <TierDiffList diff={diff} sectionOrder={sectionOrder} />
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-700 flex justify-end gap-2">
+          <Button variant="ghost" onClick={onCancel} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button variant={emptiedSections.length > 0 ? 'danger' : 'primary'} onClick={onConfirm} isLoading={isSaving}>
+            Publish
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaveReviewDialog;
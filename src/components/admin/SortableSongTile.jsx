@@ -1,13 +1,14 @@
 import React from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
+import { abbreviateDifficulty } from '../../utils/tierData';
 
 /**
  * SongTileChip
  * Presentational song tile. Also rendered standalone inside DragOverlay,
  * where attaching useSortable again would duplicate the sortable id.
  */
-export const SongTileChip = React.forwardRef(({ title, isDragging = false, style, ...rest }, ref) => (
+export const SongTileChip = React.forwardRef(({ title, difficulty, isDragging = false, isSelected = false, style, ...rest }, ref) => (
   <div
     ref={ref}
     style={style}
@@ -17,11 +18,17 @@ export const SongTileChip = React.forwardRef(({ title, isDragging = false, style
       cursor-grab active:cursor-grabbing select-none transition-colors
       ${isDragging
         ? 'bg-primary-600/50 border-primary-400 text-white z-50 opacity-80 scale-105'
-        : 'bg-gray-800 border-gray-600 text-gray-200 hover:bg-gray-700 hover:border-gray-500'
+        : isSelected
+          ? 'bg-primary-900/60 border-primary-400 text-white ring-1 ring-primary-400'
+          : 'bg-gray-800 border-gray-600 text-gray-200 hover:bg-gray-700 hover:border-gray-500'
       }
     `}
   >
     <span className="truncate max-w-[150px]" title={title}>{title}</span>
+    {/* A chart without a difficulty is saved as the default one; flag it so it gets fixed instead. */}
+    {difficulty
+      ? <span className="ml-1 opacity-60 font-mono text-[10px]">[{abbreviateDifficulty(difficulty)}]</span>
+      : <span className="ml-1 font-mono text-[10px] text-yellow-400" title="No difficulty">[?]</span>}
   </div>
 ));
 
@@ -30,9 +37,11 @@ SongTileChip.displayName = 'SongTileChip';
 /**
  * SortableSongTile
  * A draggable and sortable component representing a single IIDX song in the admin editor.
- * Uses @dnd-kit/sortable hooks.
+ * Uses @dnd-kit/sortable hooks. A click (the pointer sensor only starts a
+ * drag after 5px of movement) selects the tile for bulk moves; ctrl/cmd and
+ * shift extend the selection.
  */
-const SortableSongTile = ({ id, title }) => {
+const SortableSongTile = ({ id, title, difficulty, isSelected = false, onSelect }) => {
   const {
     attributes,
     listeners,
@@ -52,7 +61,13 @@ const SortableSongTile = ({ id, title }) => {
       ref={setNodeRef}
       style={style}
       title={title}
+      difficulty={difficulty}
       isDragging={isDragging}
+      isSelected={isSelected}
+      onClick={(event) => onSelect?.(id, {
+        toggle: event.ctrlKey || event.metaKey,
+        range: event.shiftKey
+      })}
       {...attributes}
       {...listeners}
     />
@@ -0,0 +1,139 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import useAdminTierStore from '../../store/adminTierStore';
+import { UNASSIGNED_SECTION, parseTierCommand, searchSongsByTitle } from '../../utils/tierCommand';
+
+const MAX_MATCHES = 8;
+
+const formatTarget = (target) => (target === UNASSIGNED_SECTION ? 'Unassigned' : target.replace('|', ' '));
+
+/**
+ * TierCommandPalette
+ * Keyboard assignment: type part of a title, then a tier (`冥 S+`,
+ * `almagest 個人差 A`, `冥 -` for the pool) and press Enter. A tier on its
+ * own moves the current selection. Enter without a tier adds the
+ * highlighted song to the selection instead. Stays open for the next line.
+ */
+const TierCommandPalette = ({ onClose }) => {
+  const {
+    editorTierData,
+    unassignedSongs,
+    tiers,
+    categories,
+    selectedIds,
+    selectSong,
+    moveSongs
+  } = useAdminTierStore();
+  const [input, setInput] = useState('');
+  const [highlight, setHighlight] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const { query, target } = parseTierCommand(input, { tiers, categories });
+
+  // Every song with the section it currently sits in, for the match list.
+  const songs = useMemo(() => [
+    ...Object.entries(editorTierData).flatMap(([section, items]) => items.map((item) => ({ ...item, section }))),
+    ...unassignedSongs.map((item) => ({ ...item, section: UNASSIGNED_SECTION }))
+  ], [editorTierData, unassignedSongs]);
+
+  const matches = useMemo(() => searchSongsByTitle(songs, query).slice(0, MAX_MATCHES), [songs, query]);
+  const highlighted = matches[Math.min(highlight, matches.length - 1)];
+
+  const run = () => {
+    if (target && !query && selectedIds.length > 0) {
+      const moved = moveSongs(selectedIds, target);
+      toast.success(`Moved ${moved} songs to ${formatTarget(target)}`);
+      setInput('');
+      return;
+    }
+
+    if (!highlighted) return;
+
+    if (!target) {
+      selectSong(highlighted.id, { toggle: true });
+      setInput('');
+      return;
+    }
+
+    if (moveSongs([highlighted.id], target) > 0) {
+      toast.success(`${highlighted.title} → ${formatTarget(target)}`);
+    }
+    setInput('');
+    setHighlight(0);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setHighlight((index) => Math.min(index + 1, matches.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setHighlight((index) => Math.max(index - 1, 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      run();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/60 pt-24 px-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg bg-slate-900 border border-gray-700 rounded-xl shadow-2xl overflow-hidden"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Assign songs"
+      >
+        <input
+          ref={inputRef}
+          value={input}
+          onChange={(event) => {
+            setInput(event.target.value);
+            setHighlight(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Title, then tier — e.g. 冥 S+"
+          className="w-full px-4 py-3 bg-transparent text-white placeholder-gray-500 border-b border-gray-700 focus:outline-none"
+        />
+
+        <div className="px-4 py-2 text-xs text-gray-500 flex justify-between">
+          <span>
+            {target
+              ? <>Enter → <span className="text-primary-400">{formatTarget(target)}</span></>
+              : 'Enter adds to selection'}
+          </span>
+          {selectedIds.length > 0 && <span>{selectedIds.length} selected</span>}
+        </div>
+
+        {matches.length > 0 && (
+          <ul className="max-h-72 overflow-y-auto pb-2">
+            {matches.map((song) => (
+              <li
+                key={song.id}
+                onMouseEnter={() => setHighlight(matches.indexOf(song))}
+                className={`px-4 py-1.5 flex items-center justify-between text-sm ${
+                  song === highlighted ? 'bg-gray-800 text-white' : 'text-gray-300'
+                }`}
+              >
+                <span className="truncate">
+                  {selectedIds.includes(song.id) && <span className="text-primary-400 mr-1">●</span>}
+                  {song.title}
+                  {song.difficulty && <span className="ml-2 text-xs text-gray-500">{song.difficulty}</span>}
+                </span>
+                <span className="text-xs text-gray-500 shrink-0 ml-3">{formatTarget(song.section)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TierCommandPalette;
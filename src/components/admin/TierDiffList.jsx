@@ -0,0 +1,46 @@
+import React, { useMemo } from 'react';
+import { groupTierDiffByDestination } from '../../utils/tierDiff';
+
+const formatSection = (section) => (section ? section.replace('|', ' ') : 'Unassigned');
+
+const CHANGE_STYLES = {
+  added: 'text-green-400',
+  moved: 'text-yellow-400',
+  removed: 'text-red-400'
+};
+
+/**
+ * Section-level diff between two tier table versions, grouped by where each
+ * song ends up.
+ *
+ * @param {ReturnType<typeof import('../../utils/tierDiff').diffTierEntries>} diff
+ * @param {string[]} sectionOrder - `category|tier` keys in render order
+ */
+const TierDiffList = ({ diff, sectionOrder }) => {
+  const groups = useMemo(() => groupTierDiffByDestination(diff, sectionOrder), [diff, sectionOrder]);
+
+  if (groups.length === 0) {
+    return <p className="text-sm text-gray-500">No songs changed section.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {groups.map(({ section, changes }) => (
+        <div key={section ?? 'unassigned'}>
+          <h4 className="text-xs font-bold text-gray-300 mb-1">→ {formatSection(section)}</h4>
+          <ul className="space-y-0.5 pl-3 border-l-2 border-gray-700 text-sm">
+            {changes.map((change) => (
+              <li key={change.key} className="flex flex-wrap items-baseline gap-x-2">
+                <span className={CHANGE_STYLES[change.type]}>{change.title}</span>
+                {change.difficulty && <span className="text-xs text-gray-500">{change.difficulty}</span>}
+                {change.from && <span className="text-xs text-gray-500">from {formatSection(change.from)}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TierDiffList;
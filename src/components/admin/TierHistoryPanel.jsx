@@ -0,0 +1,116 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import { FiChevronDown, FiChevronRight, FiRotateCcw } from 'react-icons/fi';
+import useAdminTierStore from '../../store/adminTierStore';
+import { DEFAULT_DIFFICULTY } from '../../store/adminTierLoader';
+import { countTierDiff, diffTierEntries } from '../../utils/tierDiff';
+import ErrorView from '../common/ErrorView';
+import TierDiffList from './TierDiffList';
+
+const formatSavedAt = (savedAt) => {
+  const date = savedAt ? new Date(savedAt) : null;
+  return date && !Number.isNaN(date.getTime()) ? format(date, 'yyyy-MM-dd HH:mm') : 'Unknown time';
+};
+
+const HistoryEntry = ({ version, previous, sectionOrder, isLoaded, onLoad }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // History is newest first, so the version this one replaced is the next
+  // entry. The oldest version has nothing to compare against.
+  const diff = useMemo(() => (
+    previous
+      ? diffTierEntries(previous.entries, version.entries, { defaultDifficulty: DEFAULT_DIFFICULTY })
+      : null
+  ), [previous, version]);
+
+  return (
+    <li className={`rounded-lg border ${isLoaded ? 'border-primary-500 bg-primary-900/20' : 'border-gray-700 bg-gray-900'}`}>
+      <div className="flex items-center justify-between gap-3 px-3 py-2">
+        <button
+          onClick={() => setIsOpen((open) => !open)}
+          disabled={!diff}
+          className="flex items-center gap-2 text-left text-sm min-w-0 disabled:cursor-default"
+        >
+          {diff ? (isOpen ? <FiChevronDown /> : <FiChevronRight />) : <span className="w-4" />}
+          <span className="font-mono text-gray-300">{formatSavedAt(version.savedAt)}</span>
+          <span className="text-gray-400 truncate">{version.author ?? 'unknown'}</span>
+          {diff && <span className="text-xs text-gray-500">{countTierDiff(diff)} changes</span>}
+        </button>
+        <button
+          onClick={() => onLoad(version)}
+          className="shrink-0 px-2 py-1 text-xs rounded-md bg-gray-800 hover:bg-gray-700 text-gray-300 border border-gray-700 flex items-center gap-1"
+        >
+          <FiRotateCcw /> Load into editor
+        </button>
+      </div>
+      {isOpen && diff && (
+        <div className="px-3 pb-3">
+          <TierDiffList diff={diff} sectionOrder={sectionOrder} />
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * TierHistoryPanel
+ * Past saves of the current level/play style. Loading a version only fills
+ * the editor; it goes live when the admin applies it like any other edit.
+ *
+ * @param {string[]} sectionOrder - `category|tier` keys in render order
+ */
+const TierHistoryPanel = ({ sectionOrder }) => {
+  const {
+    selectedLevel,
+    selectedPlayStyle,
+    history,
+    isHistoryLoading,
+    historyError,
+    loadedVersion,
+    hasChanges,
+    fetchHistory,
+    loadVersion
+  } = useAdminTierStore();
+
+  useEffect(() => {
+    fetchHistory();
+  }, [selectedLevel, selectedPlayStyle, fetchHistory]);
+
+  const handleLoad = (version) => {
+    if (hasChanges && !window.confirm('Unsaved changes in the editor will be replaced. Continue?')) return;
+    loadVersion(version);
+  };
+
+  return (
+    <div className="bg-gray-850 p-4 rounded-xl border border-gray-700 shadow-lg space-y-3">
+      <h2 className="text-lg font-bold text-white">History</h2>
+
+      {isHistoryLoading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : historyError ? (
+        <ErrorView
+          status={historyError.status}
+          message={historyError.message}
+          onRetry={historyError.retryable ? fetchHistory : undefined}
+        />
+      ) : history.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved versions yet.</p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {history.map((version, index) => (
+            <HistoryEntry
+              key={version.id}
+              version={version}
+              previous={history[index + 1]}
+              sectionOrder={sectionOrder}
+              isLoaded={loadedVersion?.id === version.id}
+              onLoad={handleLoad}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TierHistoryPanel;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import useAdminTierStore from '../../store/adminTierStore';
+import Button from '../common/Button';
+
+const MAX_LISTED = 30;
+
+const formatEntry = (entry) => `${entry.title} (${entry.difficulty})${entry.tier ? ` — ${entry.category ?? '?'} ${entry.tier}` : ''}`;
+
+const ReportSection = ({ title, tone, entries, note }) => {
+  if (entries.length === 0) return null;
+
+  return (
+    <div>
+      <h3 className={`text-sm font-semibold ${tone}`}>{title} ({entries.length})</h3>
+      {note && <p className="text-xs text-gray-500 mb-1">{note}</p>}
+      <ul className="text-sm text-gray-300 pl-3 border-l-2 border-gray-700 space-y-0.5">
+        {entries.slice(0, MAX_LISTED).map((entry, index) => (
+          <li key={`${entry.title}-${entry.difficulty}-${index}`}>{formatEntry(entry)}</li>
+        ))}
+        {entries.length > MAX_LISTED && <li className="text-gray-500">…and {entries.length - MAX_LISTED} more</li>}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * TierImportDialog
+ * Validation report for an imported tier sheet. Loading only fills the
+ * editor (one undo step); nothing goes live until the admin applies it.
+ *
+ * @param {ReturnType<typeof import('../../utils/tierTransfer').validateTierImport> & { fileName: string }} report
+ */
+const TierImportDialog = ({ report, onClose }) => {
+  const { hasChanges, applyEntries } = useAdminTierStore();
+  const [includeUnknown, setIncludeUnknown] = useState(false);
+
+  const entriesToLoad = includeUnknown ? report.entries : report.knownEntries;
+
+  const handleLoad = () => {
+    if (hasChanges && !window.confirm('Unsaved changes in the editor will be replaced. Continue?')) return;
+    applyEntries(entriesToLoad);
+    toast.success(`Imported ${entriesToLoad.length} songs from ${report.fileName}`);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" role="dialog" aria-modal="true">
+      <div className="w-full max-w-2xl max-h-[85vh] flex flex-col bg-slate-900 border border-gray-700 rounded-xl shadow-2xl">
+        <div className="px-6 py-4 border-b border-gray-700">
+          <h2 className="text-lg font-bold text-white">Import {report.fileName}</h2>
+          <p className="text-sm text-gray-400 mt-1">
+            {report.entries.length} charts read, {report.knownEntries.length} match the song list.
+          </p>
+        </div>
+
+        <div className="px-6 py-4 overflow-y-auto space-y-4">
+          <ReportSection
+            title="Unknown titles"
+            tone="text-red-400"
+            entries={report.unknownTitles}
+            note="Not in this level's song list — check the spelling or difficulty."
+          />
+          <ReportSection
+            title="Unknown tiers"
+            tone="text-yellow-400"
+            entries={report.unknownSections}
+            note="The tier or category does not exist here; these songs go to the unassigned pool."
+          />
+          <ReportSection
+            title="Duplicate charts"
+            tone="text-yellow-400"
+            entries={report.duplicates}
+            note="Listed more than once; only the first row is used."
+          />
+          {report.unknownTitles.length + report.unknownSections.length + report.duplicates.length === 0 && (
+            <p className="text-sm text-green-400">No problems found.</p>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-700 flex flex-wrap items-center justify-between gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            <input
+              type="checkbox"
+              checked={includeUnknown}
+              onChange={(event) => setIncludeUnknown(event.target.checked)}
+              disabled={report.unknownTitles.length === 0}
+            />
+            Include unknown titles
+          </label>
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={onClose}>Cancel</Button>
+            <Button onClick={handleLoad} disabled={entriesToLoad.length === 0}>
+              Load {entriesToLoad.length} into editor
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TierImportDialog;
@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import useAdminTierStore from '../../store/adminTierStore';
+import useTierMetaStore from '../../store/tierMetaStore';
+import { DEFAULT_DIFFICULTY } from '../../store/adminTierLoader';
+import { tierApi } from '../../api/tiers';
+import { TIER_LINT_RULES, lintTierEntries } from '../../utils/tierLint';
+import { getLevelsFor } from '../../utils/tierMeta';
+import Button from '../common/Button';
+
+const SEVERITY_STYLES = {
+  error: 'text-red-400',
+  warning: 'text-yellow-400'
+};
+
+/**
+ * TierLintDialog
+ * Integrity report for either the live table as loaded (before the editor's
+ * on-load repairs) or the table as it now stands in the editor. Fixes happen
+ * in the editor and reach the server on save.
+ */
+const TierLintDialog = ({ onClose }) => {
+  const {
+    rawTierData,
+    masterSongs,
+    selectedLevel,
+    selectedPlayStyle,
+    tiers,
+    categories,
+    hasChanges,
+    editorTierData
+  } = useAdminTierStore();
+  const [source, setSource] = useState(hasChanges ? 'editor' : 'live');
+  const [otherLevelSongs, setOtherLevelSongs] = useState(null);
+  const tierMeta = useTierMetaStore((state) => state.meta);
+  const levels = getLevelsFor(tierMeta, selectedPlayStyle);
+
+  // Master songs of every other level with a tier table (see tierMetaStore),
+  // so a chart filed under the wrong level is told apart from one that does
+  // not exist. A level that fails to load is skipped; its charts then show up
+  // as unknown titles.
+  useEffect(() => {
+    let isCancelled = false;
+    Promise.allSettled(levels
+      .filter((level) => level !== selectedLevel)
+      .map((level) => tierApi.getAdminSongs(level, selectedPlayStyle)))
+      .then((results) => {
+        if (isCancelled) return;
+        setOtherLevelSongs(results.flatMap((result) => (result.status === 'fulfilled' ? result.value : [])));
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [levels, selectedLevel, selectedPlayStyle]);
+
+  // Placed songs only, the way buildArrayPayload writes them: the editor's
+  // pool is the master song list itself.
+  const entries = useMemo(() => (source === 'editor'
+    ? Object.entries(editorTierData).flatMap(([section, items]) => {
+      const [category, tier] = section.split('|');
+      return items.map((item) => ({ title: item.title, difficulty: item.difficulty ?? DEFAULT_DIFFICULTY, category, tier }));
+    })
+    : rawTierData), [source, editorTierData, rawTierData]);
+
+  const groups = useMemo(() => {
+    const issues = lintTierEntries(entries, {
+      masterSongs,
+      otherLevelSongs: otherLevelSongs ?? [],
+      level: selectedLevel,
+      tiers,
+      categories,
+      defaultDifficulty: DEFAULT_DIFFICULTY
+    });
+    return Object.keys(TIER_LINT_RULES)
+      .map((rule) => ({ rule, issues: issues.filter((issue) => issue.rule === rule) }))
+      .filter((group) => group.issues.length > 0);
+  }, [entries, masterSongs, otherLevelSongs, selectedLevel, tiers, categories]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" role="dialog" aria-modal="true">
+      <div className="w-full max-w-2xl max-h-[85vh] flex flex-col bg-slate-900 border border-gray-700 rounded-xl shadow-2xl">
+        <div className="px-6 py-4 border-b border-gray-700">
+          <div className="flex items-center justify-between gap-3">
+            <h2 className="text-lg font-bold text-white">Table check</h2>
+            <div className="flex bg-gray-800 p-0.5 rounded-md border border-gray-700 text-xs">
+              {[['live', 'Live table'], ['editor', 'Editor']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setSource(value)}
+                  className={`px-2.5 py-1 rounded ${source === value ? 'bg-primary-600 text-white' : 'text-gray-400 hover:text-white'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className="text-sm text-gray-400 mt-1">
+            {source === 'editor'
+              ? `${entries.length} placed entries in the editor (on-load repairs applied)`
+              : `${entries.length} entries in the live Lv.${selectedLevel} table`}
+            , checked against {masterSongs.length} songs.
+            {otherLevelSongs === null && ' Looking up other levels…'}
+          </p>
+        </div>
+
+        <div className="px-6 py-4 overflow-y-auto space-y-4">
+          {groups.length === 0 ? (
+            <p className="text-sm text-green-400">No problems found.</p>
+          ) : groups.map(({ rule, issues }) => (
+            <div key={rule}>
+              <h3 className={`text-sm font-semibold ${SEVERITY_STYLES[TIER_LINT_RULES[rule].severity]}`}>
+                {TIER_LINT_RULES[rule].label} ({issues.length})
+              </h3>
+              <ul className="text-sm pl-3 border-l-2 border-gray-700 space-y-0.5">
+                {issues.map((issue, index) => (
+                  <li key={`${issue.title}-${issue.difficulty}-${index}`}>
+                    <span className="text-gray-200">{issue.title}</span>
+                    <span className="text-gray-500"> — {issue.message}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-700 flex justify-end">
+          <Button variant="ghost" onClick={onClose}>Close</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TierLintDialog;
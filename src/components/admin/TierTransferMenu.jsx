@@ -0,0 +1,99 @@
+import React, { useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiDownload, FiUpload } from 'react-icons/fi';
+import useAdminTierStore from '../../store/adminTierStore';
+import { DEFAULT_DIFFICULTY } from '../../store/adminTierLoader';
+import {
+  parseTierCsv,
+  parseTierJson,
+  serializeTierCsv,
+  serializeTierJson,
+  validateTierImport
+} from '../../utils/tierTransfer';
+import { downloadBlob } from '../../utils/download';
+import TierImportDialog from './TierImportDialog';
+
+const downloadFile = (content, fileName, type) => downloadBlob(new Blob([content], { type }), fileName);
+
+const buttonClass = 'px-3 py-1.5 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg flex items-center gap-2 transition border border-slate-700 font-medium text-sm shadow-sm';
+
+/**
+ * TierTransferMenu
+ * Export the editor as JSON/CSV and import either format back, with a
+ * validation report in between.
+ */
+const TierTransferMenu = () => {
+  const fileInputRef = useRef(null);
+  const [report, setReport] = useState(null);
+  const {
+    selectedLevel,
+    selectedPlayStyle,
+    masterSongs,
+    tiers,
+    categories,
+    buildArrayPayload
+  } = useAdminTierStore();
+
+  const handleExport = (kind) => {
+    const baseName = `tier-${selectedPlayStyle}-lv${selectedLevel}-${format(new Date(), 'yyyyMMdd')}`;
+    const payload = buildArrayPayload();
+
+    if (kind === 'csv') downloadFile(serializeTierCsv(payload), `${baseName}.csv`, 'text/csv;charset=utf-8');
+    else downloadFile(serializeTierJson(payload), `${baseName}.json`, 'application/json');
+  };
+
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error(`Failed to read ${file.name}:`, error);
+      toast.error('파일을 읽지 못했습니다.');
+      return;
+    }
+    const isCsv = file.name.toLowerCase().endsWith('.csv');
+    const { entries, error } = isCsv ? parseTierCsv(text) : parseTierJson(text);
+
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setReport({
+      fileName: file.name,
+      ...validateTierImport(entries, { masterSongs, tiers, categories, defaultDifficulty: DEFAULT_DIFFICULTY })
+    });
+  };
+
+  return (
+    <>
+      <input
+        type="file"
+        accept=".json,.csv"
+        ref={fileInputRef}
+        onChange={handleFileSelect}
+        className="hidden"
+      />
+      <div className="flex gap-1">
+        <button onClick={() => fileInputRef.current?.click()} className={buttonClass} title="Import a JSON or CSV tier sheet">
+          <FiUpload /> Import
+        </button>
+        <button onClick={() => handleExport('json')} className={buttonClass} title="Export as JSON">
+          <FiDownload /> JSON
+        </button>
+        <button onClick={() => handleExport('csv')} className={buttonClass} title="Export as CSV">
+          <FiDownload /> CSV
+        </button>
+      </div>
+
+      {report && <TierImportDialog report={report} onClose={() => setReport(null)} />}
+    </>
+  );
+};
+
+export default TierTransferMenu;
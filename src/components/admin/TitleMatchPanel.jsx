@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import useAdminTierStore from '../../store/adminTierStore';
+
+const REASON_LABELS = {
+  normalized: 'same title after normalizing',
+  prefix: 'one title extends the other',
+  similar: 'similar spelling'
+};
+
+/**
+ * TitleMatchPanel
+ * Tier entries that do not exactly match any master song, each paired with
+ * the song it most likely means. Nothing merges until the admin confirms;
+ * "similar spelling" pairs start unchecked since they are the likeliest to be
+ * two genuinely different songs.
+ */
+const TitleMatchPanel = () => {
+  const { titleMatches, mergeTitleMatches, dismissTitleMatches } = useAdminTierStore();
+  // Only the admin's explicit choices, keyed by entry; everything else
+  // falls back to the default for its reason.
+  const [overrides, setOverrides] = useState(() => new Map());
+
+  if (titleMatches.length === 0) return null;
+
+  const isChecked = (match) => overrides.get(match.entry) ?? match.reason !== 'similar';
+  const checked = titleMatches.filter(isChecked);
+
+  const toggle = (match) => {
+    setOverrides((previous) => new Map(previous).set(match.entry, !isChecked(match)));
+  };
+
+  const handleMerge = () => {
+    mergeTitleMatches(checked);
+    toast.success(`Merged ${checked.length} songs`);
+  };
+
+  return (
+    <div className="bg-gray-850 p-4 rounded-xl border border-yellow-700/60 shadow-lg space-y-3">
+      <div>
+        <h2 className="text-lg font-bold text-white">Possible misspelled songs ({titleMatches.length})</h2>
+        <p className="text-sm text-gray-400">
+          These tier entries match no song exactly, so they show up next to the real song as a duplicate.
+          Merging renames the entry to the song-list title and removes the duplicate.
+        </p>
+      </div>
+
+      <ul className="space-y-1 max-h-64 overflow-y-auto text-sm">
+        {titleMatches.map((match) => (
+          <li key={`${match.entry.title}__${match.entry.difficulty}`}>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={isChecked(match)} onChange={() => toggle(match)} />
+              <span className="text-red-300">{match.entry.title}</span>
+              <span className="text-gray-500">→</span>
+              <span className="text-green-300">{match.song.title}</span>
+              <span className="text-xs text-gray-500">{match.song.difficulty}</span>
+              <span className="text-xs text-gray-600">({REASON_LABELS[match.reason]})</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleMerge}
+          disabled={checked.length === 0}
+          className="px-3 py-1.5 rounded-md bg-yellow-600 hover:bg-yellow-500 disabled:bg-gray-700 disabled:text-gray-400 text-white text-sm font-medium"
+        >
+          Merge {checked.length}
+        </button>
+        <button onClick={dismissTitleMatches} className="px-3 py-1.5 rounded-md text-gray-400 hover:text-white text-sm">
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TitleMatchPanel;
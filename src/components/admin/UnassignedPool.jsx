@@ -1,14 +1,50 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { FiSearch } from 'react-icons/fi';
 import DroppableTierRow from './DroppableTierRow';
+import { searchSongsByTitle } from '../../utils/tierCommand';
+
+const UnassignedPool = ({ unassignedSongs, selectedIds, onSelectSong, onSelectMany }) => {
+  const [query, setQuery] = useState('');
+
+  // Filtering only hides tiles; the pool in the store keeps every song, so a
+  // drag or bulk move from a filtered view still works on the real data.
+  const visibleSongs = useMemo(() => {
+    if (!query.trim()) return unassignedSongs;
+    const matches = new Set(searchSongsByTitle(unassignedSongs, query));
+    return unassignedSongs.filter((song) => matches.has(song));
+  }, [unassignedSongs, query]);
 
-const UnassignedPool = ({ unassignedSongs }) => {
   return (
     <div className="bg-gray-850 p-4 rounded-xl border border-gray-700 shadow-lg mb-6">
       <DroppableTierRow
         id="unassigned"
         title="Unassigned Pool"
-        items={unassignedSongs}
+        items={visibleSongs}
         isPool={true}
+        selectedIds={selectedIds}
+        onSelectSong={onSelectSong}
+        headerExtra={(
+          <div className="ml-auto flex items-center gap-2">
+            <div className="relative">
+              <FiSearch className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-500" />
+              <input
+                type="search"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                placeholder="Filter by title"
+                className="pl-7 pr-2 py-1 w-48 text-sm rounded-md bg-gray-900 border border-gray-700 text-gray-200 placeholder-gray-500 focus:outline-none focus:border-primary-500"
+              />
+            </div>
+            {query.trim() && visibleSongs.length > 0 && (
+              <button
+                onClick={() => onSelectMany(visibleSongs.map((song) => song.id))}
+                className="px-2 py-1 text-xs rounded-md bg-gray-800 hover:bg-gray-700 text-gray-300 border border-gray-700"
+              >
+                Select {visibleSongs.length}
+              </button>
+            )}
+          </div>
+        )}
       />
     </div>
   );
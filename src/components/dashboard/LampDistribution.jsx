@@ -0,0 +1,43 @@
+import { CLEAR_TYPE_LABELS, CLEAR_TYPE_ORDER, CLEAR_TYPE_STYLES } from '../../utils/clearTypes';
+
+// Best lamp first, so the bar reads left to right like the legend.
+const LAMPS_BEST_FIRST = [...CLEAR_TYPE_ORDER].reverse();
+
+/**
+ * Stacked bar of every clear type, with a legend that shows count and share.
+ *
+ * @param {Record<string, number>} clearTypes - counts keyed by CLEAR_TYPE_ORDER
+ * @param {number} total
+ */
+const LampDistribution = ({ clearTypes, total }) => {
+  const percentOf = (count) => (total > 0 ? (count / total) * 100 : 0);
+
+  return (
+    <div>
+      <div className="h-6 w-full flex rounded-full overflow-hidden bg-slate-700 mb-4">
+        {LAMPS_BEST_FIRST.map((clearType) => (
+          <div
+            key={clearType}
+            style={{ width: `${percentOf(clearTypes[clearType])}%` }}
+            className={`${CLEAR_TYPE_STYLES[clearType]} transition-all duration-500`}
+            title={`${CLEAR_TYPE_LABELS[clearType]}: ${percentOf(clearTypes[clearType]).toFixed(1)}%`}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+        {LAMPS_BEST_FIRST.map((clearType) => (
+          <div key={clearType} className="flex items-center gap-2">
+            <span className={`w-3 h-3 rounded-full ${CLEAR_TYPE_STYLES[clearType]}`} />
+            <span className="text-slate-300">
+              {CLEAR_TYPE_LABELS[clearType]} {clearTypes[clearType].toLocaleString()}
+              <span className="text-slate-500"> ({percentOf(clearTypes[clearType]).toFixed(1)}%)</span>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LampDistribution;
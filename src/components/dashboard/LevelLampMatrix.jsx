@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import clsx from 'clsx';
+import { CLEAR_TYPE_LABELS, CLEAR_TYPE_ORDER, CLEAR_TYPE_STYLES } from '../../utils/clearTypes';
+import { buildLevelLampMatrix } from '../../utils/scoreSummary';
+
+const LAMPS_BEST_FIRST = [...CLEAR_TYPE_ORDER].reverse();
+
+/**
+ * Lv1-12 by clear type count table for one play style, each row with a thin
+ * stacked bar so the lamp mix per level can be compared at a glance.
+ *
+ * @param {ReturnType<typeof import('../../utils/scoreSummary').normalizeScoreSummary>} summary
+ */
+const LevelLampMatrix = ({ summary }) => {
+  const [playStyle, setPlayStyle] = useState('SP');
+  const rows = buildLevelLampMatrix(summary, playStyle);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-bold text-white">레벨별 램프</h2>
+        <div className="flex bg-slate-900 p-1 rounded-lg border border-slate-700">
+          {['SP', 'DP'].map((style) => (
+            <button
+              key={style}
+              onClick={() => setPlayStyle(style)}
+              className={clsx(
+                'px-3 py-1 rounded-md text-sm font-medium transition',
+                playStyle === style ? 'bg-primary-600 text-white' : 'text-slate-400 hover:text-white'
+              )}
+            >
+              {style}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm font-mono">
+          <thead>
+            <tr className="text-slate-400 text-xs">
+              <th className="text-left py-2 pr-3 font-medium">Lv</th>
+              {LAMPS_BEST_FIRST.map((clearType) => (
+                <th key={clearType} className="text-right py-2 px-2 font-medium">{CLEAR_TYPE_LABELS[clearType]}</th>
+              ))}
+              <th className="text-right py-2 pl-3 font-medium">합계</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-700/50">
+            {rows.map((row) => (
+              <tr key={row.level} className={clsx(row.total === 0 && 'text-slate-600')}>
+                <td className="py-2 pr-3 text-white">☆{row.level}</td>
+                {LAMPS_BEST_FIRST.map((clearType) => (
+                  <td key={clearType} className="text-right py-2 px-2 text-slate-300">
+                    {row.clearTypes[clearType] || <span className="text-slate-600">-</span>}
+                  </td>
+                ))}
+                <td className="py-2 pl-3 w-40">
+                  <div className="flex items-center gap-2 justify-end">
+                    <div className="h-2 w-24 flex rounded-full overflow-hidden bg-slate-700">
+                      {row.total > 0 && LAMPS_BEST_FIRST.map((clearType) => (
+                        <div
+                          key={clearType}
+                          style={{ width: `${(row.clearTypes[clearType] / row.total) * 100}%` }}
+                          className={CLEAR_TYPE_STYLES[clearType]}
+                        />
+                      ))}
+                    </div>
+                    <span className="text-slate-300 w-10 text-right">{row.total}</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LevelLampMatrix;
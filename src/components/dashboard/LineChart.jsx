@@ -0,0 +1,84 @@
+import { format } from 'date-fns';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PAD = { top: 10, right: 10, bottom: 22, left: 44 };
+
+/**
+ * 🎓 학습 포인트: 라이브러리 없이 SVG로 선 그래프 그리기
+ *
+ * 분포 막대처럼 여기도 차트 라이브러리를 쓰지 않습니다. viewBox 좌표계에
+ * 값을 직접 옮겨(scale) <polyline points="x,y x,y ...">로 잇기만 하면
+ * 됩니다. viewBox 덕분에 부모 너비에 맞춰 자동으로 늘어납니다.
+ *
+ * @param {Array<{ key: string, label: string, colorClass: string, points: Array<{ x: number, y: number }> }>} series
+ *   colorClass는 선(stroke)과 점(fill-current)에 모두 쓰이므로 stroke-* text-* 쌍으로 줍니다.
+ *   x는 timestamp(ms)
+ * @param {(value: number) => string} [formatY]
+ * @param {boolean} [zeroBased=true] - y축을 0부터 시작할지 (개수는 true, 비율은 false)
+ */
+const LineChart = ({ series, formatY = (value) => Math.round(value).toLocaleString(), zeroBased = true }) => {
+  const points = series.flatMap((s) => s.points);
+  if (points.length === 0) {
+    return <p className="text-slate-500 text-center py-12 text-sm">표시할 기록이 없습니다.</p>;
+  }
+
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+  let yMin = zeroBased ? 0 : Math.min(...ys);
+  let yMax = Math.max(...ys);
+  if (yMax === yMin) {
+    yMax += 1;
+    if (!zeroBased) yMin -= 1;
+  }
+
+  const scaleX = (x) => PAD.left + (xMax === xMin ? 0.5 : (x - xMin) / (xMax - xMin)) * (WIDTH - PAD.left - PAD.right);
+  const scaleY = (y) => HEIGHT - PAD.bottom - ((y - yMin) / (yMax - yMin)) * (HEIGHT - PAD.top - PAD.bottom);
+  const gridValues = [yMin, (yMin + yMax) / 2, yMax];
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img">
+      {gridValues.map((value) => (
+        <g key={value}>
+          <line
+            x1={PAD.left}
+            x2={WIDTH - PAD.right}
+            y1={scaleY(value)}
+            y2={scaleY(value)}
+            className="stroke-slate-700"
+            strokeDasharray="3 3"
+          />
+          <text x={PAD.left - 6} y={scaleY(value) + 4} textAnchor="end" className="fill-slate-500 text-[10px] font-mono">
+            {formatY(value)}
+          </text>
+        </g>
+      ))}
+
+      <text x={PAD.left} y={HEIGHT - 4} className="fill-slate-500 text-[10px] font-mono">
+        {format(new Date(xMin), 'yyyy-MM-dd')}
+      </text>
+      <text x={WIDTH - PAD.right} y={HEIGHT - 4} textAnchor="end" className="fill-slate-500 text-[10px] font-mono">
+        {format(new Date(xMax), 'yyyy-MM-dd')}
+      </text>
+
+      {series.map((s) => (
+        <g key={s.key} className={s.colorClass}>
+          <polyline
+            points={s.points.map((p) => `${scaleX(p.x)},${scaleY(p.y)}`).join(' ')}
+            fill="none"
+            strokeWidth="2"
+            strokeLinejoin="round"
+          />
+          {s.points.map((p) => (
+            <circle key={p.x} cx={scaleX(p.x)} cy={scaleY(p.y)} r="2.5" className="fill-current stroke-none">
+              <title>{`${s.label} ${formatY(p.y)} (${format(new Date(p.x), 'yyyy-MM-dd')})`}</title>
+            </circle>
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,131 @@
+import { useMemo, useState } from 'react';
+import clsx from 'clsx';
+import useProgressHistory from '../../hooks/useProgressHistory';
+import LineChart from './LineChart';
+import Spinner from '../common/Spinner';
+import ErrorView from '../common/ErrorView';
+import { CLEAR_TYPE_LABELS } from '../../utils/clearTypes';
+import { SUMMARY_LEVELS } from '../../utils/scoreSummary';
+import {
+  PROGRESS_LAMPS,
+  PROGRESS_RANGES,
+  buildLampSeriesFromScores,
+  buildLampSeriesFromSnapshots,
+  buildRateSeriesFromScores,
+  buildRateSeriesFromSnapshots,
+  buildSampleTimes,
+  hasRateData,
+} from '../../utils/progressSeries';
+
+const LAMP_COLORS = {
+  HARD_CLEAR: 'stroke-white text-white',
+  EX_HARD_CLEAR: 'stroke-yellow-400 text-yellow-400',
+  FULLCOMBO_CLEAR: 'stroke-pink-400 text-pink-400',
+};
+
+const toggleClass = (active) => clsx(
+  'px-3 py-1 rounded-md text-sm font-medium transition',
+  active ? 'bg-primary-600 text-white' : 'text-slate-400 hover:text-white'
+);
+
+/**
+ * 기간별 진행 그래프: HARD 이상 / EX-HARD 이상 / FC 누적 개수와
+ * 레벨별 평균 EX 스코어율. 업로드 스냅샷이 있으면 그것을, 없으면 각 차트의
+ * bestPlayedAt으로 추정한 값을 그립니다 (utils/progressSeries 참고).
+ * 스코어율은 노트 수나 스냅샷 스코어율이 있을 때만 그립니다 (hasRateData).
+ */
+const ProgressCharts = () => {
+  const { scores, snapshots, isLoading, error, refetch } = useProgressHistory();
+  const [rangeKey, setRangeKey] = useState('3M');
+  const [level, setLevel] = useState(12);
+
+  const range = PROGRESS_RANGES.find((r) => r.key === rangeKey);
+  const times = useMemo(() => buildSampleTimes(scores, range.months), [scores, range]);
+
+  const lampSeries = useMemo(() => {
+    const byLamp = snapshots ? buildLampSeriesFromSnapshots(snapshots, times) : buildLampSeriesFromScores(scores, times);
+    return PROGRESS_LAMPS.map((lamp) => ({
+      key: lamp,
+      label: `${CLEAR_TYPE_LABELS[lamp]}+`,
+      colorClass: LAMP_COLORS[lamp],
+      points: byLamp[lamp],
+    }));
+  }, [scores, snapshots, times]);
+
+  const rateSeries = useMemo(() => {
+    const fromSnapshots = snapshots ? buildRateSeriesFromSnapshots(snapshots, times, level) : [];
+    const points = fromSnapshots.length > 0 ? fromSnapshots : buildRateSeriesFromScores(scores, times, level);
+    return [{ key: 'rate', label: `☆${level}`, colorClass: 'stroke-primary-400 text-primary-400', points }];
+  }, [scores, snapshots, times, level]);
+
+  const canShowRate = useMemo(() => hasRateData(scores, snapshots), [scores, snapshots]);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <ErrorView status={error.status} message={error.message} onRetry={error.retryable ? refetch : undefined} showHomeLink={false} />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h2 className="text-lg font-bold text-white">진행 그래프</h2>
+          <p className="text-xs text-slate-500">
+            {snapshots ? 'CSV 업로드 기록 기준' : '각 차트의 최고 기록 날짜 기준 (추정)'}
+          </p>
+        </div>
+        <div className="flex bg-slate-900 p-1 rounded-lg border border-slate-700">
+          {PROGRESS_RANGES.map((r) => (
+            <button key={r.key} onClick={() => setRangeKey(r.key)} className={toggleClass(rangeKey === r.key)}>
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center gap-4 mb-2 text-sm">
+          <h3 className="font-semibold text-slate-300">누적 램프</h3>
+          {lampSeries.map((s) => (
+            <span key={s.key} className="flex items-center gap-1.5 text-slate-400">
+              <span className={clsx('w-3 h-0.5 bg-current', s.colorClass)} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+        <LineChart series={lampSeries} />
+      </div>
+
+      {canShowRate ? (
+        <div>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+            <h3 className="text-sm font-semibold text-slate-300">평균 EX 스코어율</h3>
+            <select
+              value={level}
+              onChange={(e) => setLevel(Number(e.target.value))}
+              className="bg-slate-900 border border-slate-700 text-slate-300 text-sm rounded-lg px-2 py-1"
+            >
+              {SUMMARY_LEVELS.map((lv) => (
+                <option key={lv} value={lv}>☆{lv}</option>
+              ))}
+            </select>
+          </div>
+          <LineChart series={rateSeries} formatY={(value) => `${value.toFixed(1)}%`} zeroBased={false} />
+        </div>
+      ) : (
+        <p className="text-xs text-slate-500">
+          평균 EX 스코어율은 차트별 노트 수가 필요해 아직 표시할 수 없습니다.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProgressCharts;
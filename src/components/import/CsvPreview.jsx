@@ -0,0 +1,121 @@
+import clsx from 'clsx';
+import { FiAlertTriangle } from 'react-icons/fi';
+import { CLEAR_TYPE_LABELS, CLEAR_TYPE_STYLES } from '../../utils/clearTypes';
+import { CSV_CHART_TYPES } from '../../utils/scoreCsv';
+
+// Enough rows to recognise the file; the full list is what the upload is for.
+const PREVIEW_ROW_LIMIT = 10;
+const MALFORMED_ROW_LIMIT = 20;
+
+const CHART_LABELS = {
+  NORMAL: 'N',
+  HYPER: 'H',
+  ANOTHER: 'A',
+  LEGGENDARIA: 'L',
+};
+
+const ChartCell = ({ chart }) => {
+  if (!chart) return <span className="text-slate-700">-</span>;
+
+  return (
+    <span className="inline-flex items-center gap-1">
+      <span className="text-slate-400 font-mono text-xs">☆{chart.level}</span>
+      <span
+        className={clsx(
+          'px-1.5 py-0.5 rounded text-[10px] font-bold',
+          CLEAR_TYPE_STYLES[chart.clearType] ?? 'bg-slate-700 text-slate-400'
+        )}
+      >
+        {CLEAR_TYPE_LABELS[chart.clearType] ?? chart.clearType}
+      </span>
+    </span>
+  );
+};
+
+/**
+ * CsvPreview
+ * Shows what `parseScoreCsv` read out of the selected file before it is sent:
+ * per-chart row counts, the first few songs, and every row that would be
+ * rejected. Presentational only; the page decides whether upload is allowed.
+ *
+ * @param {ReturnType<typeof import('../../utils/scoreCsv').parseScoreCsv>} preview
+ */
+const CsvPreview = ({ preview }) => {
+  const { rows, malformedRows, chartCounts } = preview;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+        <div className="bg-slate-800 rounded-xl p-3 text-center">
+          <p className="text-2xl font-bold font-mono text-white">{rows.length}</p>
+          <p className="text-slate-400 text-xs mt-1">곡</p>
+        </div>
+        {CSV_CHART_TYPES.map((chartType) => (
+          <div key={chartType} className="bg-slate-800 rounded-xl p-3 text-center">
+            <p className="text-2xl font-bold font-mono text-white">
+              {chartCounts[chartType].played}
+              <span className="text-sm text-slate-500"> / {chartCounts[chartType].total}</span>
+            </p>
+            <p className="text-slate-400 text-xs mt-1">{chartType} 플레이</p>
+          </div>
+        ))}
+      </div>
+
+      {malformedRows.length > 0 && (
+        <div className="bg-yellow-900/20 border border-yellow-700/50 rounded-xl p-4 text-sm">
+          <p className="flex items-center gap-2 font-semibold text-yellow-400 mb-2">
+            <FiAlertTriangle />
+            읽을 수 없는 행 {malformedRows.length}개 — 이대로 업로드하면 서버가 파일을 거부할 수 있습니다
+          </p>
+          <ul className="space-y-1 text-slate-300 max-h-48 overflow-y-auto">
+            {malformedRows.slice(0, MALFORMED_ROW_LIMIT).map((row) => (
+              <li key={row.lineNumber}>
+                <span className="font-mono text-slate-500">{row.lineNumber}행</span>{' '}
+                <span className="text-white">{row.title || '(제목 없음)'}</span>
+                {' — '}
+                {row.problems.join(', ')}
+              </li>
+            ))}
+          </ul>
+          {malformedRows.length > MALFORMED_ROW_LIMIT && (
+            <p className="text-slate-500 mt-2">외 {malformedRows.length - MALFORMED_ROW_LIMIT}개</p>
+          )}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-sm text-left">
+            <thead className="bg-slate-800/80 text-slate-400 text-xs uppercase tracking-wider">
+              <tr>
+                <th className="px-3 py-2">곡 제목</th>
+                {CSV_CHART_TYPES.map((chartType) => (
+                  <th key={chartType} className="px-3 py-2 text-center">{CHART_LABELS[chartType]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800">
+              {rows.slice(0, PREVIEW_ROW_LIMIT).map((row) => (
+                <tr key={row.lineNumber}>
+                  <td className="px-3 py-2 text-white max-w-[200px] truncate">{row.title}</td>
+                  {CSV_CHART_TYPES.map((chartType) => (
+                    <td key={chartType} className="px-3 py-2 text-center">
+                      <ChartCell chart={row.charts.find((chart) => chart.chartType === chartType)} />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > PREVIEW_ROW_LIMIT && (
+            <p className="px-3 py-2 text-xs text-slate-500 bg-slate-800/40">
+              처음 {PREVIEW_ROW_LIMIT}곡만 표시합니다.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvPreview;
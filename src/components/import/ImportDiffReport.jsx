@@ -0,0 +1,87 @@
+import { useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiCopy } from 'react-icons/fi';
+import Button from '../common/Button';
+import { formatImportReport, groupImportChanges } from '../../utils/importDiff';
+
+const ChangeLine = ({ change }) => (
+  <li className="flex flex-wrap items-baseline gap-x-2 py-1">
+    <span className="text-white">{change.title}</span>
+    <span className="text-slate-500 text-xs">{change.chartType}</span>
+    {change.scoreImproved && (
+      <span className="font-mono text-xs text-slate-300">
+        {change.score.from} → <span className="text-green-400">{change.score.to}</span>
+      </span>
+    )}
+    {change.djLevelImproved && (
+      <span className="font-mono text-xs text-slate-300">
+        {change.djLevel.from ?? '-'} → <span className="text-yellow-400">{change.djLevel.to}</span>
+      </span>
+    )}
+  </li>
+);
+
+/**
+ * ImportDiffReport
+ * Per-chart changelog for one upload, grouped by level and lamp transition,
+ * with a copy button that puts the same content on the clipboard as text.
+ *
+ * @param {ReturnType<typeof import('../../utils/importDiff').diffScoreSnapshots>} changes
+ * @param {'SP' | 'DP'} playStyle
+ */
+const ImportDiffReport = ({ changes, playStyle }) => {
+  const grouped = useMemo(() => groupImportChanges(changes), [changes]);
+
+  const handleCopy = async () => {
+    const text = formatImportReport(grouped, {
+      playStyle,
+      date: format(new Date(), 'yyyy-MM-dd'),
+    });
+
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('갱신 기록을 복사했습니다.');
+    } catch {
+      toast.error('클립보드에 복사하지 못했습니다.');
+    }
+  };
+
+  if (changes.length === 0) {
+    return (
+      <div className="bg-slate-800/40 border border-slate-700 rounded-xl p-4 text-sm text-slate-400">
+        이번 업로드로 갱신된 차트가 없습니다.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-slate-800/40 border border-slate-700 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold text-white">갱신 기록 ({changes.length}차트)</h2>
+        <Button variant="ghost" size="sm" onClick={handleCopy}>
+          <FiCopy />
+          텍스트로 복사
+        </Button>
+      </div>
+
+      {grouped.map(({ level, groups }) => (
+        <div key={level ?? 'unknown'} className="space-y-2">
+          <h3 className="text-sm font-bold text-primary-400">Lv.{level ?? '?'}</h3>
+          {groups.map(({ label, changes: groupChanges }) => (
+            <div key={label} className="pl-3 border-l-2 border-slate-700">
+              <p className="text-xs font-semibold text-slate-400">{label}</p>
+              <ul className="text-sm">
+                {groupChanges.map((change) => (
+                  <ChangeLine key={change.key} change={change} />
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ImportDiffReport;
@@ -0,0 +1,23 @@
+import clsx from 'clsx';
+import { CLEAR_TYPE_LABELS, CLEAR_TYPE_STYLES, normalizeClearType } from '../../utils/clearTypes';
+
+/**
+ * 클리어 타입 배지
+ * 스코어 목록과 차트 상세(기록 이력)가 같은 배지를 씁니다.
+ */
+const ClearBadge = ({ type }) => {
+  const normalizedType = normalizeClearType(type) ?? 'NO_PLAY';
+
+  return (
+    <span
+      className={clsx(
+        'inline-flex items-center justify-center px-2 py-0.5 rounded text-xs font-bold min-w-[40px]',
+        CLEAR_TYPE_STYLES[normalizedType] ?? 'bg-slate-700 text-slate-400'
+      )}
+    >
+      {CLEAR_TYPE_LABELS[normalizedType] ?? normalizedType}
+    </span>
+  );
+};
+
+export default ClearBadge;
@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { FiColumns } from 'react-icons/fi';
+import { SCORE_COLUMNS } from '../../utils/scoreColumns';
+
+/**
+ * 🎓 표시 컬럼 선택 드롭다운
+ * 체크를 풀면 useScoresStore.hiddenColumns에 들어가고 localStorage에 저장됩니다.
+ * 곡 제목처럼 hideable이 false인 컬럼은 목록에 나오지 않습니다.
+ */
+const ScoreColumnPicker = ({ hiddenColumns, onToggle }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm border border-slate-700 transition ${
+          isOpen ? 'bg-primary-600 text-white' : 'text-slate-400 hover:text-white hover:bg-slate-800'
+        }`}
+      >
+        <FiColumns size={14} />
+        컬럼
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 z-20 w-44 bg-slate-900 border border-slate-700 rounded-xl shadow-xl p-2 text-sm">
+          {SCORE_COLUMNS.filter((column) => column.hideable).map((column) => (
+            <label
+              key={column.key}
+              className="flex items-center gap-2 px-2 py-1.5 rounded-md text-slate-300 hover:bg-slate-800 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={!hiddenColumns.includes(column.key)}
+                onChange={() => onToggle(column.key)}
+                className="accent-primary-500"
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreColumnPicker;
@@ -44,7 +44,7 @@ const CLEAR_TYPES = [
   { value: 'CLEAR', label: 'CLEAR' },
   { value: 'HARD_CLEAR', label: 'HARD CLEAR' },
   { value: 'EX_HARD_CLEAR', label: 'EX-HARD CLEAR' },
-  { value: 'FULL_COMBO', label: 'FULL COMBO' },
+  { value: 'FULLCOMBO_CLEAR', label: 'FULL COMBO' },
 ];
 
 const FilterSelect = ({ label, value, options, onChange }) => (
@@ -1,6 +1,9 @@
 import clsx from 'clsx';
 import { format } from 'date-fns';
-import { CLEAR_TYPE_LABELS, CLEAR_TYPE_STYLES, normalizeClearType } from '../../utils/clearTypes';
+import { Link } from 'react-router-dom';
+import { FiChevronDown, FiChevronUp } from 'react-icons/fi';
+import ClearBadge from './ClearBadge';
+import { parseSort } from '../../utils/scoreColumns';
 
 /**
  * 🎓 학습 포인트: 데이터 표시 전용 컴포넌트
@@ -29,22 +32,81 @@ const DJ_LEVEL_STYLES = {
   F:   'text-red-600',
 };
 
-const ClearBadge = ({ type }) => {
-  const normalizedType = normalizeClearType(type) ?? 'NO_PLAY';
+// 차트 상세 페이지가 이력 API 응답을 기다리는 동안 제목 등을 바로 보여주도록 넘겨줍니다.
+const toChartSummary = (score) => ({
+  title: score.song.title,
+  chartType: score.chart.chartType,
+  level: score.chart.level,
+  playStyle: score.chart.playStyle,
+});
 
-  return (
-    <span
-      className={clsx(
-        'inline-flex items-center justify-center px-2 py-0.5 rounded text-xs font-bold min-w-[40px]',
-        CLEAR_TYPE_STYLES[normalizedType] ?? 'bg-slate-700 text-slate-400'
-      )}
+// 컬럼별 정렬(th/td 공통)
+const COLUMN_ALIGN = {
+  title: 'text-left',
+  artist: 'text-left',
+  score: 'text-right',
+  playedAt: 'text-right',
+};
+
+/**
+ * 🎓 컬럼 key → 셀 내용
+ * 어떤 컬럼을 보여줄지는 부모가 정하므로, 셀을 key로 찾아 그리면
+ * 컬럼을 숨기거나 순서를 바꿔도 <td>를 하나하나 조건문으로 감쌀 필요가 없습니다.
+ */
+const CELL_RENDERERS = {
+  // 곡 제목 → 차트 상세(기록 이력)로 이동
+  title: (score) => (score.chart.id != null ? (
+    <Link
+      to={`/charts/${score.chart.id}`}
+      state={{ chart: toChartSummary(score) }}
+      className="hover:text-primary-400 transition"
     >
-      {CLEAR_TYPE_LABELS[normalizedType] ?? normalizedType}
+      {score.song.title}
+    </Link>
+  ) : (
+    score.song.title
+  )),
+  artist: (score) => score.song.artist,
+  playStyle: (score) => (
+    <span className="text-slate-300 font-mono text-xs">{score.chart.playStyle}</span>
+  ),
+  level: (score) => <span className="font-bold text-white">{score.chart.level}</span>,
+  chartType: (score) => <span className="text-slate-400 text-xs">{score.chart.chartType}</span>,
+  clearType: (score) => <ClearBadge type={score.bestClearType} />,
+  score: (score) => score.bestScore?.toLocaleString() ?? '-',
+  djLevel: (score) => (
+    <span className={clsx('font-mono', DJ_LEVEL_STYLES[score.bestDjLevel])}>
+      {score.bestDjLevel ?? '-'}
     </span>
-  );
+  ),
+  missCount: (score) => score.bestMissCount ?? '-',
+  playCount: (score) => score.playCount,
+  /**
+   * 🎓 date-fns의 format 함수
+   * JS Date 객체를 원하는 형식의 문자열로 변환합니다.
+   * 'yy/MM/dd' → '25/02/24' 처럼 표시됩니다.
+   */
+  playedAt: (score) => (score.bestPlayedAt ? format(new Date(score.bestPlayedAt), 'yy/MM/dd') : '-'),
 };
 
-const ScoreTable = ({ scores }) => {
+const CELL_STYLES = {
+  title: 'font-medium text-white max-w-[200px] truncate',
+  artist: 'text-slate-400 max-w-[160px] truncate',
+  score: 'font-mono text-white',
+  missCount: 'text-slate-400 font-mono',
+  playCount: 'text-slate-400',
+  playedAt: 'text-slate-500 text-xs',
+};
+
+/**
+ * @param {{
+ *   scores: Array,
+ *   columns: Array, // 보여줄 utils/scoreColumns.SCORE_COLUMNS 항목 (순서 그대로)
+ *   sort: string,   // 'bestScore,desc' 형식, ''이면 서버 기본 정렬
+ *   onSort: (column) => void,
+ * }} props
+ */
+const ScoreTable = ({ scores, columns, sort, onSort }) => {
   if (scores.length === 0) {
     return (
       <div className="flex flex-col items-center justify-center py-20 text-slate-500">
@@ -54,6 +116,8 @@ const ScoreTable = ({ scores }) => {
     );
   }
 
+  const currentSort = parseSort(sort);
+
   return (
     /**
      * 🎓 overflow-x-auto란?
@@ -64,17 +128,40 @@ const ScoreTable = ({ scores }) => {
       <table className="w-full text-sm text-left">
         <thead className="bg-slate-800/80 text-slate-400 text-xs uppercase tracking-wider">
           <tr>
-            <th className="px-4 py-3">곡 제목</th>
-            <th className="px-4 py-3">아티스트</th>
-            <th className="px-4 py-3 text-center">스타일</th>
-            <th className="px-4 py-3 text-center">Lv</th>
-            <th className="px-4 py-3 text-center">차트</th>
-            <th className="px-4 py-3 text-center">최고 클리어</th>
-            <th className="px-4 py-3 text-right">최고 점수</th>
-            <th className="px-4 py-3 text-center">DJ 레벨</th>
-            <th className="px-4 py-3 text-center">MISS</th>
-            <th className="px-4 py-3 text-center">플레이 수</th>
-            <th className="px-4 py-3 text-right">최근 플레이</th>
+            {columns.map((column) => {
+              const align = COLUMN_ALIGN[column.key] ?? 'text-center';
+              const direction = currentSort?.field === column.sortField ? currentSort.direction : null;
+
+              if (!column.sortField) {
+                return <th key={column.key} className={clsx('px-4 py-3', align)}>{column.label}</th>;
+              }
+
+              /**
+               * 🎓 aria-sort
+               * 스크린 리더에 "이 컬럼 기준으로 오름/내림차순 정렬됨"을 알려줍니다.
+               * 정렬 버튼은 <th> 안의 <button>이라 키보드로도 누를 수 있습니다.
+               */
+              return (
+                <th
+                  key={column.key}
+                  className={clsx('px-4 py-3', align)}
+                  aria-sort={direction ? `${direction}ending` : 'none'}
+                >
+                  <button
+                    type="button"
+                    onClick={() => onSort(column)}
+                    className={clsx(
+                      'inline-flex items-center gap-1 uppercase tracking-wider hover:text-white transition',
+                      direction && 'text-white',
+                    )}
+                  >
+                    {column.label}
+                    {direction === 'asc' && <FiChevronUp size={12} />}
+                    {direction === 'desc' && <FiChevronDown size={12} />}
+                  </button>
+                </th>
+              );
+            })}
           </tr>
         </thead>
         <tbody className="divide-y divide-slate-800">
@@ -83,61 +170,14 @@ const ScoreTable = ({ scores }) => {
               key={score.id}
               className="hover:bg-slate-800/40 transition group"
             >
-              {/* 곡 제목 */}
-              <td className="px-4 py-3 font-medium text-white max-w-[200px] truncate">
-                {score.song.title}
-              </td>
-              {/* 아티스트 */}
-              <td className="px-4 py-3 text-slate-400 max-w-[160px] truncate">
-                {score.song.artist}
-              </td>
-              {/* 플레이 스타일 */}
-              <td className="px-4 py-3 text-center">
-                <span className="text-slate-300 font-mono text-xs">
-                  {score.chart.playStyle}
-                </span>
-              </td>
-              {/* 레벨 */}
-              <td className="px-4 py-3 text-center">
-                <span className="font-bold text-white">{score.chart.level}</span>
-              </td>
-              {/* 차트 타입 */}
-              <td className="px-4 py-3 text-center">
-                <span className="text-slate-400 text-xs">{score.chart.chartType}</span>
-              </td>
-              {/* 최고 클리어 타입 */}
-              <td className="px-4 py-3 text-center">
-                <ClearBadge type={score.bestClearType} />
-              </td>
-              {/* 최고 점수 */}
-              <td className="px-4 py-3 text-right font-mono text-white">
-                {score.bestScore?.toLocaleString() ?? '-'}
-              </td>
-              {/* DJ 레벨 */}
-              <td className="px-4 py-3 text-center">
-                <span className={clsx('font-mono', DJ_LEVEL_STYLES[score.bestDjLevel])}>
-                  {score.bestDjLevel ?? '-'}
-                </span>
-              </td>
-              {/* MISS 수 */}
-              <td className="px-4 py-3 text-center text-slate-400 font-mono">
-                {score.bestMissCount ?? '-'}
-              </td>
-              {/* 플레이 횟수 */}
-              <td className="px-4 py-3 text-center text-slate-400">
-                {score.playCount}
-              </td>
-              {/* 최근 플레이 */}
-              <td className="px-4 py-3 text-right text-slate-500 text-xs">
-                {/**
-                 * 🎓 date-fns의 format 함수
-                 * JS Date 객체를 원하는 형식의 문자열로 변환합니다.
-                 * 'MM/dd HH:mm' → '02/24 14:30' 처럼 표시됩니다.
-                 */}
-                {score.bestPlayedAt
-                  ? format(new Date(score.bestPlayedAt), 'yy/MM/dd')
-                  : '-'}
-              </td>
+              {columns.map((column) => (
+                <td
+                  key={column.key}
+                  className={clsx('px-4 py-3', COLUMN_ALIGN[column.key] ?? 'text-center', CELL_STYLES[column.key])}
+                >
+                  {CELL_RENDERERS[column.key](score)}
+                </td>
+              ))}
             </tr>
           ))}
         </tbody>
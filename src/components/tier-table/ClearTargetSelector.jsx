@@ -0,0 +1,35 @@
+import React from 'react';
+import { FiTarget } from 'react-icons/fi';
+import useTierStore from '../../store/tierStore';
+import { CLEAR_TARGETS, CLEAR_TYPE_LABELS } from '../../utils/clearTypes';
+
+/**
+ * Goal lamp picker. Progress bars, cleared counts and tile dimming on the
+ * tier table all measure against the selected lamp.
+ */
+const ClearTargetSelector = () => {
+  const { clearTarget, setClearTarget } = useTierStore();
+
+  return (
+    <label
+      className="flex items-center gap-2 bg-gray-900 px-2 py-1 rounded-lg border border-gray-700 shadow-inner text-sm"
+      title="목표 램프"
+    >
+      <FiTarget className={clearTarget ? 'text-accent-400' : 'text-gray-500'} />
+      <select
+        value={clearTarget ?? ''}
+        onChange={(e) => setClearTarget(e.target.value || null)}
+        className="bg-transparent text-gray-300 py-0.5 focus:outline-none"
+      >
+        <option value="" className="bg-gray-900">모든 클리어</option>
+        {CLEAR_TARGETS.map((target) => (
+          <option key={target} value={target} className="bg-gray-900">
+            {CLEAR_TYPE_LABELS[target]} 이상
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ClearTargetSelector;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FiImage } from 'react-icons/fi';
+import useTierStore from '../../store/tierStore';
+import { useAuthStore } from '../../store/authStore';
+import { renderTierImage } from '../../utils/tierImage';
+import { CLEAR_TYPE_LABELS } from '../../utils/clearTypes';
+import { downloadBlob } from '../../utils/download';
+
+/**
+ * Download the current tier table (own lamps, grid layout) as one PNG,
+ * painted client-side so tall tables are not cut off like a screenshot.
+ */
+const ExportImageButton = () => {
+  const { selectedLevel, selectedPlayStyle, enrichedTierData, clearTarget, isLoading } = useTierStore();
+  const username = useAuthStore((state) => state.user?.username);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const now = new Date();
+      const blob = await renderTierImage(enrichedTierData, {
+        title: `☆${selectedLevel} ${selectedPlayStyle} 서열표`,
+        subtitle: [
+          username,
+          format(now, 'yyyy-MM-dd'),
+          clearTarget && `Goal ${CLEAR_TYPE_LABELS[clearTarget]}`,
+        ].filter(Boolean).join(' · '),
+        clearTarget,
+      });
+
+      downloadBlob(blob, `tier-${selectedPlayStyle}-lv${selectedLevel}-${format(now, 'yyyyMMdd')}.png`);
+    } catch (error) {
+      console.error('Failed to export tier table image:', error);
+      toast.error('이미지를 만들지 못했습니다.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleExport}
+      disabled={isLoading || isExporting || enrichedTierData.length === 0}
+      className="p-1.5 flex items-center justify-center rounded-md transition-all border border-gray-700 bg-gray-900 text-gray-400 hover:text-white disabled:opacity-40"
+      title="PNG 이미지로 저장"
+    >
+      <FiImage size={18} />
+    </button>
+  );
+};
+
+export default ExportImageButton;
@@ -0,0 +1,82 @@
+import React, { useMemo, useState } from 'react';
+import { BiChevronDown, BiChevronRight } from 'react-icons/bi';
+import useTierStore from '../../store/tierStore';
+import useTierMetaStore from '../../store/tierMetaStore';
+import SongTile from './SongTile';
+import { CLEAR_TYPE_LABELS } from '../../utils/clearTypes';
+import { recommendNextCharts, STUCK_PLAY_COUNT } from '../../utils/tierRecommend';
+
+const Section = ({ title, description, songs, renderNote }) => (
+  <div className="space-y-2">
+    <div>
+      <h3 className="text-sm font-semibold text-white">{title}</h3>
+      <p className="text-xs text-gray-500">{description}</p>
+    </div>
+    {songs.length === 0 ? (
+      <p className="text-xs text-gray-600 italic">해당하는 차트가 없습니다.</p>
+    ) : (
+      <ul className="space-y-1">
+        {songs.map((song) => (
+          <li key={`${song.tierLabel}-${song.title}-${song.difficulty}`} className="flex items-center gap-2">
+            <SongTile song={song} />
+            <span className="text-xs text-gray-500">{song.tierLabel}{renderNote ? ` · ${renderNote(song)}` : ''}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * What to play next, worked out from the loaded tier table: the easiest
+ * charts still short of the goal lamp, charts one lamp behind what most of
+ * the next harder tier has, and charts played many times without reaching
+ * the goal.
+ */
+const RecommendationPanel = () => {
+  const { enrichedTierData, clearTarget } = useTierStore();
+  const tierOrder = useTierMetaStore((state) => state.meta.tiers);
+  const [isOpen, setIsOpen] = useState(true);
+
+  const { belowTarget, catchUp, stuck } = useMemo(
+    () => recommendNextCharts(enrichedTierData, { clearTarget, tierOrder }),
+    [enrichedTierData, clearTarget, tierOrder]
+  );
+  const goalLabel = clearTarget ? `${CLEAR_TYPE_LABELS[clearTarget]} 이상` : '클리어';
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 shadow-md">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 p-4 text-left text-lg font-semibold text-white"
+      >
+        {isOpen ? <BiChevronDown size={22} /> : <BiChevronRight size={22} />}
+        다음에 할 곡
+      </button>
+
+      {isOpen && (
+        <div className="grid md:grid-cols-3 gap-6 px-5 pb-5">
+          <Section
+            title="쉬운 서열부터"
+            description={`목표 램프(${goalLabel})에 못 미친 가장 낮은 서열의 차트`}
+            songs={belowTarget}
+          />
+          <Section
+            title="한 단계만 더"
+            description="바로 위 서열 대부분이 이미 가진 램프보다 한 단계 낮은 차트"
+            songs={catchUp}
+            renderNote={(song) => `→ ${CLEAR_TYPE_LABELS[song.nextClearType] ?? song.nextClearType}`}
+          />
+          <Section
+            title="많이 했지만 아직"
+            description={`${STUCK_PLAY_COUNT}회 이상 플레이했지만 목표 램프(${goalLabel})에 못 미친 차트`}
+            songs={stuck}
+            renderNote={(song) => `${song.playCount}회`}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecommendationPanel;
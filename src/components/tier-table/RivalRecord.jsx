@@ -0,0 +1,21 @@
+import React from 'react';
+import { countRivalResults } from '../../utils/rival';
+
+/**
+ * Win / lose / draw tally against the rival for one tier's songs.
+ */
+const RivalRecord = ({ songs, className = '' }) => {
+  const { win, lose, draw } = countRivalResults(songs);
+
+  return (
+    <span className={`font-mono font-medium ${className}`} title="Win / Lose / Draw">
+      <span className="text-green-400">{win}W</span>
+      <span className="text-gray-600"> · </span>
+      <span className="text-red-400">{lose}L</span>
+      <span className="text-gray-600"> · </span>
+      <span className="text-gray-400">{draw}D</span>
+    </span>
+  );
+};
+
+export default RivalRecord;
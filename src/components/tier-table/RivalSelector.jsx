@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { FiUsers, FiX } from 'react-icons/fi';
+import useTierStore from '../../store/tierStore';
+import RivalRecord from './RivalRecord';
+
+/**
+ * Rival mode controls: look up another player by username to overlay their
+ * lamps, or show who is being compared against and the overall tally.
+ */
+const RivalSelector = () => {
+  const { rivalUsername, enrichedTierData, isRivalLoading, setRival, clearRival } = useTierStore();
+  const [input, setInput] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const username = input.trim();
+    if (!username) return;
+    setRival(username);
+  };
+
+  if (rivalUsername) {
+    const allSongs = enrichedTierData.flatMap((tierObj) => tierObj.songs);
+
+    return (
+      <div className="flex items-center gap-3 bg-gray-900 px-3 py-1.5 rounded-lg border border-gray-700 text-sm">
+        <FiUsers className="text-accent-400" />
+        <span className="text-gray-300">
+          vs <span className="font-bold text-white">{rivalUsername}</span>
+        </span>
+        <RivalRecord songs={allSongs} className="text-xs" />
+        <button
+          onClick={() => {
+            clearRival();
+            setInput('');
+          }}
+          className="text-gray-500 hover:text-red-400 transition"
+          title="라이벌 비교 끄기"
+        >
+          <FiX />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex bg-gray-900 p-1 rounded-lg border border-gray-700 shadow-inner">
+      <input
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder="라이벌 아이디"
+        className="bg-transparent px-2 py-1 text-sm text-white placeholder-gray-500 w-32 focus:outline-none"
+      />
+      <button
+        type="submit"
+        disabled={isRivalLoading || !input.trim()}
+        className="px-3 py-1 rounded-md text-sm font-medium text-gray-300 hover:text-white hover:bg-gray-800 transition disabled:opacity-40 flex items-center gap-1"
+      >
+        <FiUsers size={14} />
+        {isRivalLoading ? '...' : '비교'}
+      </button>
+    </form>
+  );
+};
+
+export default RivalSelector;
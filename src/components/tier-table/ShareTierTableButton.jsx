@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiCopy, FiShare2 } from 'react-icons/fi';
+import { useAuthStore } from '../../store/authStore';
+import { sharingApi } from '../../api/sharing';
+import { toAppError } from '../../utils/httpError';
+
+const buildPublicTierTablePath = (username, level, playStyle) => (
+  `/u/${encodeURIComponent(username)}/tier-table/${level}/${playStyle}`
+);
+
+/**
+ * Opt-in sharing for the tier table: a toggle that makes the player's tier
+ * tables public, and the link to the read-only view of the one on screen.
+ * Settings are only fetched when the panel is first opened.
+ */
+const ShareTierTableButton = ({ level, playStyle }) => {
+  const username = useAuthStore((state) => state.user?.username);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isPublic, setIsPublic] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const url = username ? `${window.location.origin}${buildPublicTierTablePath(username, level, playStyle)}` : '';
+
+  const handleOpen = async () => {
+    const next = !isOpen;
+    setIsOpen(next);
+    if (!next || isPublic !== null) return;
+
+    try {
+      const settings = await sharingApi.getSharingSettings();
+      setIsPublic(settings.tierTablePublic);
+    } catch (error) {
+      toast.error(toAppError(error, { fallback: '공유 설정을 불러오지 못했습니다.' }).message);
+      setIsOpen(false);
+    }
+  };
+
+  const handleToggle = async () => {
+    setIsSaving(true);
+    try {
+      const settings = await sharingApi.updateSharingSettings({ tierTablePublic: !isPublic });
+      setIsPublic(settings.tierTablePublic);
+      toast.success(settings.tierTablePublic ? '서열표를 공개했습니다.' : '서열표 공개를 해제했습니다.');
+    } catch (error) {
+      toast.error(toAppError(error, { fallback: '공유 설정을 바꾸지 못했습니다.' }).message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('공유 링크를 복사했습니다.');
+    } catch {
+      toast.error('클립보드에 복사하지 못했습니다.');
+    }
+  };
+
+  if (!username) return null;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleOpen}
+        className={`p-1.5 flex items-center justify-center rounded-md transition-all border border-gray-700 ${
+          isOpen ? 'bg-primary-600 text-white' : 'bg-gray-900 text-gray-400 hover:text-white'
+        }`}
+        title="서열표 공유"
+      >
+        <FiShare2 size={18} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 z-20 w-80 bg-slate-900 border border-gray-700 rounded-xl shadow-xl p-4 space-y-3 text-sm">
+          {isPublic === null ? (
+            <p className="text-gray-500">불러오는 중...</p>
+          ) : (
+            <>
+              <label className="flex items-center justify-between gap-3 text-gray-300">
+                <span>
+                  내 서열표 공개
+                  <span className="block text-xs text-gray-500">링크가 있으면 누구나 램프를 볼 수 있습니다.</span>
+                </span>
+                <input
+                  type="checkbox"
+                  checked={isPublic}
+                  disabled={isSaving}
+                  onChange={handleToggle}
+                  className="accent-primary-500 w-4 h-4"
+                />
+              </label>
+
+              {isPublic && (
+                <div className="flex gap-2">
+                  <input
+                    readOnly
+                    value={url}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-300 font-mono"
+                  />
+                  <button
+                    onClick={handleCopy}
+                    className="px-2 rounded-md text-gray-300 hover:text-white hover:bg-gray-800 transition"
+                    title="링크 복사"
+                  >
+                    <FiCopy />
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareTierTableButton;
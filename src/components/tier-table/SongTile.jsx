@@ -1,16 +1,43 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { CLEAR_TYPE_LABELS, normalizeClearType } from '../../utils/clearTypes';
+import { compareRivalLamp } from '../../utils/rival';
+import { abbreviateDifficulty } from '../../utils/tierData';
+import { computeDjLevel, formatGradeGap } from '../../utils/djLevel';
 
-const difficultyLabel = {
-  HYPER: 'H',
-  ANOTHER: 'A',
-  LEGGENDARIA: 'L',
+// Solid lamp colour for the rival half of a split tile; mirrors getColorClass.
+const RIVAL_SWATCH = {
+  FAILED: 'bg-gray-500',
+  ASSIST_CLEAR: 'bg-purple-500',
+  EASY_CLEAR: 'bg-green-500',
+  CLEAR: 'bg-blue-500',
+  HARD_CLEAR: 'bg-white border border-black',
+  EX_HARD_CLEAR: 'bg-yellow-400',
+  FULLCOMBO_CLEAR: 'bg-gradient-to-b from-yellow-300 via-white to-yellow-300',
 };
 
-const SongTile = ({ song }) => {
+const RIVAL_RESULT_RING = {
+  win: 'ring-2 ring-green-400',
+  lose: 'ring-2 ring-red-500',
+  draw: '',
+};
+
+// "1766 AA AAA-12"; the gap needs the note count, the backend grade does not.
+const formatScoreLine = (song) => {
+  if (!song.score) return '-';
+  const djLevel = computeDjLevel(song.score, song.noteCount) ?? song.djLevel;
+  return [song.score, djLevel, formatGradeGap(song.score, song.noteCount)].filter(Boolean).join(' ');
+};
+
+/**
+ * @param {boolean} [dimmed] - the lamp falls short of the player's goal
+ *   (see tierStore.clearTarget)
+ * @param {boolean} [showScore] - add an EX score / DJ level / grade gap line
+ */
+const SongTile = ({ song, dimmed = false, showScore = false }) => {
   const clearType = normalizeClearType(song.clearType) ?? 'NO_PLAY';
   const songTitle = song.title;
-  const difficulty = difficultyLabel[song.difficulty] ?? song.difficulty;
+  const difficulty = abbreviateDifficulty(song.difficulty);
 
   const getColorClass = (clearType) => {
     switch (clearType) {
@@ -25,15 +52,69 @@ const SongTile = ({ song }) => {
     }
   };
 
-  return (
-    <div
-      className={`inline-block px-3 py-1.5 rounded m-1 text-xs md:text-sm cursor-help transition-transform hover:scale-105 active:scale-95 ${getColorClass(clearType)}`}
-      title={`${songTitle}${difficulty ? ` [${difficulty}]` : ''} - ${CLEAR_TYPE_LABELS[clearType] ?? clearType}`}
-    >
+  // rivalClearType is only present in rival mode (see tierStore).
+  const rivalClearType = song.rivalClearType === undefined
+    ? null
+    : normalizeClearType(song.rivalClearType) ?? 'NO_PLAY';
+  const rivalRing = rivalClearType ? RIVAL_RESULT_RING[compareRivalLamp(song)] : '';
+
+  // Set by tierStore when the entry has no difficulty and the song has
+  // several charts at this level; the lamp is deliberately not guessed.
+  const ambiguous = song.ambiguousDifficulties?.length > 1;
+  const className = `inline-flex items-stretch px-3 py-1.5 rounded m-1 text-xs md:text-sm transition-transform hover:scale-105 active:scale-95 ${getColorClass(clearType)} ${rivalRing} ${dimmed ? 'opacity-40 saturate-50' : ''} ${ambiguous ? 'outline outline-1 outline-dashed outline-yellow-400' : ''}`;
+  const baseTooltip = ambiguous
+    ? `${songTitle} - 난이도가 지정되지 않아 ${song.ambiguousDifficulties.join(' / ')} 중 어느 차트인지 알 수 없습니다`
+    : `${songTitle}${difficulty ? ` [${difficulty}]` : ''} - ${CLEAR_TYPE_LABELS[clearType] ?? clearType}`
+      + (rivalClearType ? ` / 라이벌 ${CLEAR_TYPE_LABELS[rivalClearType] ?? rivalClearType}` : '');
+  // Scores come without note counts for now (see chartNoteCount), so say
+  // why the grade gap is missing instead of leaving it out silently.
+  const gapUnavailable = showScore && Boolean(song.score) && !song.noteCount;
+  const tooltip = gapUnavailable ? `${baseTooltip}\n등급 차이: 노트 수 정보가 없어 계산할 수 없습니다` : baseTooltip;
+  const titleParts = (
+    <>
       <span>{songTitle}</span>
       {difficulty && (
-        <span className="ml-1 opacity-70 font-mono text-[10px]">[{difficulty}]</span>
+        <span className="ml-1 opacity-70 font-mono text-[10px] self-center">[{difficulty}]</span>
+      )}
+      {ambiguous && (
+        <span className="ml-1 font-mono text-[10px] self-center text-yellow-300">[?]</span>
       )}
+    </>
+  );
+  const content = (
+    <>
+      {showScore ? (
+        <span className="flex flex-col leading-tight">
+          <span>{titleParts}</span>
+          <span className="font-mono text-[10px] opacity-80">{formatScoreLine(song)}</span>
+        </span>
+      ) : titleParts}
+      {rivalClearType && (
+        <span
+          className={`-my-1.5 -mr-3 ml-2 w-2.5 rounded-r ${RIVAL_SWATCH[rivalClearType] ?? 'bg-gray-700'}`}
+          aria-hidden="true"
+        />
+      )}
+    </>
+  );
+
+  // Only charts the user has a score for have an id to look up history with.
+  if (song.chartId != null) {
+    return (
+      <Link
+        to={`/charts/${song.chartId}`}
+        state={{ chart: { title: songTitle, chartType: song.difficulty } }}
+        className={`${className} cursor-pointer`}
+        title={tooltip}
+      >
+        {content}
+      </Link>
+    );
+  }
+
+  return (
+    <div className={`${className} cursor-help`} title={tooltip}>
+      {content}
     </div>
   );
 };
@@ -0,0 +1,88 @@
+import React from 'react';
+import clsx from 'clsx';
+import { FiEyeOff, FiSearch, FiX } from 'react-icons/fi';
+import useTierStore from '../../store/tierStore';
+import { hasActiveTierFilter, matchesTierFilter } from '../../utils/tierFilter';
+
+const DIFFICULTY_CHIPS = [
+  { value: 'ANOTHER', label: 'A' },
+  { value: 'LEGGENDARIA', label: 'L' },
+];
+
+const chipClass = (active) => clsx(
+  'px-3 py-1 rounded-md text-xs font-medium transition border',
+  active
+    ? 'bg-primary-600 border-primary-500 text-white'
+    : 'bg-gray-900 border-gray-700 text-gray-400 hover:text-white'
+);
+
+/**
+ * Title search and song filters for the tier table. Tiles that fail the
+ * filters are dimmed, or hidden with the eye toggle; counts are unaffected.
+ */
+const TierFilterBar = () => {
+  const { enrichedTierData, filters, clearTarget, setFilters, resetFilters } = useTierStore();
+  const isActive = hasActiveTierFilter(filters);
+
+  const allSongs = enrichedTierData.flatMap((tierObj) => tierObj.songs);
+  const matchCount = isActive ? allSongs.filter((song) => matchesTierFilter(song, filters, clearTarget)).length : null;
+
+  const toggleDifficulty = (difficulty) => {
+    const { difficulties } = filters;
+    setFilters({
+      difficulties: difficulties.includes(difficulty)
+        ? difficulties.filter((d) => d !== difficulty)
+        : [...difficulties, difficulty],
+    });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-2">
+      <div className="flex items-center gap-2 bg-gray-900 px-2 py-1 rounded-lg border border-gray-700 shadow-inner">
+        <FiSearch className="text-gray-500" />
+        <input
+          value={filters.query}
+          onChange={(e) => setFilters({ query: e.target.value })}
+          placeholder="곡 제목 검색"
+          className="bg-transparent text-sm text-white placeholder-gray-500 w-40 focus:outline-none"
+        />
+      </div>
+
+      <button onClick={() => setFilters({ unplayedOnly: !filters.unplayedOnly })} className={chipClass(filters.unplayedOnly)}>
+        미플레이만
+      </button>
+      <button onClick={() => setFilters({ belowTargetOnly: !filters.belowTargetOnly })} className={chipClass(filters.belowTargetOnly)}>
+        목표 미달만
+      </button>
+      {DIFFICULTY_CHIPS.map(({ value, label }) => (
+        <button
+          key={value}
+          onClick={() => toggleDifficulty(value)}
+          className={chipClass(filters.difficulties.includes(value))}
+          title={`${value}만`}
+        >
+          {label}
+        </button>
+      ))}
+
+      <button
+        onClick={() => setFilters({ hideNonMatching: !filters.hideNonMatching })}
+        className={chipClass(filters.hideNonMatching)}
+        title="조건에 맞지 않는 곡을 흐리게 표시하는 대신 숨깁니다"
+      >
+        <FiEyeOff />
+      </button>
+
+      {isActive && (
+        <>
+          <span className="text-xs text-gray-400">{matchCount} / {allSongs.length}곡</span>
+          <button onClick={resetFilters} className="text-gray-500 hover:text-red-400 transition" title="필터 초기화">
+            <FiX />
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TierFilterBar;
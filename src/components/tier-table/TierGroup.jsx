@@ -2,16 +2,21 @@ import React from 'react';
 import useTierStore from '../../store/tierStore';
 import { BiChevronDown, BiChevronRight } from 'react-icons/bi';
 import SongTile from './SongTile';
-import { isClearTypeCleared } from '../../utils/clearTypes';
+import RivalRecord from './RivalRecord';
+import { meetsClearTarget } from '../../utils/clearTypes';
+import { getTileVisibility } from '../../utils/tierFilter';
 
 const TierGroup = ({ tierData }) => {
   const { tier, songs } = tierData;
-  const { expandedTiers, toggleTier } = useTierStore();
+  const { expandedTiers, toggleTier, rivalScores, clearTarget, filters, tileDisplay } = useTierStore();
   const isExpanded = expandedTiers.has(tier);
 
   // Calculate clear percentage for this specific tier
-  const clearedSongs = songs.filter(s => isClearTypeCleared(s.clearType));
+  const clearedSongs = songs.filter(s => meetsClearTarget(s.clearType, clearTarget));
   const clearPercent = songs.length > 0 ? Math.round((clearedSongs.length / songs.length) * 100) : 0;
+  const tiles = songs
+    .map((song) => ({ song, visibility: getTileVisibility(song, { filters, clearTarget }) }))
+    .filter(({ visibility }) => visibility !== 'hidden');
 
   return (
     <div className="mb-4 bg-gray-800 rounded-lg overflow-hidden border border-gray-700 shadow-md">
@@ -30,6 +35,7 @@ const TierGroup = ({ tierData }) => {
           <span className="text-sm text-gray-400">
             {clearedSongs.length} / {songs.length} ({clearPercent}%)
           </span>
+          {rivalScores && <RivalRecord songs={songs} className="text-xs" />}
         </div>
         
         {/* Tier Progress Bar Mini */}
@@ -44,12 +50,19 @@ const TierGroup = ({ tierData }) => {
       {/* Tier Content (Songs) */}
       {isExpanded && (
         <div className="px-4 py-3 border-t border-gray-700 flex flex-wrap bg-gray-800/80">
-          {songs.length > 0 ? (
-            songs.map((song, idx) => (
-               <SongTile key={`${song.title}-${song.difficulty ?? idx}`} song={song} />
+          {tiles.length > 0 ? (
+            tiles.map(({ song, visibility }, idx) => (
+               <SongTile
+                 key={`${song.title}-${song.difficulty ?? idx}`}
+                 song={song}
+                 dimmed={visibility === 'dimmed'}
+                 showScore={tileDisplay === 'score'}
+               />
             ))
           ) : (
-            <div className="text-gray-500 text-sm italic py-2">No songs listed in this tier.</div>
+            <div className="text-gray-500 text-sm italic py-2">
+              {songs.length > 0 ? 'No songs match the filters.' : 'No songs listed in this tier.'}
+            </div>
           )}
         </div>
       )}
@@ -1,14 +1,24 @@
 import React from 'react';
 import useTierStore from '../../store/tierStore';
 import SongTile from './SongTile';
-import { isClearTypeCleared } from '../../utils/clearTypes';
+import RivalRecord from './RivalRecord';
+import { meetsClearTarget } from '../../utils/clearTypes';
+import { getTileVisibility } from '../../utils/tierFilter';
 
 /**
  * Grid View Mode
  * Renders tiers as a dense HTML table simulating the community tier charts
+ *
+ * @param {Array} [tierData] - enriched tiers to render instead of the store's,
+ *   for pages that are not the logged-in user's own table (public share view)
  */
-const TierTableViewGrid = () => {
-  const { enrichedTierData } = useTierStore();
+const TierTableViewGrid = ({ tierData }) => {
+  const store = useTierStore();
+  const enrichedTierData = tierData ?? store.enrichedTierData;
+  const rivalScores = tierData ? null : store.rivalScores;
+  const clearTarget = tierData ? null : store.clearTarget;
+  const filters = tierData ? null : store.filters;
+  const tileDisplay = tierData ? 'lamp' : store.tileDisplay;
 
   return (
     <div className="pb-8 overflow-x-auto">
@@ -19,7 +29,10 @@ const TierTableViewGrid = () => {
               const { tier, songs } = tierObj;
 
               // Calculate clear amount
-              const clearedSongs = songs.filter(s => isClearTypeCleared(s.clearType)).length;
+              const clearedSongs = songs.filter(s => meetsClearTarget(s.clearType, clearTarget)).length;
+              const tiles = songs
+                .map((song) => ({ song, visibility: getTileVisibility(song, { filters, clearTarget }) }))
+                .filter(({ visibility }) => visibility !== 'hidden');
               
               // Alternating row backgrounds for better readability
               const bgClass = idx % 2 === 0 ? 'bg-gray-800/60' : 'bg-gray-850';
@@ -34,18 +47,26 @@ const TierTableViewGrid = () => {
                       <span className="text-[10px] text-gray-500 font-medium">
                         {clearedSongs} / {songs.length}
                       </span>
+                      {rivalScores && <RivalRecord songs={songs} className="text-[10px]" />}
                     </div>
                   </th>
                   
                   {/* Right Column: Song Tiles Dense Layout */}
                   <td className="px-3 py-2 align-middle max-w-4xl">
                     <div className="flex flex-wrap gap-1">
-                      {songs.length > 0 ? (
-                        songs.map((song, sIdx) => (
-                           <SongTile key={`${song.title}-${song.difficulty ?? sIdx}`} song={song} />
+                      {tiles.length > 0 ? (
+                        tiles.map(({ song, visibility }, sIdx) => (
+                           <SongTile
+                             key={`${song.title}-${song.difficulty ?? sIdx}`}
+                             song={song}
+                             dimmed={visibility === 'dimmed'}
+                             showScore={tileDisplay === 'score'}
+                           />
                         ))
                       ) : (
-                        <span className="text-gray-600 italic text-xs px-2">No songs in this tier</span>
+                        <span className="text-gray-600 italic text-xs px-2">
+                          {songs.length > 0 ? 'No matching songs' : 'No songs in this tier'}
+                        </span>
                       )}
                     </div>
                   </td>
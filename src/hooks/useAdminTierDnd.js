@@ -13,8 +13,7 @@ import { sortableKeyboardCoordinates } from '@dnd-kit/sortable';
 import useAdminTierStore from '../store/adminTierStore';
 import { sortSongsByTitle } from '../utils/tierData';
 import { isDropOutsideEveryContainer, resolveDropTarget } from '../utils/adminDndCollision';
-
-const UNASSIGNED_ID = 'unassigned';
+import { UNASSIGNED_SECTION as UNASSIGNED_ID } from '../utils/tierCommand';
 
 const isContainerId = (id, tierData) =>
   id === UNASSIGNED_ID || Object.prototype.hasOwnProperty.call(tierData, id);
@@ -198,8 +197,14 @@ const useAdminTierDnd = () => {
 
     // onDragOver already placed the song in its container in sorted position,
     // so a same-container drop changes nothing and must not dirty the draft.
+    // The store already holds the previewed state, so the pre-drag snapshot
+    // is what one undo step has to return to.
     if (movedAcrossContainers.current) {
-      updateDraftState(tierData, unassigned);
+      const { tierData: previousTiers, unassigned: previousUnassigned } = snapshotRef.current;
+      updateDraftState(tierData, unassigned, {
+        editorTierData: previousTiers,
+        unassignedSongs: previousUnassigned
+      });
     }
     cleanupDragRefs();
   };
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { scoresApi } from '../api/scores';
+import { importApi } from '../api/import';
+import { toAppError } from '../utils/httpError';
+import { normalizeImportSnapshots } from '../utils/progressSeries';
+
+/**
+ * 대시보드 진행 그래프용 데이터를 불러오는 훅
+ *
+ * useScoreHistory와 같은 구조입니다. 전체 스코어는 꼭 필요하지만 업로드
+ * 스냅샷은 있으면 쓰는 보조 자료라, 스냅샷 요청이 실패해도 그래프는
+ * 스코어만으로 그립니다 (snapshots: null).
+ */
+const useProgressHistory = () => {
+  const [scores, setScores] = useState([]);
+  const [snapshots, setSnapshots] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const [allScores, rawSnapshots] = await Promise.all([
+        scoresApi.getAllScores(),
+        importApi.getImportSnapshots().catch((err) => {
+          console.error('Failed to fetch import snapshots:', err);
+          return null;
+        }),
+      ]);
+      setScores(allScores);
+      const normalized = normalizeImportSnapshots(rawSnapshots);
+      setSnapshots(normalized.length > 0 ? normalized : null);
+    } catch (err) {
+      setError(toAppError(err, { fallback: '진행 기록을 불러오는 데 실패했습니다.' }));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return { scores, snapshots, isLoading, error, refetch: fetchHistory };
+};
+
+export default useProgressHistory;
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { sharingApi } from '../api/sharing';
+import { toAppError } from '../utils/httpError';
+import { buildEnrichedTierData } from '../store/tierStore';
+
+// Chart links point at the *viewer's* own history (/charts/:id, login
+// required), so they are dropped from someone else's shared table.
+const withoutChartLinks = (enriched) => enriched.map((tierObj) => ({
+  ...tierObj,
+  songs: tierObj.songs.map((song) => ({ ...song, chartId: null })),
+}));
+
+/**
+ * 다른 사용자가 공개한 서열표를 불러오는 훅
+ *
+ * useScoreHistory와 같은 구조입니다. 공개 페이지는 로그인한 사용자의
+ * tierStore를 건드리면 안 되므로 스토어 대신 이 훅의 상태에 담습니다.
+ *
+ * @param {string} username
+ * @param {number | string} level
+ * @param {'SP' | 'DP'} playStyle
+ * @param {{ enabled?: boolean }} [options] - false면 요청하지 않습니다
+ *   (페이지가 이미 404로 판단한 잘못된 주소)
+ */
+const usePublicTierTable = (username, level, playStyle, { enabled = true } = {}) => {
+  const [tierData, setTierData] = useState([]);
+  const [isLoading, setIsLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  const fetchTierTable = useCallback(async () => {
+    if (!enabled) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const shared = await sharingApi.getPublicTierTable(username, level, playStyle);
+      setTierData(withoutChartLinks(buildEnrichedTierData(shared.tierData, shared.scores, null)));
+    } catch (err) {
+      const appError = toAppError(err, { fallback: '서열표를 불러오는 데 실패했습니다.' });
+      // 비공개와 없는 사용자는 둘 다 404 — 서버 메시지 대신 같은 문구로 보여줍니다.
+      setError(appError.status === 404
+        ? { ...appError, message: '공개되지 않았거나 존재하지 않는 서열표입니다.' }
+        : appError);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [enabled, username, level, playStyle]);
+
+  useEffect(() => {
+    fetchTierTable();
+  }, [fetchTierTable]);
+
+  return { tierData, isLoading, error, refetch: fetchTierTable };
+};
+
+export default usePublicTierTable;
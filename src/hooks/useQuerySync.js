@@ -0,0 +1,73 @@
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+/**
+ * 스토어 상태 ↔ URL 쿼리 스트링 양방향 동기화
+ *
+ * 🎓 왜 필요한가요?
+ * Zustand 스토어는 메모리에만 있어서 새로고침하면 필터가 사라지고,
+ * "SP 12레벨 HARD 미만" 같은 화면을 링크로 공유할 수도 없습니다.
+ * 상태를 URL에도 적어 두면 새로고침 · 북마크 · 공유 · 뒤로/앞으로 가기가 모두 됩니다.
+ *
+ * 🎓 동작 방식
+ * - 스토어 → URL: 상태가 바뀌면 history에 새 항목을 push 합니다.
+ *   (필터를 바꾼 뒤 뒤로 가기를 누르면 이전 필터로 돌아갑니다)
+ * - URL → 스토어: 새로고침이나 뒤로/앞으로 가기로 쿼리가 바뀌면 store.applyQuery를 부릅니다.
+ * - 쿼리 없이 들어왔는데 스토어에 상태가 남아 있으면(다른 메뉴에 갔다가 돌아온 경우)
+ *   스토어를 기준으로 URL을 채웁니다.
+ *
+ * syncedRef는 "마지막으로 양쪽이 일치했던 쿼리"입니다. 한쪽이 바뀌어 그 값과
+ * 달라졌을 때만 반대쪽을 고치므로 URL과 스토어가 서로를 끝없이 갱신하지 않습니다.
+ *
+ * @param {Function} store - applyQuery(URLSearchParams) 액션이 있는 Zustand 스토어 훅
+ * @param {(state: object) => URLSearchParams} toQuery - 모듈 상수로 넘겨야 합니다
+ *   (렌더링마다 새 함수면 구독을 매번 다시 겁니다)
+ */
+const useQuerySync = (store, toQuery) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const syncedRef = useRef(null);
+  const lastSearchRef = useRef(null);
+  const isApplyingRef = useRef(false);
+
+  // URL → 스토어
+  useEffect(() => {
+    // StrictMode는 effect를 한 번 더 실행합니다. 그사이 URL이 그대로면 할 일이 없습니다.
+    if (location.search === lastSearchRef.current) return;
+    const isFirstSync = lastSearchRef.current === null;
+    lastSearchRef.current = location.search;
+
+    const params = new URLSearchParams(location.search);
+
+    if (isFirstSync && params.toString() === '') {
+      const stored = toQuery(store.getState()).toString();
+      syncedRef.current = stored;
+      if (stored) navigate({ search: `?${stored}` }, { replace: true });
+      return;
+    }
+    if (params.toString() === syncedRef.current) return;
+
+    isApplyingRef.current = true;
+    store.getState().applyQuery(params);
+    isApplyingRef.current = false;
+
+    // 잘못된 값이나 기본값이 적힌 링크는 정리된 모양으로 바꿔 둡니다 (history는 늘리지 않음).
+    const canonical = toQuery(store.getState()).toString();
+    syncedRef.current = canonical;
+    if (canonical !== params.toString()) {
+      navigate({ search: canonical ? `?${canonical}` : '' }, { replace: true });
+    }
+  }, [location.search, navigate, store, toQuery]);
+
+  // 스토어 → URL
+  useEffect(() => store.subscribe((state) => {
+    if (isApplyingRef.current || syncedRef.current === null) return;
+
+    const query = toQuery(state).toString();
+    if (query === syncedRef.current) return;
+    syncedRef.current = query;
+    navigate({ search: query ? `?${query}` : '' });
+  }), [navigate, store, toQuery]);
+};
+
+export default useQuerySync;
@@ -0,0 +1,44 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { scoresApi } from '../api/scores';
+import { toAppError } from '../utils/httpError';
+
+/**
+ * 차트 하나의 기록 이력을 불러오는 훅
+ *
+ * useScores와 같은 구조입니다: chartId가 바뀌면 다시 불러오고,
+ * 에러는 toAppError로 정규화해서 화면이 상태 코드별 UI를 고를 수 있게 합니다.
+ * 다른 차트로 넘어간 뒤 늦게 도착한 이전 차트의 응답은 useScores처럼
+ * 요청 번호로 걸러 냅니다.
+ *
+ * @param {string | number} chartId
+ */
+const useScoreHistory = (chartId) => {
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const latestRequestRef = useRef(0);
+
+  const fetchHistory = useCallback(async () => {
+    const requestId = ++latestRequestRef.current;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await scoresApi.getScoreHistory(chartId);
+      if (requestId === latestRequestRef.current) setHistory(result);
+    } catch (err) {
+      if (requestId === latestRequestRef.current) {
+        setError(toAppError(err, { fallback: '기록 이력을 불러오는 데 실패했습니다.' }));
+      }
+    } finally {
+      if (requestId === latestRequestRef.current) setIsLoading(false);
+    }
+  }, [chartId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return { history, isLoading, error, refetch: fetchHistory };
+};
+
+export default useScoreHistory;
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { scoresApi } from '../api/scores';
 import { useScoresStore } from '../store/scoresStore';
 import { toAppError } from '../utils/httpError';
@@ -33,6 +33,13 @@ const useScores = () => {
   // toAppError가 정규화한 객체({ status, message, retryable, ... })를 담습니다.
   // 문자열이 아니라 객체인 이유: 화면이 상태 코드별로 다른 UI를 보여줘야 하기 때문입니다.
   const [error, setError] = useState(null);
+  /**
+   * 🎓 늦게 도착한 응답 무시하기
+   * URL 쿼리로 필터가 채워지거나 뒤로 가기를 빠르게 누르면 요청이 연달아 나갑니다.
+   * 먼저 보낸 요청이 나중에 도착하면 화면이 옛 필터 결과로 덮이므로,
+   * 가장 최근 요청의 번호만 기억해 두고 그 응답만 반영합니다.
+   */
+  const latestRequestRef = useRef(0);
 
   /**
    * 🎓 useCallback이란?
@@ -46,6 +53,7 @@ const useScores = () => {
    * useEffect가 무한히 실행될 수 있습니다!
    */
   const fetchScores = useCallback(async () => {
+    const requestId = ++latestRequestRef.current;
     setIsLoading(true);
     setError(null);
     try {
@@ -53,12 +61,15 @@ const useScores = () => {
         ...filters,
         page: pagination.page,
         size: pagination.size,
+        sort: pagination.sort, // ''이면 toCleanParams가 빼고 보냅니다
       });
-      setData(result);
+      if (requestId === latestRequestRef.current) setData(result);
     } catch (err) {
-      setError(toAppError(err, { fallback: '스코어를 불러오는 데 실패했습니다.' }));
+      if (requestId === latestRequestRef.current) {
+        setError(toAppError(err, { fallback: '스코어를 불러오는 데 실패했습니다.' }));
+      }
     } finally {
-      setIsLoading(false);
+      if (requestId === latestRequestRef.current) setIsLoading(false);
     }
   }, [filters, pagination]);
 
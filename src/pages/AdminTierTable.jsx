@@ -1,11 +1,24 @@
-import React, { useEffect, useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { useBlocker } from 'react-router-dom';
+import { FiCheckCircle, FiClock, FiCommand, FiCornerUpLeft, FiCornerUpRight } from 'react-icons/fi';
 import { DndContext, DragOverlay } from '@dnd-kit/core';
 import useAdminTierStore, { buildSectionKeys } from '../store/adminTierStore';
+import useTierMetaStore from '../store/tierMetaStore';
+import { getLevelsFor } from '../utils/tierMeta';
 import useAdminTierDnd from '../hooks/useAdminTierDnd';
 import DroppableTierRow from '../components/admin/DroppableTierRow';
 import { SongTileChip } from '../components/admin/SortableSongTile';
 import UnassignedPool from '../components/admin/UnassignedPool';
 import AdminBootstrapUpload from '../components/admin/AdminBootstrapUpload';
+import TierTransferMenu from '../components/admin/TierTransferMenu';
+import TitleMatchPanel from '../components/admin/TitleMatchPanel';
+import TierLintDialog from '../components/admin/TierLintDialog';
+import TierHistoryPanel from '../components/admin/TierHistoryPanel';
+import SaveReviewDialog from '../components/admin/SaveReviewDialog';
+import BulkMoveBar from '../components/admin/BulkMoveBar';
+import TierCommandPalette from '../components/admin/TierCommandPalette';
 import { default as FullPageSpinner } from '../components/common/Spinner';
 
 const AdminTierTable = () => {
@@ -14,13 +27,31 @@ const AdminTierTable = () => {
     selectedPlayStyle,
     editorTierData,
     unassignedSongs,
+    tiers,
+    categories,
     hasChanges,
+    loadedVersion,
+    saveReview,
+    undoStack,
+    redoStack,
+    recoverableDraft,
+    selectedIds,
     isLoading,
     isSaving,
     setLevel,
     setPlayStyle,
     fetchDataForEdit,
-    saveChanges
+    requestSave,
+    cancelSave,
+    saveChanges,
+    undo,
+    redo,
+    restoreDraft,
+    discardDraft,
+    selectSong,
+    setSelection,
+    clearSelection,
+    moveSongs
   } = useAdminTierStore();
 
   const {
@@ -33,11 +64,79 @@ const AdminTierTable = () => {
     handleDragCancel
   } = useAdminTierDnd();
 
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [isLintOpen, setIsLintOpen] = useState(false);
+
+  const tierMeta = useTierMetaStore((state) => state.meta);
+  const levels = getLevelsFor(tierMeta, selectedPlayStyle);
+
   useEffect(() => {
     fetchDataForEdit();
   }, [selectedLevel, selectedPlayStyle, fetchDataForEdit]);
 
-  const orderedTiers = useMemo(() => buildSectionKeys(), []);
+  // Ctrl+Z / Ctrl+Shift+Z (and Cmd on macOS) undo and redo, Ctrl+K opens the
+  // command palette, Escape drops the selection. Ignored mid-drag, while a
+  // dialog is open, and inside text fields so native undo still works.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (activeId || saveReview || isPaletteOpen || isLintOpen) return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'escape') {
+        clearSelection();
+        return;
+      }
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      if (key === 'k') {
+        event.preventDefault();
+        setIsPaletteOpen(true);
+      } else if (key === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) redo();
+        else undo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [activeId, saveReview, isPaletteOpen, isLintOpen, undo, redo, clearSelection]);
+
+  const handleBulkMove = (target) => {
+    const moved = moveSongs(selectedIds, target);
+    if (moved > 0) toast.success(`Moved ${moved} songs to ${target.replace('|', ' ')}`);
+  };
+
+  // The draft is autosaved, but a refresh or closed tab still deserves a
+  // prompt: the admin may not know the edits were never published.
+  useEffect(() => {
+    if (!hasChanges) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasChanges]);
+
+  // Same prompt for in-app navigation (header links, back button). Going to
+  // /login is let through: that is the session ending, and the draft is
+  // already autosaved for the next sign-in.
+  const blocker = useBlocker(({ currentLocation, nextLocation }) => (
+    hasChanges
+    && nextLocation.pathname !== currentLocation.pathname
+    && nextLocation.pathname !== '/login'
+  ));
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+    if (window.confirm('Unsaved changes have not been published. Leave the editor?')) blocker.proceed();
+    else blocker.reset();
+  }, [blocker]);
+
+  const orderedTiers = useMemo(() => buildSectionKeys(tiers, categories), [tiers, categories]);
 
   const activeItem = useMemo(() => {
     if (!activeId) return null;
@@ -56,6 +155,7 @@ const AdminTierTable = () => {
 
         <div className="flex flex-wrap items-center gap-3">
           <AdminBootstrapUpload playStyle={selectedPlayStyle} />
+          <TierTransferMenu />
 
           <div className="flex bg-gray-900 p-1 rounded-lg border border-gray-700 shadow-inner">
             {['SP', 'DP'].map((style) => (
@@ -74,7 +174,7 @@ const AdminTierTable = () => {
           </div>
 
           <div className="flex bg-gray-900 p-1 rounded-lg border border-gray-700 shadow-inner">
-            {[10, 11, 12].map((level) => (
+            {levels.map((level) => (
               <button
                 key={level}
                 onClick={() => setLevel(level)}
@@ -90,8 +190,50 @@ const AdminTierTable = () => {
           </div>
 
           <div className="flex gap-2">
+            <div className="flex bg-gray-900 p-1 rounded-lg border border-gray-700 shadow-inner">
+              <button
+                onClick={undo}
+                disabled={undoStack.length === 0}
+                title="Undo (Ctrl+Z)"
+                className="px-3 py-1.5 rounded-md text-gray-300 hover:text-white hover:bg-gray-800 disabled:text-gray-600 disabled:hover:bg-transparent transition"
+              >
+                <FiCornerUpLeft />
+              </button>
+              <button
+                onClick={redo}
+                disabled={redoStack.length === 0}
+                title="Redo (Ctrl+Shift+Z)"
+                className="px-3 py-1.5 rounded-md text-gray-300 hover:text-white hover:bg-gray-800 disabled:text-gray-600 disabled:hover:bg-transparent transition"
+              >
+                <FiCornerUpRight />
+              </button>
+            </div>
             <button
-              onClick={saveChanges}
+              onClick={() => setIsPaletteOpen(true)}
+              title="Assign by keyboard (Ctrl+K)"
+              className="px-3 py-2 rounded-lg text-sm border transition flex items-center gap-2 bg-slate-800 hover:bg-slate-700 text-slate-300 border-slate-700"
+            >
+              <FiCommand /> K
+            </button>
+            <button
+              onClick={() => setIsLintOpen(true)}
+              disabled={isLoading}
+              className="px-4 py-2 rounded-lg font-medium text-sm border transition flex items-center gap-2 bg-slate-800 hover:bg-slate-700 text-slate-300 border-slate-700"
+            >
+              <FiCheckCircle /> Check table
+            </button>
+            <button
+              onClick={() => setIsHistoryOpen((open) => !open)}
+              className={`px-4 py-2 rounded-lg font-medium text-sm border transition flex items-center gap-2 ${
+                isHistoryOpen
+                  ? 'bg-gray-700 text-white border-gray-600'
+                  : 'bg-slate-800 hover:bg-slate-700 text-slate-300 border-slate-700'
+              }`}
+            >
+              <FiClock /> History
+            </button>
+            <button
+              onClick={requestSave}
               disabled={!hasChanges || isSaving}
               className={`px-4 py-2 rounded-lg font-bold shadow-md transition-all flex items-center gap-2 ${
                 hasChanges
@@ -105,6 +247,41 @@ const AdminTierTable = () => {
         </div>
       </div>
 
+      {isHistoryOpen && <TierHistoryPanel sectionOrder={orderedTiers} />}
+
+      {recoverableDraft && (
+        <div className="flex flex-wrap items-center justify-between gap-3 bg-yellow-900/30 border border-yellow-700 text-yellow-200 text-sm rounded-lg px-4 py-3">
+          <span>
+            Unsaved draft from {format(new Date(recoverableDraft.savedAt), 'yyyy-MM-dd HH:mm')} found
+            ({recoverableDraft.changeCount} songs differ from the live table).
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={restoreDraft}
+              className="px-3 py-1 rounded-md bg-yellow-600 hover:bg-yellow-500 text-white font-medium"
+            >
+              Restore
+            </button>
+            <button
+              onClick={discardDraft}
+              className="px-3 py-1 rounded-md text-yellow-200 hover:bg-yellow-900/50"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!isLoading && <TitleMatchPanel key={`${selectedPlayStyle}-${selectedLevel}`} />}
+
+      {loadedVersion && (
+        <div className="bg-primary-900/30 border border-primary-700 text-primary-200 text-sm rounded-lg px-4 py-3">
+          Showing a past version
+          {Date.parse(loadedVersion.savedAt) ? ` saved ${format(new Date(loadedVersion.savedAt), 'yyyy-MM-dd HH:mm')}` : ''}
+          {loadedVersion.author ? ` by ${loadedVersion.author}` : ''}. Apply Changes to make it live again.
+        </div>
+      )}
+
       {isLoading ? (
         <div className="py-24 flex justify-center items-center">
           <FullPageSpinner size="lg" message="Loading editor data..." />
@@ -118,7 +295,12 @@ const AdminTierTable = () => {
           onDragEnd={handleDragEnd}
           onDragCancel={handleDragCancel}
         >
-          <UnassignedPool unassignedSongs={unassignedSongs} />
+          <UnassignedPool
+            unassignedSongs={unassignedSongs}
+            selectedIds={selectedIds}
+            onSelectSong={selectSong}
+            onSelectMany={setSelection}
+          />
 
           <div className="bg-gray-850 p-6 rounded-xl border border-gray-700 shadow-xl">
             {orderedTiers.map((tierName) => (
@@ -127,6 +309,8 @@ const AdminTierTable = () => {
                 id={tierName}
                 title={tierName.replace('|', ' ')}
                 items={editorTierData[tierName] || []}
+                selectedIds={selectedIds}
+                onSelectSong={selectSong}
               />
             ))}
 
@@ -140,12 +324,35 @@ const AdminTierTable = () => {
           <DragOverlay>
             {activeItem ? (
               <div className="opacity-90 scale-105 shadow-2xl pointer-events-none rotate-2">
-                <SongTileChip title={activeItem.title} />
+                <SongTileChip title={activeItem.title} difficulty={activeItem.difficulty} />
               </div>
             ) : null}
           </DragOverlay>
         </DndContext>
       )}
+
+      {selectedIds.length > 0 && !isPaletteOpen && (
+        <BulkMoveBar
+          selectedCount={selectedIds.length}
+          sectionOrder={orderedTiers}
+          onMove={handleBulkMove}
+          onClear={clearSelection}
+        />
+      )}
+
+      {isLintOpen && <TierLintDialog onClose={() => setIsLintOpen(false)} />}
+
+      {isPaletteOpen && <TierCommandPalette onClose={() => setIsPaletteOpen(false)} />}
+
+      {saveReview && (
+        <SaveReviewDialog
+          review={saveReview}
+          sectionOrder={orderedTiers}
+          isSaving={isSaving}
+          onConfirm={saveChanges}
+          onCancel={cancelSave}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,143 @@
+import { useMemo } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import clsx from 'clsx';
+import { format } from 'date-fns';
+import { FiArrowLeft, FiTrendingUp } from 'react-icons/fi';
+import useScoreHistory from '../hooks/useScoreHistory';
+import ClearBadge from '../components/scores/ClearBadge';
+import { FullPageSpinner } from '../components/common/Spinner';
+import ErrorView from '../components/common/ErrorView';
+import { buildHistoryTimeline } from '../utils/scoreHistory';
+
+/**
+ * 🎓 학습 포인트: location.state로 화면 간 데이터 넘기기
+ *
+ * 스코어 목록이나 서열표에서 이 페이지로 올 때 <Link state={{ chart }}>로
+ * 곡 제목/레벨을 함께 넘깁니다. 이력 API가 응답하기 전에도 헤더를 바로
+ * 그릴 수 있고, 주소를 직접 열었을 때(state 없음)는 이력 응답에서 읽습니다.
+ */
+
+const Delta = ({ value, lowerIsBetter = false }) => {
+  if (!value) return null;
+  const improved = lowerIsBetter ? value < 0 : value > 0;
+
+  return (
+    <span className={clsx('text-xs font-mono ml-1', improved ? 'text-green-400' : 'text-red-400')}>
+      {value > 0 ? `+${value}` : value}
+    </span>
+  );
+};
+
+const ChartDetail = () => {
+  const { chartId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { history, isLoading, error, refetch } = useScoreHistory(chartId);
+
+  const timeline = useMemo(() => buildHistoryTimeline(history), [history]);
+
+  const latest = history[history.length - 1];
+  const passedChart = location.state?.chart ?? {};
+  const chart = {
+    title: passedChart.title ?? latest?.song?.title,
+    chartType: passedChart.chartType ?? latest?.chart?.chartType,
+    level: passedChart.level ?? latest?.chart?.level,
+    playStyle: passedChart.playStyle ?? latest?.chart?.playStyle,
+  };
+
+  // 서열표 타일에서 왔으면 서열표로 돌아갑니다. 주소를 직접 열었을 때는
+  // 앱 안에 돌아갈 곳이 없으므로(location.key가 'default') 스코어 목록으로 갑니다.
+  const hasAppHistory = location.key !== 'default';
+  const goBack = () => (hasAppHistory ? navigate(-1) : navigate('/scores'));
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div>
+        <button
+          type="button"
+          onClick={goBack}
+          className="inline-flex items-center gap-1 text-sm text-slate-400 hover:text-white transition"
+        >
+          <FiArrowLeft /> {hasAppHistory ? '뒤로' : '스코어 목록'}
+        </button>
+        <h1 className="text-2xl font-bold text-white mt-2">{chart.title ?? '차트 기록'}</h1>
+        <div className="flex items-center gap-2 mt-1 text-sm text-slate-400">
+          {chart.playStyle && <span className="font-mono">{chart.playStyle}</span>}
+          {chart.level != null && <span className="font-mono">☆{chart.level}</span>}
+          {chart.chartType && (
+            <span className="text-xs bg-slate-700 px-1.5 py-0.5 rounded">{chart.chartType}</span>
+          )}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-20">
+          <FullPageSpinner />
+        </div>
+      ) : error ? (
+        <ErrorView
+          status={error.status}
+          message={error.message}
+          variant="page"
+          onRetry={error.retryable ? refetch : undefined}
+        />
+      ) : timeline.length === 0 ? (
+        <p className="text-slate-500 text-center py-20">이 차트의 기록이 없습니다.</p>
+      ) : (
+        /**
+         * 🎓 세로 타임라인
+         * 왼쪽 테두리(border-l)를 선으로, 각 항목의 점(absolute)을 노드로 씁니다.
+         * 최신 기록이 위에 오도록 뒤집어서 렌더링합니다.
+         */
+        <ol className="relative border-l border-slate-700 ml-2 space-y-4">
+          {timeline.map((entry) => (
+            <li key={entry.id ?? entry.playedAt} className="ml-6">
+              <span
+                className={clsx(
+                  'absolute -left-1.5 mt-2 w-3 h-3 rounded-full border-2 border-bg-darker',
+                  entry.lampImproved ? 'bg-primary-500' : 'bg-slate-600'
+                )}
+              />
+              <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <ClearBadge type={entry.clearType} />
+                  {entry.lampImproved && (
+                    <span className="inline-flex items-center gap-1 text-xs text-primary-400">
+                      <FiTrendingUp /> 램프 갱신
+                    </span>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-6 text-sm">
+                  <div className="text-right">
+                    <p className="text-slate-500 text-xs">SCORE</p>
+                    <p className="font-mono text-white">
+                      {entry.score?.toLocaleString() ?? '-'}
+                      <Delta value={entry.scoreDelta} />
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-slate-500 text-xs">MISS</p>
+                    <p className="font-mono text-slate-300">
+                      {entry.missCount ?? '-'}
+                      <Delta value={entry.missDelta} lowerIsBetter />
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-slate-500 text-xs">DJ</p>
+                    <p className="font-mono text-slate-300">{entry.djLevel ?? '-'}</p>
+                  </div>
+                  <p className="text-xs text-slate-500 w-20 text-right">
+                    {entry.playedAt ? format(new Date(entry.playedAt), 'yyyy-MM-dd') : '-'}
+                  </p>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ChartDetail;
@@ -1,10 +1,15 @@
 import { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import { FiUploadCloud, FiFile, FiX, FiCheckCircle } from 'react-icons/fi';
+import { FiUploadCloud, FiFile, FiX, FiCheckCircle, FiAlertTriangle } from 'react-icons/fi';
 import { importApi } from '../api/import';
+import { scoresApi } from '../api/scores';
 import Button from '../components/common/Button';
+import CsvPreview from '../components/import/CsvPreview';
+import ImportDiffReport from '../components/import/ImportDiffReport';
 import { toAppError } from '../utils/httpError';
+import { detectCsvPlayStyle, parseScoreCsv } from '../utils/scoreCsv';
+import { diffScoreSnapshots } from '../utils/importDiff';
 
 /**
  * 🎓 학습 포인트: 파일 입력을 다루는 두 가지 방법
@@ -37,6 +42,22 @@ const StatCard = ({ label, value, color = 'text-white' }) => (
   </div>
 );
 
+/**
+ * 갱신 기록(diff)을 만들기 위한 스코어 스냅샷.
+ * 백엔드는 업로드 결과로 집계 숫자만 돌려주므로, 업로드 전후의 전체 스코어를
+ * 비교해야 "어떤 차트가 올랐는지" 알 수 있습니다.
+ * 실패해도 업로드 자체는 막지 않습니다 — 기록만 생략됩니다 (null 반환).
+ */
+const fetchScoreSnapshot = async (playStyle) => {
+  try {
+    // The report compares what the server holds right now, never a cached copy.
+    return await scoresApi.getAllScores({ playStyle }, { force: true });
+  } catch (err) {
+    console.error('Failed to snapshot scores for the import report:', err);
+    return null;
+  }
+};
+
 const CsvUpload = () => {
   const navigate = useNavigate();
   const fileInputRef = useRef(null); // 숨긴 file input을 참조
@@ -48,6 +69,8 @@ const CsvUpload = () => {
   const [uploadState, setUploadState] = useState('idle'); // idle | uploading | success | error
   const [progress, setProgress] = useState(0);      // 업로드 진행률 %
   const [result, setResult] = useState(null);        // API 응답 결과
+  const [preview, setPreview] = useState(null);      // parseScoreCsv 결과 (업로드 전 미리보기)
+  const [changes, setChanges] = useState(null);      // 업로드 전후 스코어 diff (null이면 기록 없음)
 
   // ─── 파일 유효성 검사 ───
   const validateFile = (selectedFile) => {
@@ -63,14 +86,52 @@ const CsvUpload = () => {
     return true;
   };
 
-  const handleFileSelect = (selectedFile) => {
-    if (validateFile(selectedFile)) {
-      setFile(selectedFile);
-      setUploadState('idle');
-      setResult(null);
+  /**
+   * 🎓 업로드 전에 브라우저에서 먼저 파싱합니다.
+   * 서버는 잘못된 파일을 이유 없는 400으로 거절하기 때문에,
+   * 같은 검사를 여기서 돌려 "몇 번째 행이 왜 문제인지"를 먼저 보여줍니다.
+   * File.text()는 파일 내용을 문자열로 읽는 Promise를 반환합니다.
+   */
+  const handleFileSelect = async (selectedFile) => {
+    if (!validateFile(selectedFile)) return;
+
+    setFile(selectedFile);
+    setUploadState('idle');
+    setResult(null);
+    setPreview(null);
+    setChanges(null);
+
+    try {
+      const text = await selectedFile.text();
+      setPreview(parseScoreCsv(text));
+    } catch {
+      toast.error('파일을 읽지 못했습니다.');
+      setFile(null);
     }
   };
 
+  const clearFile = () => {
+    setFile(null);
+    setPreview(null);
+    setUploadState('idle');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  // ─── 업로드 차단 사유 ───
+  // SP/DP는 CSV 헤더로 판단합니다 (DP 파일에는 BEGINNER 열이 없음).
+  const detectedPlayStyle = file ? detectCsvPlayStyle(preview, file.name) : null;
+  const playStyleMismatch = detectedPlayStyle !== null && detectedPlayStyle !== playStyle;
+  const blockingReason = !preview
+    ? null
+    : preview.missingColumns.length > 0
+    ? `e-amusement 스코어 CSV가 아닙니다. 필요한 열이 없습니다: ${preview.missingColumns.join(', ')}`
+    : preview.rows.length === 0
+    ? '읽을 수 있는 스코어 행이 없습니다.'
+    : playStyleMismatch
+    ? `${detectedPlayStyle} 파일로 보이지만 ${playStyle}이(가) 선택되어 있습니다.`
+    : null;
+  const canUpload = Boolean(file && preview && !blockingReason);
+
   // ─── 드래그 앤 드롭 핸들러 ───
   const handleDragOver = (e) => {
     e.preventDefault(); // 브라우저 기본 동작(파일 열기) 방지
@@ -87,13 +148,18 @@ const CsvUpload = () => {
 
   // ─── 업로드 실행 ───
   const handleUpload = async () => {
-    if (!file) return;
+    if (!canUpload) return;
     setUploadState('uploading');
     setProgress(0);
+    setChanges(null);
 
     try {
+      const before = await fetchScoreSnapshot(playStyle);
       const data = await importApi.uploadCsv(file, playStyle, setProgress);
+      scoresApi.clearAllScoresCache();
+      const after = before ? await fetchScoreSnapshot(playStyle) : null;
       setResult(data);
+      setChanges(before && after ? diffScoreSnapshots(before, after) : null);
       setUploadState('success');
       toast.success(`${data.scoresImported + data.scoresUpdated}개 스코어 처리 완료!`);
     } catch (err) {
@@ -171,8 +237,7 @@ const CsvUpload = () => {
             <button
               onClick={(e) => {
                 e.stopPropagation(); // 부모 div의 onClick 막기
-                setFile(null);
-                setUploadState('idle');
+                clearFile();
               }}
               className="ml-auto text-slate-500 hover:text-red-400 p-1 transition"
             >
@@ -191,6 +256,29 @@ const CsvUpload = () => {
         )}
       </div>
 
+      {/* ── 업로드 차단 사유 ── */}
+      {blockingReason && uploadState !== 'success' && (
+        <div className="flex items-start gap-3 bg-red-900/20 border border-red-700/50 rounded-xl p-4 text-sm text-red-300">
+          <FiAlertTriangle className="flex-shrink-0 mt-0.5" size={18} />
+          <div className="flex-1 space-y-2">
+            <p>{blockingReason}</p>
+            {playStyleMismatch && (
+              <button
+                onClick={() => setPlayStyle(detectedPlayStyle)}
+                className="text-primary-400 hover:text-primary-300 font-medium transition"
+              >
+                {detectedPlayStyle}로 전환 →
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* ── 업로드 전 미리보기 ── */}
+      {preview && preview.missingColumns.length === 0 && uploadState !== 'success' && (
+        <CsvPreview preview={preview} />
+      )}
+
       {/* ── 업로드 진행률 바 ── */}
       {uploadState === 'uploading' && (
         <div>
@@ -225,6 +313,7 @@ const CsvUpload = () => {
             <StatCard label="신규 스코어" value={result.scoresImported} color="text-green-400" />
             <StatCard label="스코어 갱신" value={result.scoresUpdated} color="text-yellow-400" />
           </div>
+          {changes && <ImportDiffReport changes={changes} playStyle={playStyle} />}
           <Button
             variant="secondary"
             className="w-full"
@@ -241,7 +330,7 @@ const CsvUpload = () => {
           className="w-full"
           onClick={handleUpload}
           isLoading={uploadState === 'uploading'}
-          disabled={!file || uploadState === 'uploading'}
+          disabled={!canUpload || uploadState === 'uploading'}
         >
           <FiUploadCloud />
           {uploadState === 'uploading' ? '업로드 중...' : '업로드'}
@@ -2,9 +2,13 @@ import { Link } from 'react-router-dom';
 import { format } from 'date-fns';
 import { FiActivity, FiStar, FiAward, FiCheckCircle, FiTarget } from 'react-icons/fi';
 import useDashboard from '../hooks/useDashboard';
+import LampDistribution from '../components/dashboard/LampDistribution';
+import LevelLampMatrix from '../components/dashboard/LevelLampMatrix';
+import ProgressCharts from '../components/dashboard/ProgressCharts';
 import { FullPageSpinner } from '../components/common/Spinner';
 import ErrorView from '../components/common/ErrorView';
 import { CLEAR_TYPE_LABELS, normalizeClearType } from '../utils/clearTypes';
+import { DJ_LEVELS } from '../utils/scoreSummary';
 
 /**
  * 🎓 학습 포인트: StatCard 컴포넌트 분리
@@ -26,7 +30,7 @@ const StatCard = ({ icon: Icon, label, value, colorClass }) => (
 );
 
 const Dashboard = () => {
-  const { stats, recentScores, isLoading, error, refetch } = useDashboard();
+  const { summary, recentScores, isLoading, error, refetch } = useDashboard();
 
   if (isLoading) {
     return (
@@ -47,15 +51,6 @@ const Dashboard = () => {
     );
   }
 
-  // 🎓 클리어 비율 계산 (총 플레이 기반)
-  const playedCount = stats.total;
-  const fcPercent = playedCount > 0 ? (stats.fullCombo / playedCount) * 100 : 0;
-  const exHardPercent = playedCount > 0 ? (stats.exHard / playedCount) * 100 : 0;
-  const hardPercent = playedCount > 0 ? (stats.hard / playedCount) * 100 : 0;
-  const clearPercent = playedCount > 0 ? (stats.clear / playedCount) * 100 : 0;
-  // 나머지는 Failed/Assist 등
-  const otherPercent = Math.max(0, 100 - (fcPercent + exHardPercent + hardPercent + clearPercent));
-
   return (
     <div className="space-y-8 max-w-5xl mx-auto">
       <div>
@@ -70,54 +65,44 @@ const Dashboard = () => {
 
       {/* ── 1. 통계 카드 행 ── */}
       <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
-        <StatCard icon={FiTarget} label="Play Count" value={stats.total} colorClass="text-slate-300" />
-        <StatCard icon={FiStar} label="FULL COMBO" value={stats.fullCombo} colorClass="text-[#fecaca]" />
-        <StatCard icon={FiAward} label="EX HARD" value={stats.exHard} colorClass="text-[#fef08a]" />
-        <StatCard icon={FiAward} label="HARD" value={stats.hard} colorClass="text-white" />
-        <StatCard icon={FiCheckCircle} label="CLEAR" value={stats.clear} colorClass="text-[#bfdbfe]" />
+        <StatCard icon={FiTarget} label="Play Count" value={summary.total} colorClass="text-slate-300" />
+        <StatCard icon={FiStar} label="FULL COMBO" value={summary.clearTypes.FULLCOMBO_CLEAR} colorClass="text-[#fecaca]" />
+        <StatCard icon={FiAward} label="EX HARD" value={summary.clearTypes.EX_HARD_CLEAR} colorClass="text-[#fef08a]" />
+        <StatCard icon={FiAward} label="HARD" value={summary.clearTypes.HARD_CLEAR} colorClass="text-white" />
+        <StatCard icon={FiCheckCircle} label="CLEAR" value={summary.clearTypes.CLEAR} colorClass="text-[#bfdbfe]" />
       </div>
 
       {/* ── 2. 클리어 분포 차트 ── */}
-      <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
-        <h2 className="text-lg font-bold text-white mb-4">클리어 분포</h2>
-        
-        {/*
-          🎓 막대 차트를 CSS Flex와 퍼센테이지 width만으로 구현합니다.
-          Chart.js 같은 무거운 라이브러리 없이도 휼륭한 시각화가 가능합니다.
-        */}
-        <div className="h-6 w-full flex rounded-full overflow-hidden bg-slate-700 mb-4">
-          <div style={{ width: `${fcPercent}%` }} className="bg-gradient-to-r from-pink-500 to-yellow-400 transition-all duration-500" title={`FC: ${fcPercent.toFixed(1)}%`} />
-          <div style={{ width: `${exHardPercent}%` }} className="bg-yellow-400 transition-all duration-500" title={`EX HARD: ${exHardPercent.toFixed(1)}%`} />
-          <div style={{ width: `${hardPercent}%` }} className="bg-white transition-all duration-500" title={`HARD: ${hardPercent.toFixed(1)}%`} />
-          <div style={{ width: `${clearPercent}%` }} className="bg-blue-400 transition-all duration-500" title={`CLEAR: ${clearPercent.toFixed(1)}%`} />
-          <div style={{ width: `${otherPercent}%` }} className="bg-slate-500 transition-all duration-500" title={`OTHER: ${otherPercent.toFixed(1)}%`} />
+      <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700 space-y-6">
+        <div>
+          <h2 className="text-lg font-bold text-white mb-4">클리어 분포</h2>
+          <LampDistribution clearTypes={summary.clearTypes} total={summary.total} />
         </div>
 
-        {/* 범례 (Legend) */}
-        <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
-          <div className="flex items-center gap-2">
-            <span className="w-3 h-3 rounded-full bg-gradient-to-r from-pink-500 to-yellow-400" />
-            <span className="text-slate-300">FC ({fcPercent.toFixed(1)}%)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <span className="w-3 h-3 rounded-full bg-yellow-400" />
-            <span className="text-slate-300">EX HARD ({exHardPercent.toFixed(1)}%)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <span className="w-3 h-3 rounded-full bg-white" />
-            <span className="text-slate-300">HARD ({hardPercent.toFixed(1)}%)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <span className="w-3 h-3 rounded-full bg-blue-400" />
-            <span className="text-slate-300">CLEAR ({clearPercent.toFixed(1)}%)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <span className="w-3 h-3 rounded-full bg-slate-500" />
-            <span className="text-slate-300">OTHER ({otherPercent.toFixed(1)}%)</span>
+        {/* DJ 레벨 개수 */}
+        <div>
+          <h3 className="text-sm font-semibold text-slate-400 mb-2">DJ LEVEL</h3>
+          <div className="grid grid-cols-4 md:grid-cols-8 gap-2">
+            {DJ_LEVELS.map((djLevel) => (
+              <div key={djLevel} className="bg-slate-900/60 rounded-lg py-2 text-center">
+                <p className="text-xs text-slate-500 font-mono">{djLevel}</p>
+                <p className="text-white font-mono font-bold">{summary.djLevels[djLevel].toLocaleString()}</p>
+              </div>
+            ))}
           </div>
         </div>
       </div>
 
+      {/* ── 2-1. 레벨별 램프 표 ── */}
+      <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+        <LevelLampMatrix summary={summary} />
+      </div>
+
+      {/* ── 2-2. 진행 그래프 ── */}
+      <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
+        <ProgressCharts />
+      </div>
+
       {/* ── 3. 최근 갱신 내역 ── */}
       <div className="bg-slate-800 rounded-2xl p-6 border border-slate-700">
         <div className="flex justify-between items-center mb-4">
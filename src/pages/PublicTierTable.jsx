@@ -0,0 +1,98 @@
+import { Link, useParams } from 'react-router-dom';
+import usePublicTierTable from '../hooks/usePublicTierTable';
+import TierTableViewGrid from '../components/tier-table/TierTableViewGrid';
+import { FullPageSpinner } from '../components/common/Spinner';
+import ErrorView from '../components/common/ErrorView';
+import { isClearTypeCleared } from '../utils/clearTypes';
+
+const PLAY_STYLES = ['SP', 'DP'];
+
+/**
+ * 🎓 학습 포인트: React 19의 문서 메타데이터
+ *
+ * React 19부터 컴포넌트 안에 <title>, <meta>를 그대로 쓰면 React가
+ * <head>로 옮겨 줍니다(react-helmet 같은 라이브러리가 필요 없음).
+ * 여기서는 브라우저 탭 제목과 설명만 바꿉니다. 링크 미리보기 크롤러는 JS를
+ * 실행하지 않으므로 OG 태그는 Caddy가 public/share/tier-table-og.html로
+ * 서버에서 렌더링합니다(deploy/oci-cloudflare/Caddyfile.example).
+ */
+const ShareMetadata = ({ title, description }) => (
+  <>
+    <title>{title}</title>
+    <meta name="description" content={description} />
+  </>
+);
+
+/**
+ * `/u/:username/tier-table/:level/:playStyle` — 공개 서열표 (읽기 전용)
+ *
+ * 로그인 없이 열리는 라우트라 ProtectedLayout 밖에 있고 Header도 없습니다.
+ * 서열표를 공개한 사용자의 램프만 보여주며, 라이벌 비교나 편집은 없습니다.
+ */
+const PublicTierTable = () => {
+  const { username, level, playStyle } = useParams();
+  const normalizedStyle = playStyle?.toUpperCase();
+  const isValidRoute = PLAY_STYLES.includes(normalizedStyle) && /^\d+$/.test(level ?? '');
+  const { tierData, isLoading, error, refetch } = usePublicTierTable(username, level, normalizedStyle, { enabled: isValidRoute });
+
+  const allSongs = tierData.flatMap((tierObj) => tierObj.songs);
+  const clearedSongs = allSongs.filter((s) => isClearTypeCleared(s.clearType)).length;
+  const progress = allSongs.length > 0 ? Math.round((clearedSongs / allSongs.length) * 100) : 0;
+
+  const title = `${username}의 ☆${level} ${normalizedStyle} 서열표`;
+  const description = allSongs.length > 0
+    ? `클리어 ${clearedSongs} / ${allSongs.length} (${progress}%) — IIDX Score Board`
+    : 'IIDX Score Board에서 공유된 서열표';
+
+  return (
+    <div className="min-h-screen bg-bg-darker">
+      <ShareMetadata title={title} description={description} />
+
+      <main className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <p className="text-sm text-slate-400">공유된 서열표</p>
+            <h1 className="text-3xl font-bold text-white mt-1">{username}</h1>
+            <p className="text-sm font-mono text-slate-400 mt-1">
+              ☆{level} {normalizedStyle}
+            </p>
+          </div>
+          {!isLoading && !error && allSongs.length > 0 && (
+            <div className="text-right">
+              <span className="text-2xl font-bold text-white">{clearedSongs}</span>
+              <span className="text-gray-500 mx-1">/</span>
+              <span className="text-lg text-gray-400">{allSongs.length}</span>
+              <span className="text-sm text-primary-400 font-bold ml-2">({progress}%)</span>
+            </div>
+          )}
+        </div>
+
+        {!isValidRoute ? (
+          <ErrorView status={404} variant="page" showHomeLink={false} />
+        ) : isLoading ? (
+          <div className="flex justify-center py-20">
+            <FullPageSpinner />
+          </div>
+        ) : error ? (
+          <ErrorView
+            status={error.status}
+            message={error.message}
+            variant="page"
+            showHomeLink={false}
+            onRetry={error.retryable ? refetch : undefined}
+          />
+        ) : tierData.length > 0 ? (
+          <TierTableViewGrid tierData={tierData} />
+        ) : (
+          <p className="text-slate-500 text-center py-20">이 레벨의 서열표 데이터가 없습니다.</p>
+        )}
+
+        <p className="text-center text-xs text-slate-500">
+          <Link to="/login" className="hover:text-white transition">IIDX Score Board</Link>에서 내 서열표 만들기
+        </p>
+      </main>
+    </div>
+  );
+};
+
+export default PublicTierTable;
@@ -1,7 +1,11 @@
 import { useScoresStore } from '../store/scoresStore';
 import useScores from '../hooks/useScores';
+import useQuerySync from '../hooks/useQuerySync';
 import ScoreFilter from '../components/scores/ScoreFilter';
 import ScoreTable from '../components/scores/ScoreTable';
+import ScoreColumnPicker from '../components/scores/ScoreColumnPicker';
+import { SCORE_COLUMNS, nextSort } from '../utils/scoreColumns';
+import { buildScoreQuery } from '../utils/viewQuery';
 import { FullPageSpinner } from '../components/common/Spinner';
 import ErrorView from '../components/common/ErrorView';
 
@@ -18,9 +22,13 @@ import ErrorView from '../components/common/ErrorView';
  * → "단방향 데이터 흐름(Unidirectional Data Flow)"이라고 합니다.
  */
 const Scores = () => {
-  const { setPage } = useScoresStore();
+  // 필터 · 페이지 · 정렬을 ?level=12&page=2 처럼 URL에도 반영합니다.
+  useQuerySync(useScoresStore, buildScoreQuery);
+  const { pagination, hiddenColumns, setPage, setSort, toggleColumn } = useScoresStore();
   const { scores, totalElements, totalPages, currentPage, isLoading, error, refetch } = useScores();
 
+  const visibleColumns = SCORE_COLUMNS.filter((column) => !hiddenColumns.includes(column.key));
+
   return (
     <div className="space-y-4">
       {/* 헤더 */}
@@ -33,6 +41,7 @@ const Scores = () => {
             </p>
           )}
         </div>
+        <ScoreColumnPicker hiddenColumns={hiddenColumns} onToggle={toggleColumn} />
       </div>
 
       {/* 필터 */}
@@ -57,7 +66,12 @@ const Scores = () => {
         />
       ) : (
         <>
-          <ScoreTable scores={scores} />
+          <ScoreTable
+            scores={scores}
+            columns={visibleColumns}
+            sort={pagination.sort}
+            onSort={(column) => setSort(nextSort(pagination.sort, column))}
+          />
 
           {/* 페이지네이션 */}
           {totalPages > 1 && (
@@ -1,28 +1,51 @@
 import React, { useEffect } from 'react';
 import useTierStore from '../store/tierStore';
+import useTierMetaStore from '../store/tierMetaStore';
+import useQuerySync from '../hooks/useQuerySync';
 import TierTableViewList from '../components/tier-table/TierTableViewList';
 import TierTableViewGrid from '../components/tier-table/TierTableViewGrid';
+import RivalSelector from '../components/tier-table/RivalSelector';
+import ClearTargetSelector from '../components/tier-table/ClearTargetSelector';
+import TierFilterBar from '../components/tier-table/TierFilterBar';
+import RecommendationPanel from '../components/tier-table/RecommendationPanel';
+import ShareTierTableButton from '../components/tier-table/ShareTierTableButton';
+import ExportImageButton from '../components/tier-table/ExportImageButton';
 import { default as FullPageSpinner } from '../components/common/Spinner';
 import ErrorView from '../components/common/ErrorView';
-import { FiGrid, FiList } from 'react-icons/fi';
-import { isClearTypeCleared } from '../utils/clearTypes';
+import { FiAward, FiGrid, FiList } from 'react-icons/fi';
+import { CLEAR_TYPE_LABELS, meetsClearTarget } from '../utils/clearTypes';
+import { getLevelsFor } from '../utils/tierMeta';
+import { buildTierQuery } from '../utils/viewQuery';
 
 const TierTable = () => {
+  // Level, play style and view mode live in the query string (?level=11&playStyle=DP&view=list).
+  useQuerySync(useTierStore, buildTierQuery);
   const {
     selectedLevel,
     selectedPlayStyle,
     enrichedTierData,
     viewMode,
+    tileDisplay,
+    clearTarget,
     isLoading,
     error,
     setLevel,
     setPlayStyle,
     setViewMode,
+    setTileDisplay,
     fetchTierData,
     expandAllTiers,
     collapseAllTiers
   } = useTierStore();
 
+  const tierMeta = useTierMetaStore((state) => state.meta);
+  const fetchMeta = useTierMetaStore((state) => state.fetchMeta);
+  const levels = getLevelsFor(tierMeta, selectedPlayStyle);
+
+  useEffect(() => {
+    fetchMeta();
+  }, [fetchMeta]);
+
   useEffect(() => {
     fetchTierData();
   }, [selectedLevel, selectedPlayStyle, fetchTierData]);
@@ -30,9 +53,10 @@ const TierTable = () => {
   // Calculate overall progress across all tiers
   const totalSongs = enrichedTierData.reduce((acc, tierObj) => acc + tierObj.songs.length, 0);
   const clearedSongs = enrichedTierData.reduce((acc, tierObj) => {
-    return acc + tierObj.songs.filter(s => isClearTypeCleared(s.clearType)).length;
+    return acc + tierObj.songs.filter(s => meetsClearTarget(s.clearType, clearTarget)).length;
   }, 0);
   const overallProgress = totalSongs > 0 ? Math.round((clearedSongs / totalSongs) * 100) : 0;
+  const ambiguousSongs = enrichedTierData.flatMap((tierObj) => tierObj.songs.filter((s) => s.ambiguousDifficulties));
 
   return (
     <div className="max-w-6xl mx-auto space-y-6 animate-fade-in p-4 sm:p-0">
@@ -63,7 +87,7 @@ const TierTable = () => {
 
           {/* Level Selection */}
           <div className="flex bg-gray-900 p-1 rounded-lg border border-gray-700 shadow-inner">
-            {[10, 11, 12].map(level => (
+            {levels.map(level => (
               <button
                 key={level}
                 onClick={() => setLevel(level)}
@@ -78,6 +102,12 @@ const TierTable = () => {
             ))}
           </div>
 
+          {/* Goal Lamp */}
+          <ClearTargetSelector />
+
+          {/* Rival Mode */}
+          <RivalSelector />
+
           {/* View Mode Toggle */}
           <div className="flex bg-gray-900 p-1 rounded-lg border border-gray-700 shadow-inner ml-2">
              <button
@@ -102,7 +132,24 @@ const TierTable = () => {
              >
                <FiList size={18} />
              </button>
+             <button
+                onClick={() => setTileDisplay(tileDisplay === 'score' ? 'lamp' : 'score')}
+                className={`p-1.5 flex items-center justify-center rounded-md transition-all ${
+                  tileDisplay === 'score'
+                    ? 'bg-primary-600 text-white shadow-md'
+                    : 'text-gray-400 hover:text-white hover:bg-gray-800'
+                }`}
+                title="EX Score / DJ Level on Tiles"
+             >
+               <FiAward size={18} />
+             </button>
           </div>
+
+          {/* PNG export */}
+          <ExportImageButton />
+
+          {/* Public share link */}
+          <ShareTierTableButton level={selectedLevel} playStyle={selectedPlayStyle} />
         </div>
       </div>
 
@@ -114,7 +161,10 @@ const TierTable = () => {
           <div className="flex justify-between items-end mb-3">
             <div>
               <h2 className="text-lg font-semibold text-white">Overall Progress</h2>
-              <p className="text-sm font-medium text-gray-400">Level {selectedLevel} {selectedPlayStyle}</p>
+              <p className="text-sm font-medium text-gray-400">
+                Level {selectedLevel} {selectedPlayStyle}
+                {clearTarget && <span className="text-accent-400"> · Goal {CLEAR_TYPE_LABELS[clearTarget]}</span>}
+              </p>
             </div>
             <div className="text-right">
               <span className="text-2xl font-bold text-white">{clearedSongs}</span>
@@ -134,6 +184,22 @@ const TierTable = () => {
           </div>
         </div>
 
+        {ambiguousSongs.length > 0 && (
+          <div className="bg-yellow-900/20 border border-yellow-700/60 text-yellow-200 text-sm rounded-xl px-4 py-3">
+            <p className="font-semibold">난이도가 지정되지 않은 곡 {ambiguousSongs.length}개</p>
+            <p className="text-yellow-200/80 mt-1">
+              같은 레벨에 여러 차트가 있어 어느 차트의 램프인지 알 수 없습니다:{' '}
+              {ambiguousSongs.map((s) => `${s.title} (${s.ambiguousDifficulties.join('/')})`).join(', ')}
+            </p>
+          </div>
+        )}
+
+        {/* What to play next */}
+        {!isLoading && !error && enrichedTierData.length > 0 && <RecommendationPanel />}
+
+        {/* Song Filters */}
+        <TierFilterBar />
+
         {/* Global Expand/Collapse Actions */}
         <div className="flex justify-between items-center px-2">
             <span className="text-sm text-gray-500 italic">Data synchronized with your scores from the backend.</span>
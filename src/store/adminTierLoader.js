@@ -11,6 +11,13 @@ import { normalizeTierCategory } from '../utils/tierData';
 export const DEFAULT_CATEGORY = '地力';
 export const DEFAULT_DIFFICULTY = 'ANOTHER';
 
+/**
+ * Flatten tier data into `[{ title, difficulty, category, tier, sortOrder }]`.
+ * Accepts the flat array the API returns, or the grouped
+ * `{ [tier]: [{ title, difficulty }] }` shape of src/data/tierTable.json. Bare
+ * title strings in the grouped shape are a legacy format that predates
+ * per-chart entries; they are read as DEFAULT_DIFFICULTY.
+ */
 export const normalizeDraftEntries = (data) => {
   if (Array.isArray(data)) return data;
 
@@ -23,6 +30,7 @@ export const normalizeDraftEntries = (data) => {
       if (song && typeof song === 'object') {
         return {
           ...song,
+          difficulty: song.difficulty ?? null,
           tier: song.tier ?? tier,
           category: normalizeTierCategory(song.category) ?? DEFAULT_CATEGORY,
           sortOrder: song.sortOrder ?? index + 1
@@ -118,3 +126,33 @@ export async function loadAdminTierSources(level, playStyle) {
 
   return { rawEntries, masterSongs, usedFallbackData };
 }
+
+const parseTierDataJson = (data) => {
+  if (typeof data !== 'string') return data;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Normalize raw history records into
+ * `[{ id, author, savedAt, entries }]`, newest first. `entries` has the same
+ * flat shape as the draft, so a version can be diffed against or loaded into
+ * the editor like any other source.
+ *
+ * @param {Array} records - result of tierApi.getAdminTierHistory
+ */
+export const normalizeTierHistory = (records) => (
+  records
+    .filter((record) => record && typeof record === 'object')
+    .map((record, index) => ({
+      id: record.id ?? record.historyId ?? `version-${index}`,
+      author: record.author ?? record.editor ?? record.savedBy ?? record.username ?? null,
+      savedAt: record.savedAt ?? record.createdAt ?? record.updatedAt ?? null,
+      entries: normalizeDraftEntries(parseTierDataJson(record.tierDataJson ?? record.tierData))
+    }))
+    .sort((a, b) => (Date.parse(b.savedAt) || 0) - (Date.parse(a.savedAt) || 0))
+);
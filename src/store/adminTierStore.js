@@ -3,17 +3,47 @@ import { tierApi } from '../api/tiers';
 import toast from 'react-hot-toast';
 import { normalizeTierCategory, sortSongsByTitle } from '../utils/tierData';
 import { toAppError } from '../utils/httpError';
-import { DEFAULT_DIFFICULTY, loadAdminTierSources } from './adminTierLoader';
-
-const TIERS = ['S+', 'S', 'A+', 'A', 'B+', 'B', 'C', 'D', 'E', 'F'];
-const CATEGORIES = ['地力', '個人差'];
+import { DEFAULT_DIFFICULTY, loadAdminTierSources, normalizeTierHistory } from './adminTierLoader';
+import useTierMetaStore from './tierMetaStore';
+import { countTierDiff, diffTierEntries, findEmptiedSections } from '../utils/tierDiff';
+import { buildDraftKey, deleteTierDraft, loadTierDraft, saveTierDraft } from '../utils/draftStorage';
+import { UNASSIGNED_SECTION } from '../utils/tierCommand';
+import { findTitleMatches } from '../utils/titleMatch';
+import { DEFAULT_TIER_META, getLevelsFor, resolveSelectableLevel } from '../utils/tierMeta';
 
 let latestAdminTierRequestId = 0;
+let latestHistoryRequestId = 0;
+
+// Each step only holds references to the section arrays, which are replaced
+// rather than mutated on every edit, so a long history stays cheap.
+const MAX_UNDO_STEPS = 100;
+
+const EMPTY_UNDO_STATE = { undoStack: [], redoStack: [] };
+
+const toUndoStep = ({ editorTierData, unassignedSongs, hasChanges, loadedVersion }) => ({
+  editorTierData,
+  unassignedSongs,
+  hasChanges,
+  loadedVersion
+});
 
-const buildSectionKeys = () => TIERS.flatMap((tier) => CATEGORIES.map((category) => `${category}|${tier}`));
+const pushUndoStep = (undoStack, step) => [...undoStack, step].slice(-MAX_UNDO_STEPS);
+
+const markStepsUnsaved = ({ undoStack, redoStack }) => ({
+  undoStack: undoStack.map((step) => ({ ...step, hasChanges: true })),
+  redoStack: redoStack.map((step) => ({ ...step, hasChanges: true }))
+});
+
+// Section keys in render order (Tier -> Category). Tier bands and categories
+// come from the tier-table metadata, so they are passed in rather than fixed.
+const buildSectionKeys = (tiers, categories) => (
+  tiers.flatMap((tier) => categories.map((category) => `${category}|${tier}`))
+);
 
 // Builds an empty tier map used as the initial state for the editor
-const buildEmptyDraftTierData = () => Object.fromEntries(buildSectionKeys().map((key) => [key, []]));
+const buildEmptyDraftTierData = (tiers, categories) => (
+  Object.fromEntries(buildSectionKeys(tiers, categories).map((key) => [key, []]))
+);
 
 const buildItemId = (title, difficulty) => `${title}__${difficulty ?? 'NONE'}`;
 
@@ -28,24 +58,172 @@ const toAdminItem = (item, fallback = {}) => {
   };
 };
 
+/**
+ * Lay flat tier entries out as editor state: each placeable entry in its
+ * `category|tier` section, everything else — plus every master song the
+ * entries do not mention — in the unassigned pool.
+ */
+const buildEditorState = (rawArray, masterSongs, tiers, categories) => {
+  const isPlaceable = (item) => (
+    item.category && item.tier && tiers.includes(item.tier) && categories.includes(item.category)
+  );
+  const safeTiers = buildEmptyDraftTierData(tiers, categories);
+
+  // 1. 할당된 곡들을 카테고리|티어 별로 분류
+  rawArray.forEach((item) => {
+    if (isPlaceable(item)) {
+      const key = `${item.category}|${item.tier}`;
+      safeTiers[key].push(toAdminItem(item));
+    }
+  });
+
+  // 2. A song's position inside a tier is derived from its title, never
+  //    from the stored sortOrder: sortOrder is only a persistence detail
+  //    that buildArrayPayload rewrites from this order on every save.
+  Object.keys(safeTiers).forEach((key) => {
+    safeTiers[key] = sortSongsByTitle(safeTiers[key]);
+  });
+
+  // 3. 이미 할당되었거나 드래프트에 포함된 ID 추적
+  const assignedIds = new Set();
+  Object.values(safeTiers).forEach((songArray) => {
+    songArray.forEach((song) => assignedIds.add(song.id));
+  });
+
+  // 4. 드래프트에는 있으나 카테고리/티어가 없는 곡 (Unassigned 영역으로 이동)
+  const draftUnassigned = rawArray
+    .filter((item) => !isPlaceable(item))
+    .map((item) => toAdminItem(item));
+
+  draftUnassigned.forEach((item) => assignedIds.add(item.id));
+
+  // 5. 마스터 곡 목록 중 드래프트에 아예 없는 곡들 추출
+  const allSongItems = masterSongs.map((song) => toAdminItem(song, { difficulty: song.difficulty ?? DEFAULT_DIFFICULTY }));
+  const newMasterSongs = allSongItems.filter((song) => !assignedIds.has(song.id));
+
+  return {
+    editorTierData: safeTiers,
+    unassignedSongs: sortSongsByTitle([...draftUnassigned, ...newMasterSongs])
+  };
+};
+
+/**
+ * Move every item in `ids` to `target` (a `category|tier` key or
+ * UNASSIGNED_SECTION), keeping each container sorted by title.
+ *
+ * @returns {{ newTiers: object, newUnassigned: Array, movedCount: number }}
+ */
+const moveItems = (editorTierData, unassignedSongs, ids, target) => {
+  const idSet = new Set(ids);
+  const isMoving = (item) => idSet.has(item.id);
+  const targetItems = target === UNASSIGNED_SECTION ? unassignedSongs : editorTierData[target] ?? [];
+  const moving = [...Object.values(editorTierData).flat(), ...unassignedSongs].filter(isMoving);
+  const movedCount = moving.filter((item) => !targetItems.includes(item)).length;
+
+  const newTiers = Object.fromEntries(
+    Object.entries(editorTierData).map(([key, items]) => [key, items.filter((item) => !isMoving(item))])
+  );
+  let newUnassigned = unassignedSongs.filter((item) => !isMoving(item));
+
+  if (target === UNASSIGNED_SECTION) newUnassigned = sortSongsByTitle([...newUnassigned, ...moving]);
+  else newTiers[target] = sortSongsByTitle([...(newTiers[target] ?? []), ...moving]);
+
+  return { newTiers, newUnassigned, movedCount };
+};
+
+// Master songs get the default difficulty in the editor (see step 5 of
+// buildEditorState), so they are matched with it too.
+const matchEntriesToMasterSongs = (entries, masterSongs) => findTitleMatches(
+  entries,
+  masterSongs.map((song) => ({ ...song, difficulty: song.difficulty ?? DEFAULT_DIFFICULTY })),
+  { defaultDifficulty: DEFAULT_DIFFICULTY }
+);
+
+// Suggestions for the table as it stands in the editor. Pool tiles that are
+// master songs themselves are left out: counted as entries, they would claim
+// the very songs an orphan should be merged into.
+const matchEditorToMasterSongs = ({ editorTierData, unassignedSongs, masterSongs }) => {
+  const masterIds = new Set(masterSongs.map((song) => buildItemId(song.title, song.difficulty ?? DEFAULT_DIFFICULTY)));
+  const entries = [
+    ...Object.values(editorTierData).flat(),
+    ...unassignedSongs.filter((item) => !masterIds.has(item.id)),
+  ];
+  return matchEntriesToMasterSongs(entries.map(({ title, difficulty }) => ({ title, difficulty })), masterSongs);
+};
+
+// Switching level drops the editor state; persistDraft has already stored it.
+const notifyDraftKept = ({ hasChanges, draftKey }) => {
+  if (hasChanges && draftKey) {
+    toast('저장하지 않은 변경사항은 임시 저장되었습니다. 다시 열면 복원할 수 있습니다.', { icon: '💾' });
+  }
+};
+
 const useAdminTierStore = create((set, get) => ({
   selectedLevel: 12,
   selectedPlayStyle: 'SP',
-  editorTierData: buildEmptyDraftTierData(),
+  // Snapshot of the metadata the current editor state was built with; only
+  // replaced on load so a metadata change never reshapes a draft mid-edit.
+  tiers: DEFAULT_TIER_META.tiers,
+  categories: DEFAULT_TIER_META.categories,
+  editorTierData: buildEmptyDraftTierData(DEFAULT_TIER_META.tiers, DEFAULT_TIER_META.categories),
   unassignedSongs: [],
   rawTierData: [],
+  masterSongs: [],         // Songs available at this level, kept so a past version can be laid out again
+  loadedVersion: null,     // History entry currently loaded into the editor, if any
+  history: [],
+  isHistoryLoading: false,
+  historyError: null,
   hasChanges: false,
+  // { payload, diff, emptiedSections } shown for confirmation before a save goes live
+  saveReview: null,
+  // Editor states before/after each edit, newest last. See updateDraftState.
+  undoStack: [],
+  redoStack: [],
+  // Autosave key of the level/play style the editor state belongs to; null
+  // while switching, so nothing is written under the wrong key.
+  draftKey: null,
+  // { entries, savedAt, changeCount } left over from an earlier session
+  recoverableDraft: null,
+  // Songs picked for a bulk move, and the last one clicked (shift-click anchor)
+  selectedIds: [],
+  selectionAnchorId: null,
+  // Suspected misspellings: [{ entry, song, reason, score }] from utils/titleMatch
+  titleMatches: [],
   isLoading: false,
   isSaving: false,
   error: null,
 
   setLevel: (level) => {
+    notifyDraftKept(get());
     latestAdminTierRequestId += 1;
-    set({ selectedLevel: level, hasChanges: false });
+    latestHistoryRequestId += 1;
+    set({
+      selectedLevel: level,
+      hasChanges: false,
+      saveReview: null,
+      draftKey: null,
+      recoverableDraft: null,
+      history: [],
+      isHistoryLoading: false,
+      ...EMPTY_UNDO_STATE
+    });
   },
   setPlayStyle: (style) => {
+    notifyDraftKept(get());
     latestAdminTierRequestId += 1;
-    set({ selectedPlayStyle: style, hasChanges: false });
+    latestHistoryRequestId += 1;
+    const levels = getLevelsFor(useTierMetaStore.getState().meta, style);
+    set({
+      selectedPlayStyle: style,
+      selectedLevel: resolveSelectableLevel(levels, get().selectedLevel),
+      hasChanges: false,
+      saveReview: null,
+      draftKey: null,
+      recoverableDraft: null,
+      history: [],
+      isHistoryLoading: false,
+      ...EMPTY_UNDO_STATE
+    });
   },
 
   fetchDataForEdit: async () => {
@@ -56,9 +234,21 @@ const useAdminTierStore = create((set, get) => ({
       && get().selectedLevel === selectedLevel
       && get().selectedPlayStyle === selectedPlayStyle
     );
-    set({ isLoading: true, error: null, hasChanges: false });
+    set({ isLoading: true, error: null, hasChanges: false, saveReview: null, draftKey: null, recoverableDraft: null });
 
     try {
+      await useTierMetaStore.getState().fetchMeta();
+      if (!isCurrentRequest()) return;
+      const { meta } = useTierMetaStore.getState();
+      const { tiers, categories } = meta;
+      // Same as setPlayStyle: the starting level may have no table once the
+      // metadata is in. The page refetches after the level change.
+      const resolvedLevel = resolveSelectableLevel(getLevelsFor(meta, selectedPlayStyle), selectedLevel);
+      if (resolvedLevel !== selectedLevel) {
+        get().setLevel(resolvedLevel);
+        return;
+      }
+
       const sources = await loadAdminTierSources(selectedLevel, selectedPlayStyle);
       if (!isCurrentRequest()) return;
 
@@ -71,44 +261,20 @@ const useAdminTierStore = create((set, get) => ({
       }
 
       const { rawEntries: rawArray, masterSongs, usedFallbackData } = sources;
-      const safeTiers = buildEmptyDraftTierData();
-
-      // 1. 할당된 곡들을 카테고리|티어 별로 분류
-      rawArray.forEach((item) => {
-        if (item.category && item.tier && TIERS.includes(item.tier) && CATEGORIES.includes(item.category)) {
-          const key = `${item.category}|${item.tier}`;
-          safeTiers[key].push(toAdminItem(item));
-        }
-      });
-
-      // 2. A song's position inside a tier is derived from its title, never
-      //    from the stored sortOrder: sortOrder is only a persistence detail
-      //    that buildArrayPayload rewrites from this order on every save.
-      Object.keys(safeTiers).forEach((key) => {
-        safeTiers[key] = sortSongsByTitle(safeTiers[key]);
-      });
-
-      // 3. 이미 할당되었거나 드래프트에 포함된 ID 추적
-      const assignedIds = new Set();
-      Object.values(safeTiers).forEach((songArray) => {
-        songArray.forEach((song) => assignedIds.add(song.id));
-      });
-
-      // 4. 드래프트에는 있으나 카테고리/티어가 없는 곡 (Unassigned 영역으로 이동)
-      const draftUnassigned = rawArray
-        .filter((item) => !item.category || !item.tier || !TIERS.includes(item.tier) || !CATEGORIES.includes(item.category))
-        .map((item) => toAdminItem(item));
-
-      draftUnassigned.forEach((item) => assignedIds.add(item.id));
-
-      // 5. 마스터 곡 목록 중 드래프트에 아예 없는 곡들 추출
-      const allSongItems = masterSongs.map((song) => toAdminItem(song, { difficulty: song.difficulty ?? DEFAULT_DIFFICULTY }));
-      const newMasterSongs = allSongItems.filter((song) => !assignedIds.has(song.id));
+      const draftKey = buildDraftKey(selectedLevel, selectedPlayStyle);
 
       set({
-        editorTierData: safeTiers,
-        unassignedSongs: sortSongsByTitle([...draftUnassigned, ...newMasterSongs]),
+        tiers,
+        categories,
+        ...buildEditorState(rawArray, masterSongs, tiers, categories),
         rawTierData: rawArray,
+        masterSongs,
+        loadedVersion: null,
+        ...EMPTY_UNDO_STATE,
+        draftKey,
+        selectedIds: [],
+        selectionAnchorId: null,
+        titleMatches: matchEntriesToMasterSongs(rawArray, masterSongs),
         isLoading: false
       });
 
@@ -117,6 +283,17 @@ const useAdminTierStore = create((set, get) => ({
       if (usedFallbackData) {
         toast('관리자 데이터가 비어 있어 기본 데이터로 표시 중입니다.', { icon: 'ℹ️' });
       }
+
+      const draft = await loadTierDraft(draftKey);
+      if (!isCurrentRequest() || !draft) return;
+
+      const changeCount = countTierDiff(diffTierEntries(rawArray, draft.entries, { defaultDifficulty: DEFAULT_DIFFICULTY }));
+      if (changeCount === 0) {
+        // Nothing the live table does not already have (e.g. saved elsewhere).
+        deleteTierDraft(draftKey);
+        return;
+      }
+      set({ recoverableDraft: { ...draft, changeCount } });
     } catch (error) {
       if (!isCurrentRequest()) return;
       const appError = toAppError(error, { fallback: '편집기 데이터를 불러오지 못했습니다.' });
@@ -126,12 +303,213 @@ const useAdminTierStore = create((set, get) => ({
     }
   },
 
-  updateDraftState: (newTiers, newUnassigned) => {
+  fetchHistory: async () => {
+    const { selectedLevel, selectedPlayStyle } = get();
+    const requestId = ++latestHistoryRequestId;
+    set({ isHistoryLoading: true, historyError: null });
+
+    try {
+      const records = await tierApi.getAdminTierHistory(selectedLevel, selectedPlayStyle);
+      if (requestId !== latestHistoryRequestId) return;
+      set({ history: normalizeTierHistory(records), isHistoryLoading: false });
+    } catch (error) {
+      if (requestId !== latestHistoryRequestId) return;
+      const appError = toAppError(error, { fallback: '변경 이력을 불러오지 못했습니다.' });
+      set({ historyError: appError, isHistoryLoading: false });
+    }
+  },
+
+  /**
+   * Lay a past version out in the editor. Nothing is written until the admin
+   * saves, and rawTierData keeps pointing at the live table so the result can
+   * still be compared against what is published now.
+   */
+  loadVersion: (version) => {
+    get().applyEntries(version.entries, { loadedVersion: version });
+  },
+
+  restoreDraft: () => {
+    const { recoverableDraft } = get();
+    if (!recoverableDraft) return;
+
+    set({ recoverableDraft: null });
+    get().applyEntries(recoverableDraft.entries);
+  },
+
+  /**
+   * Replace the whole editor with flat tier entries (a past version, a
+   * recovered draft or an imported file) as one undoable edit.
+   */
+  applyEntries: (entries, { loadedVersion = null } = {}) => {
+    const { masterSongs, tiers, categories } = get();
+    set({
+      ...buildEditorState(entries, masterSongs, tiers, categories),
+      loadedVersion,
+      hasChanges: true,
+      selectedIds: [],
+      selectionAnchorId: null,
+      titleMatches: matchEntriesToMasterSongs(entries, masterSongs),
+      undoStack: pushUndoStep(get().undoStack, toUndoStep(get())),
+      redoStack: []
+    });
+    get().persistDraft();
+  },
+
+  discardDraft: () => {
+    const { draftKey, hasChanges } = get();
+    // Once the admin has started editing, the stored record is already the
+    // autosave of those edits rather than the old draft.
+    if (draftKey && !hasChanges) deleteTierDraft(draftKey);
+    set({ recoverableDraft: null });
+  },
+
+  /**
+   * Mirror the editor into IndexedDB after every committed edit, so a
+   * refresh, an expired session or a level switch cannot lose it. A clean
+   * editor (e.g. undone back to the live table) has nothing to keep.
+   */
+  persistDraft: () => {
+    const { draftKey, hasChanges } = get();
+    if (!draftKey) return;
+
+    if (!hasChanges) {
+      deleteTierDraft(draftKey);
+      return;
+    }
+    saveTierDraft(draftKey, { entries: get().buildArrayPayload(), savedAt: new Date().toISOString() });
+  },
+
+  /**
+   * Commit an edit and record the state it replaced as one undo step.
+   *
+   * @param {{ editorTierData: object, unassignedSongs: Array }} [previous] -
+   *   the state before the edit, when the store no longer holds it. A drag
+   *   has already written its preview moves through setDraftPreview by the
+   *   time it is committed, so the drag passes its pre-drag snapshot here.
+   */
+  updateDraftState: (newTiers, newUnassigned, previous) => {
+    const current = get();
     set({
       editorTierData: newTiers,
       unassignedSongs: newUnassigned,
-      hasChanges: true
+      hasChanges: true,
+      undoStack: pushUndoStep(current.undoStack, toUndoStep({ ...current, ...previous })),
+      redoStack: []
     });
+    get().persistDraft();
+  },
+
+  undo: () => {
+    const { undoStack, redoStack } = get();
+    if (undoStack.length === 0) return;
+
+    set({
+      ...undoStack[undoStack.length - 1],
+      undoStack: undoStack.slice(0, -1),
+      redoStack: [...redoStack, toUndoStep(get())]
+    });
+    // A restored step can bring back a merged-away typo (or undo a merge).
+    set({ titleMatches: matchEditorToMasterSongs(get()) });
+    get().persistDraft();
+  },
+
+  redo: () => {
+    const { undoStack, redoStack } = get();
+    if (redoStack.length === 0) return;
+
+    set({
+      ...redoStack[redoStack.length - 1],
+      redoStack: redoStack.slice(0, -1),
+      undoStack: [...undoStack, toUndoStep(get())]
+    });
+    set({ titleMatches: matchEditorToMasterSongs(get()) });
+    get().persistDraft();
+  },
+
+  /**
+   * @param {string} id
+   * @param {{ toggle?: boolean, range?: boolean, orderedIds?: string[] }} [options] -
+   *   `toggle` (ctrl/cmd-click) adds or removes one song; `range` (shift-click)
+   *   adds everything between the anchor and `id` in `orderedIds`, the row's
+   *   songs as currently displayed. A plain click selects `id` alone.
+   */
+  selectSong: (id, { toggle = false, range = false, orderedIds = [] } = {}) => {
+    const { selectedIds, selectionAnchorId } = get();
+    const anchorIndex = orderedIds.indexOf(selectionAnchorId);
+    const index = orderedIds.indexOf(id);
+
+    if (range && anchorIndex !== -1 && index !== -1) {
+      const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      const rangeIds = orderedIds.slice(start, end + 1);
+      set({ selectedIds: [...new Set([...selectedIds, ...rangeIds])] });
+      return;
+    }
+
+    if (toggle || range) {
+      set({
+        selectedIds: selectedIds.includes(id) ? selectedIds.filter((selected) => selected !== id) : [...selectedIds, id],
+        selectionAnchorId: id
+      });
+      return;
+    }
+
+    const isOnlySelection = selectedIds.length === 1 && selectedIds[0] === id;
+    set({ selectedIds: isOnlySelection ? [] : [id], selectionAnchorId: id });
+  },
+
+  setSelection: (ids) => {
+    set({ selectedIds: ids, selectionAnchorId: ids[ids.length - 1] ?? null });
+  },
+
+  clearSelection: () => {
+    set({ selectedIds: [], selectionAnchorId: null });
+  },
+
+  /**
+   * Move several songs to one section as a single edit (one undo step).
+   *
+   * @param {string[]} ids
+   * @param {string} target - `category|tier` key or UNASSIGNED_SECTION
+   * @returns {number} how many songs actually changed section
+   */
+  moveSongs: (ids, target) => {
+    const { editorTierData, unassignedSongs, updateDraftState } = get();
+    const { newTiers, newUnassigned, movedCount } = moveItems(editorTierData, unassignedSongs, ids, target);
+    if (movedCount === 0) return 0;
+
+    updateDraftState(newTiers, newUnassigned);
+    set({ selectedIds: [], selectionAnchorId: null });
+    return movedCount;
+  },
+
+  /**
+   * Merge each confirmed match as one edit: the entry takes the master
+   * song's title and difficulty (keeping its section), and the master song's
+   * own tile, normally sitting in the pool, is dropped as the duplicate.
+   *
+   * @param {Array<{ entry: object, song: object }>} matches - from titleMatches
+   */
+  mergeTitleMatches: (matches) => {
+    const { editorTierData, unassignedSongs, titleMatches, updateDraftState } = get();
+    const replacements = new Map(matches.map(({ entry, song }) => [buildItemId(entry.title, entry.difficulty ?? null), song]));
+    const duplicateIds = new Set(matches.map(({ song }) => buildItemId(song.title, song.difficulty)));
+
+    const rewrite = (items) => sortSongsByTitle(items
+      .filter((item) => !duplicateIds.has(item.id))
+      .map((item) => {
+        const song = replacements.get(item.id);
+        return song ? toAdminItem({ ...item, title: song.title, difficulty: song.difficulty }) : item;
+      }));
+
+    updateDraftState(
+      Object.fromEntries(Object.entries(editorTierData).map(([key, items]) => [key, rewrite(items)])),
+      rewrite(unassignedSongs)
+    );
+    set({ titleMatches: titleMatches.filter((match) => !matches.includes(match)) });
+  },
+
+  dismissTitleMatches: () => {
+    set({ titleMatches: [] });
   },
 
   // Transient update for drag-over previews: must not flip hasChanges,
@@ -144,13 +522,13 @@ const useAdminTierStore = create((set, get) => ({
   },
 
   buildArrayPayload: () => {
-    const { editorTierData, unassignedSongs } = get();
+    const { editorTierData, unassignedSongs, tiers, categories } = get();
     const payload = [];
     let sortOrder = 1;
 
     // 화면 렌더링 순서(Tier -> Category)와 동일하게 Loop 구성하여 sortOrder 부여
-    TIERS.forEach((tier) => {
-      CATEGORIES.forEach((category) => {
+    tiers.forEach((tier) => {
+      categories.forEach((category) => {
         const key = `${category}|${tier}`;
         const items = editorTierData[key] || [];
         items.forEach((item) => {
@@ -179,8 +557,34 @@ const useAdminTierStore = create((set, get) => ({
     return payload;
   },
 
+  /**
+   * Saving publishes immediately, so the payload is first diffed against the
+   * live table and held in saveReview until the admin confirms it.
+   */
+  requestSave: () => {
+    const { hasChanges, rawTierData } = get();
+
+    if (!hasChanges) {
+      toast('No changes to save', { icon: 'ℹ️' });
+      return;
+    }
+
+    const payload = get().buildArrayPayload();
+    set({
+      saveReview: {
+        payload,
+        diff: diffTierEntries(rawTierData, payload, { defaultDifficulty: DEFAULT_DIFFICULTY }),
+        emptiedSections: findEmptiedSections(rawTierData, payload)
+      }
+    });
+  },
+
+  cancelSave: () => {
+    set({ saveReview: null });
+  },
+
   saveChanges: async () => {
-    const { selectedLevel, selectedPlayStyle, hasChanges } = get();
+    const { selectedLevel, selectedPlayStyle, hasChanges, saveReview } = get();
 
     if (!hasChanges) {
       toast('No changes to save', { icon: 'ℹ️' });
@@ -189,11 +593,23 @@ const useAdminTierStore = create((set, get) => ({
 
     set({ isSaving: true });
     try {
-      const payload = get().buildArrayPayload();
+      // Send exactly what was reviewed, when there was a review.
+      const payload = saveReview?.payload ?? get().buildArrayPayload();
       // saveAdminTierDraft writes directly to live; no separate publish step required
       await tierApi.saveAdminTierDraft(selectedLevel, selectedPlayStyle, payload);
       toast.success('Changes saved! Now live.');
-      set({ isSaving: false, hasChanges: false, rawTierData: payload });
+      set({
+        isSaving: false,
+        hasChanges: false,
+        rawTierData: payload,
+        loadedVersion: null,
+        saveReview: null,
+        // Every other step now differs from the live table.
+        ...markStepsUnsaved(get())
+      });
+      deleteTierDraft(buildDraftKey(selectedLevel, selectedPlayStyle));
+      // The save just became the newest version; keep an open history list honest.
+      if (get().history.length > 0) get().fetchHistory();
     } catch (error) {
       set({ isSaving: false });
       toast.error(toAppError(error, { fallback: '변경사항 저장에 실패했습니다.' }).message);
@@ -209,7 +625,16 @@ const useAdminTierStore = create((set, get) => ({
       // publishTierTable is a backward-compatible alias; behaves identically to saveAdminTierDraft
       await tierApi.publishTierTable(selectedLevel, selectedPlayStyle, payload);
       toast.success('Changes saved! Now live.');
-      set({ isSaving: false, hasChanges: false, rawTierData: payload });
+      set({
+        isSaving: false,
+        hasChanges: false,
+        rawTierData: payload,
+        loadedVersion: null,
+        ...markStepsUnsaved(get())
+      });
+      deleteTierDraft(buildDraftKey(selectedLevel, selectedPlayStyle));
+      // The save just became the newest version; keep an open history list honest.
+      if (get().history.length > 0) get().fetchHistory();
     } catch (error) {
       set({ isSaving: false });
       toast.error(toAppError(error, { fallback: '서열표 반영에 실패했습니다.' }).message);
@@ -217,5 +642,5 @@ const useAdminTierStore = create((set, get) => ({
   }
 }));
 
-export { TIERS, CATEGORIES, buildItemId, buildSectionKeys };
+export { buildItemId, buildSectionKeys };
 export default useAdminTierStore;
@@ -1,4 +1,5 @@
 import { create } from 'zustand';
+import { scoresApi } from '../api/scores';
 
 export const useAuthStore = create((set, get) => ({
   // ========================================
@@ -28,7 +29,16 @@ export const useAuthStore = create((set, get) => ({
   // 🔧 액션 (Actions)
   // ========================================
   
-  setUser: (user) => set({ user, error: null }),
+  /**
+   * setUser: 로그인한 사용자 정보를 저장하는 함수
+   *
+   * 🎓 다른 계정이 되면 캐시해 둔 스코어를 버립니다. getAllScores는 "내 스코어"를
+   * username 없이 캐시하므로, 그대로 두면 다음 사용자에게 앞 사람의 램프가 보입니다.
+   */
+  setUser: (user) => {
+    if (user?.username !== get().user?.username) scoresApi.clearAllScoresCache();
+    set({ user, error: null });
+  },
   
   /**
    * setLoading: 로딩 상태를 변경하는 함수
@@ -46,9 +56,13 @@ export const useAuthStore = create((set, get) => ({
    * 🎓 무슨 일이 일어나나요?
    * 1. user를 null로 설정 → "로그아웃 상태"로 변경
    * 2. error를 null로 초기화 → 이전 에러 메시지 제거
-   * 3. 이 함수를 호출하는 모든 컴포넌트가 자동으로 리렌더링!
+   * 3. 캐시해 둔 스코어를 버림 (세션 만료도 이 함수를 거칩니다)
+   * 4. 이 함수를 호출하는 모든 컴포넌트가 자동으로 리렌더링!
    */
-  logout: () => set({ user: null, error: null }),
+  logout: () => {
+    scoresApi.clearAllScoresCache();
+    set({ user: null, error: null });
+  },
   
   /**
    * clearError: 에러 메시지를 지우는 함수
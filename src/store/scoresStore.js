@@ -1,4 +1,26 @@
 import { create } from 'zustand';
+import { parseHiddenColumns } from '../utils/scoreColumns';
+import { DEFAULT_SCORE_FILTERS, DEFAULT_SCORE_PAGINATION, parseScoreQuery } from '../utils/viewQuery';
+
+// 숨긴 컬럼 목록은 로그인 여부와 상관없는 화면 취향이라 localStorage에 둡니다.
+const HIDDEN_COLUMNS_KEY = 'scores.hiddenColumns';
+
+// 🎓 시크릿 모드 등에서는 localStorage 접근 자체가 예외를 던질 수 있어 try로 감쌉니다.
+const loadHiddenColumns = () => {
+  try {
+    return parseHiddenColumns(localStorage.getItem(HIDDEN_COLUMNS_KEY));
+  } catch {
+    return [];
+  }
+};
+
+const saveHiddenColumns = (hiddenColumns) => {
+  try {
+    localStorage.setItem(HIDDEN_COLUMNS_KEY, JSON.stringify(hiddenColumns));
+  } catch {
+    // 저장하지 못해도 이번 세션에서는 그대로 적용됩니다.
+  }
+};
 
 /**
  * 🎓 학습 포인트: 왜 필터 상태를 Store에 둘까요?
@@ -12,12 +34,8 @@ import { create } from 'zustand';
  */
 export const useScoresStore = create((set) => ({
   // ─── 필터 상태 ───
-  filters: {
-    playStyle: '',     // 'SP' | 'DP' | '' (전체)
-    level: '',         // 1~12 | '' (전체)
-    chartType: '',     // 'BEGINNER' | 'NORMAL' | 'HYPER' | 'ANOTHER' | 'LEGGENDARIA' | ''
-    clearType: '',     // 'FAILED' | 'ASSIST_CLEAR' | 'EASY_CLEAR' | ... | ''
-  },
+  // 각 필드의 값 범위는 utils/viewQuery의 DEFAULT_SCORE_FILTERS 주석 참고
+  filters: DEFAULT_SCORE_FILTERS,
 
   // ─── 페이지네이션 상태 ───
   /**
@@ -31,11 +49,18 @@ export const useScoresStore = create((set) => ({
    *   size: 20,            ← 페이지 크기
    * }
    * Spring은 0부터 시작하는 페이지 번호를 사용합니다.
+   *
+   * 이 스토어의 pagination = { page, size, sort }
+   * - page: 현재 페이지 (0-indexed)
+   * - size: 페이지당 항목 수
+   * - sort: 🎓 Spring Data의 sort 파라미터 형식 '필드,방향'
+   *   예: 'bestMissCount,desc' → GET /api/scores?sort=bestMissCount,desc
+   *   ''이면 파라미터를 보내지 않고 서버 기본 정렬을 따릅니다.
    */
-  pagination: {
-    page: 0,   // 현재 페이지 (0-indexed)
-    size: 20,  // 페이지당 항목 수
-  },
+  pagination: DEFAULT_SCORE_PAGINATION,
+
+  // ─── 컬럼 표시 설정 ───
+  hiddenColumns: loadHiddenColumns(), // utils/scoreColumns의 key 배열
 
   // ─── 액션 ───
   setFilters: (newFilters) =>
@@ -49,6 +74,21 @@ export const useScoresStore = create((set) => ({
       pagination: { ...state.pagination, page },
     })),
 
+  // 정렬이 바뀌면 보던 페이지의 의미가 사라지므로 첫 페이지로 돌아갑니다.
+  setSort: (sort) =>
+    set((state) => ({
+      pagination: { ...state.pagination, page: 0, sort },
+    })),
+
+  toggleColumn: (key) =>
+    set((state) => {
+      const hiddenColumns = state.hiddenColumns.includes(key)
+        ? state.hiddenColumns.filter((hidden) => hidden !== key)
+        : [...state.hiddenColumns, key];
+      saveHiddenColumns(hiddenColumns);
+      return { hiddenColumns };
+    }),
+
   /**
    * 🎓 스프레드 연산자(...)로 부분 업데이트
    * setFilters({ level: 12 }) 호출 시:
@@ -58,7 +98,16 @@ export const useScoresStore = create((set) => ({
    */
   resetFilters: () =>
     set({
-      filters: { playStyle: '', level: '', chartType: '', clearType: '' },
-      pagination: { page: 0, size: 20 },
+      filters: DEFAULT_SCORE_FILTERS,
+      pagination: DEFAULT_SCORE_PAGINATION,
     }),
+
+  /**
+   * URL 쿼리(?level=12&page=2 ...)로 필터와 페이지를 한꺼번에 맞춥니다.
+   * 새로고침, 북마크, 뒤로/앞으로 가기 때 hooks/useQuerySync가 부릅니다.
+   * 쿼리에 없는 값은 기본값으로 돌아갑니다.
+   *
+   * @param {URLSearchParams} params
+   */
+  applyQuery: (params) => set(parseScoreQuery(params)),
 }));
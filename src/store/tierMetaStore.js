@@ -0,0 +1,33 @@
+import { create } from 'zustand';
+import { tierApi } from '../api/tiers';
+import { DEFAULT_TIER_META, normalizeTierMeta } from '../utils/tierMeta';
+
+let metaRequest = null;
+
+/**
+ * Tier-table metadata shared by the viewer and the admin editor.
+ *
+ * Fetched once per session. Unlike tier *data*, falling back to the defaults
+ * here is safe: metadata only decides which levels and bands are offered,
+ * and an admin loading the editor still sees the real table for them. A
+ * failed request is not kept, so the next fetchMeta() tries again.
+ */
+const useTierMetaStore = create((set) => ({
+  meta: DEFAULT_TIER_META,
+  isMetaLoaded: false,
+
+  fetchMeta: () => {
+    if (!metaRequest) {
+      metaRequest = tierApi.getTierTableMeta()
+        .then((raw) => set({ meta: normalizeTierMeta(raw), isMetaLoaded: true }))
+        .catch((error) => {
+          console.error('Using default tier table metadata:', error);
+          metaRequest = null;
+          set({ isMetaLoaded: true });
+        });
+    }
+    return metaRequest;
+  },
+}));
+
+export default useTierMetaStore;
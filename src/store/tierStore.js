@@ -3,7 +3,13 @@ import { tierApi } from '../api/tiers';
 import { scoresApi } from '../api/scores';
 import toast from 'react-hot-toast';
 import { normalizeClearType } from '../utils/clearTypes';
+import { chartNoteCount } from '../utils/djLevel';
+import { buildLevelChartIndex, resolveTierEntryChart } from '../utils/tierData';
 import { toAppError } from '../utils/httpError';
+import { getLevelsFor, resolveSelectableLevel } from '../utils/tierMeta';
+import { EMPTY_TIER_FILTERS } from '../utils/tierFilter';
+import { DEFAULT_TIER_VIEW, parseTierQuery } from '../utils/viewQuery';
+import useTierMetaStore from './tierMetaStore';
 
 let latestTierRequestId = 0;
 
@@ -39,26 +45,132 @@ const buildScoreMap = (scores) => {
   return scoreMap;
 };
 
+/**
+ * Score for a tier entry, via the chart the entry resolves to (see
+ * utils/tierData.resolveTierEntryChart).
+ *
+ * @returns {{ score: object | null, difficulty: string | null, ambiguousDifficulties: string[] | null }}
+ */
+const findTierSongScore = (tierSong, chartIndex, scoreMap) => {
+  const { difficulty, ambiguousDifficulties } = resolveTierEntryChart(tierSong, chartIndex);
+  return {
+    score: difficulty ? scoreMap.get(buildScoreKey(tierSong.title, difficulty)) ?? null : null,
+    difficulty,
+    ambiguousDifficulties,
+  };
+};
+
+/**
+ * The charts the viewer knows exist at this level. Players cannot read the
+ * master song list, so it is pieced together from every chart the table
+ * names explicitly and every chart in the score payloads, the rival's
+ * included: whether the user happened to play a chart must not decide
+ * whether a bare title is ambiguous.
+ */
+const buildViewerChartIndex = (tierSongs, scoreLists) => buildLevelChartIndex([
+  ...tierSongs,
+  ...scoreLists.flat().map((score) => ({ title: score.song?.title, difficulty: score.chart?.chartType })),
+]);
+
+// Convert grouped tier data into clear-lamp-aware song rows. `rivalScores` is
+// null outside rival mode, which keeps `rivalClearType` off the songs so the
+// views can tell "no rival" from "rival has not played this".
+// Exported for the public tier-table page, which enriches without the store.
+export const buildEnrichedTierData = (rawTierData, userScores, rivalScores) => {
+  const scoreMap = buildScoreMap(userScores);
+  const rivalScoreMap = rivalScores ? buildScoreMap(rivalScores) : null;
+  const tierSongs = Object.values(rawTierData).flat().map(normalizeTierSong);
+  const chartIndex = buildViewerChartIndex(tierSongs, [userScores, rivalScores ?? []]);
+
+  return Object.entries(rawTierData).map(([tier, songs]) => ({
+    tier,
+    songs: songs.map(song => {
+      const tierSong = normalizeTierSong(song);
+      const { score, difficulty, ambiguousDifficulties } = findTierSongScore(tierSong, chartIndex, scoreMap);
+      const clearType = normalizeClearType(score?.bestClearType) ?? 'NO_PLAY';
+      const enrichedSong = {
+        ...tierSong,
+        // A bare title with one chart at this level takes that chart's
+        // difficulty, so it gets a tag and passes the difficulty filter.
+        difficulty,
+        clearType,
+        chartId: score?.chart?.id ?? null,
+        score: score ? score.bestScore : 0,
+        djLevel: score ? score.bestDjLevel : '-',
+        // Null until the backend sends note counts (see chartNoteCount).
+        noteCount: chartNoteCount(score?.chart),
+        playCount: score?.playCount ?? 0,
+        ambiguousDifficulties,
+      };
+
+      if (rivalScoreMap) {
+        const { score: rivalScore } = findTierSongScore(tierSong, chartIndex, rivalScoreMap);
+        enrichedSong.rivalClearType = normalizeClearType(rivalScore?.bestClearType) ?? 'NO_PLAY';
+      }
+
+      return enrichedSong;
+    })
+  }));
+};
+
+// `username` null means the logged-in user. Walks every page (see
+// scoresApi.getAllScores) so a level with more charts than one page still
+// gets every lamp.
+const fetchScoresFor = (username, level, playStyle) => (
+  scoresApi.getAllScores({ level, playStyle }, { username })
+);
+
 const useTierStore = create((set, get) => ({
-  selectedLevel: 12,
-  selectedPlayStyle: 'SP',
+  selectedLevel: DEFAULT_TIER_VIEW.selectedLevel,
+  selectedPlayStyle: DEFAULT_TIER_VIEW.selectedPlayStyle,
   tierData: null,          // Raw JSON tier data
   userScores: [],          // Raw scores from backend
+  rivalUsername: null,     // Set while rival mode is on
+  rivalScores: null,       // Rival's raw scores for the selected level/style (null = rival mode off)
+  isRivalLoading: false,
   enrichedTierData: [],    // Combined data array: [{ tier: 'S+', songs: [{ title, clearType }] }]
   expandedTiers: new Set(), // Set of tier strings currently expanded
-  viewMode: 'grid',        // 'list' or 'grid'
+  viewMode: DEFAULT_TIER_VIEW.viewMode, // 'list' or 'grid'
+  tileDisplay: 'lamp',     // 'lamp' or 'score' (EX score, DJ level and grade gap on each tile)
+  clearTarget: null,       // Goal lamp from CLEAR_TARGETS; null = any clear lamp
+  filters: EMPTY_TIER_FILTERS, // See utils/tierFilter
   isLoading: false,
   error: null,
 
   // Actions
   setViewMode: (mode) => set({ viewMode: mode }),
+  setTileDisplay: (tileDisplay) => set({ tileDisplay }),
+  setClearTarget: (clearTarget) => set({ clearTarget }),
+  setFilters: (patch) => set({ filters: { ...get().filters, ...patch } }),
+  resetFilters: () => set({ filters: EMPTY_TIER_FILTERS }),
   setLevel: (level) => {
     latestTierRequestId += 1;
     set({ selectedLevel: level });
   },
   setPlayStyle: (playStyle) => {
     latestTierRequestId += 1;
-    set({ selectedPlayStyle: playStyle });
+    const levels = getLevelsFor(useTierMetaStore.getState().meta, playStyle);
+    set({
+      selectedPlayStyle: playStyle,
+      selectedLevel: resolveSelectableLevel(levels, get().selectedLevel)
+    });
+  },
+
+  /**
+   * Level, play style and view mode from the `/tier-table` query string
+   * (see hooks/useQuerySync). The level is taken as given rather than
+   * resolved against the metadata, which may not have loaded yet.
+   */
+  applyQuery: (params) => {
+    const view = parseTierQuery(params);
+    const { selectedLevel, selectedPlayStyle } = get();
+    // Only a real change may invalidate the in-flight fetch: the page refetches
+    // on level/style changes, so bumping the id otherwise would drop a response
+    // nobody is going to ask for again.
+    if (view.selectedLevel !== selectedLevel || view.selectedPlayStyle !== selectedPlayStyle) {
+      latestTierRequestId += 1;
+    }
+    set(view);
   },
 
   toggleTier: (tier) => {
@@ -80,8 +192,47 @@ const useTierStore = create((set, get) => ({
 
   collapseAllTiers: () => set({ expandedTiers: new Set() }),
 
-  fetchTierData: async () => {
+  /**
+   * Turn rival mode on for `username` and overlay their lamps. A failed
+   * lookup (unknown user, 403) leaves the previous rival state untouched.
+   */
+  setRival: async (username) => {
     const { selectedLevel, selectedPlayStyle } = get();
+    const requestId = latestTierRequestId;
+    set({ isRivalLoading: true });
+
+    try {
+      const rivalScores = await fetchScoresFor(username, selectedLevel, selectedPlayStyle);
+      // A level/style switch or refetch since then would overlay the wrong chart set.
+      if (requestId !== latestTierRequestId) return;
+
+      // Read the table now, not at the start: a fetch that was already in
+      // flight for this level may have landed while the rival loaded.
+      const { tierData, userScores } = get();
+      set({
+        rivalUsername: username,
+        rivalScores,
+        enrichedTierData: tierData ? buildEnrichedTierData(tierData, userScores, rivalScores) : []
+      });
+    } catch (error) {
+      console.error(`Failed to fetch rival scores for ${username}:`, error);
+      toast.error(toAppError(error, { fallback: '라이벌 스코어를 불러오지 못했습니다.' }).message);
+    } finally {
+      set({ isRivalLoading: false });
+    }
+  },
+
+  clearRival: () => {
+    const { tierData, userScores } = get();
+    set({
+      rivalUsername: null,
+      rivalScores: null,
+      enrichedTierData: tierData ? buildEnrichedTierData(tierData, userScores, null) : []
+    });
+  },
+
+  fetchTierData: async () => {
+    const { selectedLevel, selectedPlayStyle, rivalUsername } = get();
     const requestId = ++latestTierRequestId;
     const isCurrentRequest = () => (
       requestId === latestTierRequestId
@@ -91,6 +242,18 @@ const useTierStore = create((set, get) => ({
     set({ isLoading: true, error: null });
 
     try {
+      // The starting level (12, or one from a shared link) is only checked
+      // against the metadata once it has arrived; switching levels here makes
+      // the page fetch again for the resolved one.
+      await useTierMetaStore.getState().fetchMeta();
+      if (!isCurrentRequest()) return;
+      const levels = getLevelsFor(useTierMetaStore.getState().meta, selectedPlayStyle);
+      const resolvedLevel = resolveSelectableLevel(levels, selectedLevel);
+      if (resolvedLevel !== selectedLevel) {
+        get().setLevel(resolvedLevel);
+        return;
+      }
+
       // 1. Fetch static tier data for the current level/style
       const rawTierData = await tierApi.getTierData(selectedLevel, selectedPlayStyle);
       if (!isCurrentRequest()) return;
@@ -105,41 +268,28 @@ const useTierStore = create((set, get) => ({
         return;
       }
 
-      // 2. Fetch user's actual scores from backend for this level/style to overlay clear lamps
-      const response = await scoresApi.getScores({
-        level: selectedLevel,
-        playStyle: selectedPlayStyle,
-        size: 1000 // A large enough number to get all scores for mapping
-      });
+      // 2. Fetch user's actual scores from backend for this level/style to overlay clear lamps.
+      //    In rival mode the rival's scores for the same level/style come along too;
+      //    a rival failure only drops the overlay, never the user's own table.
+      const [userScores, rivalScores] = await Promise.all([
+        fetchScoresFor(null, selectedLevel, selectedPlayStyle),
+        rivalUsername
+          ? fetchScoresFor(rivalUsername, selectedLevel, selectedPlayStyle).catch((rivalError) => {
+            console.error(`Failed to fetch rival scores for ${rivalUsername}:`, rivalError);
+            toast.error(toAppError(rivalError, { fallback: '라이벌 스코어를 불러오지 못했습니다.' }).message);
+            return null;
+          })
+          : null
+      ]);
       if (!isCurrentRequest()) return;
 
-      const userScores = response.content || [];
-
-      const scoreMap = buildScoreMap(userScores);
-
-      // 3. Enrich the raw tier data with user scores
-      // Convert grouped tier data into clear-lamp-aware song rows.
-      const enriched = Object.entries(rawTierData).map(([tier, songs]) => ({
-        tier,
-        songs: songs.map(song => {
-          const tierSong = normalizeTierSong(song);
-          const exactScore = tierSong.difficulty
-            ? scoreMap.get(buildScoreKey(tierSong.title, tierSong.difficulty))
-            : null;
-          const fallbackScore = tierSong.difficulty
-            ? null
-            : userScores.find(s => s.song?.title === tierSong.title);
-          const score = exactScore ?? fallbackScore;
-          const clearType = normalizeClearType(score?.bestClearType) ?? 'NO_PLAY';
-
-          return {
-            ...tierSong,
-            clearType,
-            score: score ? score.bestScore : 0,
-            djLevel: score ? score.bestDjLevel : '-',
-          };
-        })
-      }));
+      // 3. Enrich the raw tier data with user (and rival) scores. setRival or
+      //    clearRival may have finished while this was in flight; their result
+      //    is newer than the rival this fetch started with, so it wins.
+      const rival = get().rivalUsername === rivalUsername
+        ? { rivalUsername: rivalScores ? rivalUsername : null, rivalScores }
+        : { rivalUsername: get().rivalUsername, rivalScores: get().rivalScores };
+      const enriched = buildEnrichedTierData(rawTierData, userScores, rival.rivalScores);
 
       // Initially expand all tiers when successfully loaded
       const allTiers = enriched.map(t => t.tier);
@@ -147,6 +297,7 @@ const useTierStore = create((set, get) => ({
       set({
         tierData: rawTierData,
         userScores,
+        ...rival,
         enrichedTierData: enriched,
         expandedTiers: new Set(allTiers),
         isLoading: false
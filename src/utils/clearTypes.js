@@ -50,3 +50,33 @@ const CLEAR_TYPES = new Set([
 ]);
 
 export const isClearTypeCleared = (clearType) => CLEAR_TYPES.has(normalizeClearType(clearType));
+
+// Lamp order from worst to best; index comparisons decide "improved".
+export const CLEAR_TYPE_ORDER = [
+  'NO_PLAY',
+  'FAILED',
+  'ASSIST_CLEAR',
+  'EASY_CLEAR',
+  'CLEAR',
+  'HARD_CLEAR',
+  'EX_HARD_CLEAR',
+  'FULLCOMBO_CLEAR',
+];
+
+export const clearTypeRank = (clearType) => (
+  CLEAR_TYPE_ORDER.indexOf(normalizeClearType(clearType) ?? 'NO_PLAY')
+);
+
+// Lamps a player can pick as their goal on the tier table, easiest first.
+export const CLEAR_TARGETS = ['EASY_CLEAR', 'CLEAR', 'HARD_CLEAR', 'EX_HARD_CLEAR', 'FULLCOMBO_CLEAR'];
+
+/**
+ * Whether a lamp reaches the goal. Without a goal this is plain
+ * isClearTypeCleared, so ASSIST CLEAR still counts as cleared.
+ *
+ * @param {string | null} clearType
+ * @param {string | null} [target] - one of CLEAR_TARGETS
+ */
+export const meetsClearTarget = (clearType, target = null) => (
+  target ? clearTypeRank(clearType) >= clearTypeRank(target) : isClearTypeCleared(clearType)
+);
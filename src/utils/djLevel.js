@@ -0,0 +1,76 @@
+/**
+ * DJ level grades and the pacemaker-style gap to the nearest one.
+ *
+ * The EX score maximum is twice the note count. Each grade starts at a ninth
+ * of it: AAA at 8/9, AA at 7/9 ... E at 2/9, and everything below is F.
+ */
+
+const GRADES = [
+  { grade: 'F', ninths: 0 },
+  { grade: 'E', ninths: 2 },
+  { grade: 'D', ninths: 3 },
+  { grade: 'C', ninths: 4 },
+  { grade: 'B', ninths: 5 },
+  { grade: 'A', ninths: 6 },
+  { grade: 'AA', ninths: 7 },
+  { grade: 'AAA', ninths: 8 },
+  { grade: 'MAX', ninths: 9 },
+];
+
+const gradeBorders = (noteCount) => GRADES.map(({ grade, ninths }) => ({
+  grade,
+  border: Math.ceil((noteCount * 2 * ninths) / 9),
+}));
+
+/**
+ * Note count of a score payload's chart, or null.
+ *
+ * No API sends one yet: `/scores` charts carry id, chartType, level and
+ * playStyle only. `noteCount` is the field the backend will add, and until it
+ * does every caller gets null and has to say the grade gap or rate is
+ * unavailable rather than show nothing.
+ *
+ * @param {object | null | undefined} chart
+ * @returns {number | null}
+ */
+export const chartNoteCount = (chart) => (
+  Number.isFinite(chart?.noteCount) && chart.noteCount > 0 ? chart.noteCount : null
+);
+
+/**
+ * @param {number} exScore
+ * @param {number | null} noteCount
+ * @returns {string | null} e.g. 'AA'; null when the note count is unknown
+ */
+export const computeDjLevel = (exScore, noteCount) => {
+  if (!noteCount) return null;
+  const reached = gradeBorders(noteCount).filter(({ grade, border }) => grade !== 'MAX' && exScore >= border);
+  return reached[reached.length - 1].grade;
+};
+
+/**
+ * Gap to whichever grade border is closer, the way the in-game pacemaker
+ * shows it: "AAA-12" (12 short of AAA) in the upper half of a band,
+ * "AA+30" (30 past AA) in the lower half. A perfect score is "MAX+0".
+ *
+ * @param {number} exScore
+ * @param {number | null} noteCount
+ * @returns {string | null} null when the note count is unknown
+ */
+export const formatGradeGap = (exScore, noteCount) => {
+  if (!noteCount) return null;
+  const borders = gradeBorders(noteCount);
+  const index = borders.findLastIndex(({ border }) => exScore >= border);
+  const current = borders[index];
+  const next = borders[index + 1];
+
+  if (!next || exScore - current.border <= next.border - exScore) {
+    return `${current.grade}+${exScore - current.border}`;
+  }
+  return `${next.grade}-${next.border - exScore}`;
+};
+
+/**
+ * EX score as a fraction of the maximum (0-1), or null without a note count.
+ */
+export const exScoreRate = (exScore, noteCount) => (noteCount ? exScore / (noteCount * 2) : null);
@@ -0,0 +1,21 @@
+// FileSaver.js waits this long too: Firefox and Safari may still be reading
+// the blob after click() returns, and revoking it then breaks the download.
+const REVOKE_DELAY_MS = 40 * 1000;
+
+/**
+ * Save a Blob under `fileName` through a temporary object URL.
+ *
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  // Firefox ignores clicks on links that are not in the document.
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
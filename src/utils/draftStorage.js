@@ -0,0 +1,79 @@
+/**
+ * IndexedDB storage for unsaved admin tier drafts, one record per
+ * level/play style. Every call degrades to a no-op (or `null`) when IndexedDB
+ * is unavailable, e.g. in a private window that blocks it — autosave is a
+ * safety net and must never break the editor itself.
+ */
+
+const DB_NAME = 'iidx-score-board';
+const DB_VERSION = 1;
+const STORE_NAME = 'adminTierDrafts';
+
+let dbPromise = null;
+
+// `indexedDB.open` and `db.transaction` can also throw synchronously
+// (SecurityError, InvalidStateError, DataCloneError on put); inside an
+// executor that would surface as a rejection, so both are caught and turned
+// into the same `null` as an async failure.
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('Failed to open draft storage', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.error('Failed to open draft storage', error);
+        resolve(null);
+      }
+    }).then((db) => {
+      // Try again on the next call rather than caching the failure for the session.
+      if (!db) dbPromise = null;
+      return db;
+    });
+  }
+
+  return dbPromise;
+};
+
+const runRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => {
+        console.error('Draft storage request failed', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('Draft storage request failed', error);
+      // A closed connection (InvalidStateError) is not coming back; reopen next time.
+      if (error?.name === 'InvalidStateError') dbPromise = null;
+      resolve(null);
+    }
+  });
+};
+
+export const buildDraftKey = (level, playStyle) => `${playStyle}:${level}`;
+
+/**
+ * @param {string} key - see buildDraftKey
+ * @param {{ entries: Array, savedAt: string }} draft - flat save-payload entries
+ */
+export const saveTierDraft = (key, draft) => runRequest('readwrite', (store) => store.put(draft, key));
+
+/** @returns {Promise<{ entries: Array, savedAt: string } | null>} */
+export const loadTierDraft = (key) => runRequest('readonly', (store) => store.get(key));
+
+export const deleteTierDraft = (key) => runRequest('readwrite', (store) => store.delete(key));
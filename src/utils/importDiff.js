@@ -0,0 +1,151 @@
+import { CLEAR_TYPE_LABELS, clearTypeRank, normalizeClearType } from './clearTypes';
+import { compareSongsByTitle } from './tierData';
+
+/**
+ * Per-chart changelog between two score snapshots, taken right before and
+ * right after a CSV upload. The backend only reports aggregate counters, so
+ * this is the only place that knows *which* charts moved.
+ */
+
+const DJ_LEVEL_ORDER = ['F', 'E', 'D', 'C', 'B', 'A', 'AA', 'AAA'];
+
+const buildChartKey = (score) => JSON.stringify([
+  score.song?.title ?? null,
+  score.chart?.chartType ?? null,
+  score.chart?.playStyle ?? null,
+]);
+
+const toSnapshotEntry = (score) => ({
+  title: score.song?.title ?? '',
+  chartType: score.chart?.chartType ?? null,
+  level: score.chart?.level ?? null,
+  playStyle: score.chart?.playStyle ?? null,
+  clearType: normalizeClearType(score.bestClearType) ?? 'NO_PLAY',
+  score: score.bestScore ?? 0,
+  djLevel: score.bestDjLevel ?? null,
+});
+
+const djLevelRank = (djLevel) => DJ_LEVEL_ORDER.indexOf(djLevel);
+
+/**
+ * Compare two score lists (the `content` of `scoresApi.getScores`).
+ *
+ * A chart missing from `before` is treated as NO PLAY / 0, so a first-time
+ * play shows up as a change too. Only charts where the lamp, the EX score or
+ * the DJ level went up are returned.
+ *
+ * @param {Array} beforeScores
+ * @param {Array} afterScores
+ * @returns {Array<{
+ *   key: string, title: string, chartType: string | null, level: number | null,
+ *   clearType: { from: string, to: string }, score: { from: number, to: number },
+ *   djLevel: { from: string | null, to: string | null },
+ *   clearImproved: boolean, scoreImproved: boolean, djLevelImproved: boolean,
+ * }>}
+ */
+export const diffScoreSnapshots = (beforeScores, afterScores) => {
+  const before = new Map(beforeScores.map((score) => [buildChartKey(score), toSnapshotEntry(score)]));
+
+  return afterScores.flatMap((score) => {
+    const key = buildChartKey(score);
+    const next = toSnapshotEntry(score);
+    const prev = before.get(key) ?? { clearType: 'NO_PLAY', score: 0, djLevel: null };
+
+    const clearImproved = clearTypeRank(next.clearType) > clearTypeRank(prev.clearType);
+    const scoreImproved = next.score > prev.score;
+    const djLevelImproved = djLevelRank(next.djLevel) > djLevelRank(prev.djLevel);
+    if (!clearImproved && !scoreImproved && !djLevelImproved) return [];
+
+    return [{
+      key,
+      title: next.title,
+      chartType: next.chartType,
+      level: next.level,
+      clearType: { from: prev.clearType, to: next.clearType },
+      score: { from: prev.score, to: next.score },
+      djLevel: { from: prev.djLevel, to: next.djLevel },
+      clearImproved,
+      scoreImproved,
+      djLevelImproved,
+    }];
+  });
+};
+
+const clearLabel = (clearType) => CLEAR_TYPE_LABELS[clearType] ?? clearType;
+
+const describeClearChange = (change) => (
+  change.clearImproved
+    ? `${clearLabel(change.clearType.from)} → ${clearLabel(change.clearType.to)}`
+    : '램프 유지'
+);
+
+/**
+ * Group changes by level (highest first), then by lamp transition (best
+ * resulting lamp first). Score-only improvements form their own group at the
+ * end of each level.
+ *
+ * @param {ReturnType<typeof diffScoreSnapshots>} changes
+ * @returns {Array<{ level: number | null, groups: Array<{ label: string, changes: Array }> }>}
+ */
+export const groupImportChanges = (changes) => {
+  const byLevel = new Map();
+
+  changes.forEach((change) => {
+    if (!byLevel.has(change.level)) byLevel.set(change.level, new Map());
+    const groups = byLevel.get(change.level);
+    const label = describeClearChange(change);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(change);
+  });
+
+  const groupRank = (groupChanges) => {
+    const [first] = groupChanges;
+    if (!first.clearImproved) return -1;
+    return clearTypeRank(first.clearType.to) * 100 + clearTypeRank(first.clearType.from);
+  };
+
+  return [...byLevel.entries()]
+    .sort(([a], [b]) => (b ?? -1) - (a ?? -1))
+    .map(([level, groups]) => ({
+      level,
+      groups: [...groups.entries()]
+        .map(([label, groupChanges]) => ({
+          label,
+          changes: [...groupChanges].sort(compareSongsByTitle),
+        }))
+        .sort((a, b) => groupRank(b.changes) - groupRank(a.changes)),
+    }));
+};
+
+/**
+ * One line per chart, e.g.
+ * "Lv12 冥 ANOTHER: HARD → EX-H, score 3521 → 3610, DJ AA → AAA"
+ */
+export const formatImportChange = (change) => {
+  const parts = [];
+  if (change.clearImproved) parts.push(describeClearChange(change));
+  if (change.scoreImproved) parts.push(`score ${change.score.from} → ${change.score.to}`);
+  if (change.djLevelImproved) parts.push(`DJ ${change.djLevel.from ?? '-'} → ${change.djLevel.to}`);
+
+  return `Lv${change.level ?? '?'} ${change.title} ${change.chartType ?? ''}: ${parts.join(', ')}`;
+};
+
+/**
+ * Plain-text session recap, ready to paste into a chat.
+ *
+ * @param {ReturnType<typeof groupImportChanges>} grouped
+ * @param {{ playStyle: string, date: string }} meta
+ */
+export const formatImportReport = (grouped, { playStyle, date }) => {
+  const lines = [`IIDX ${playStyle} 갱신 기록 (${date})`];
+
+  grouped.forEach(({ level, groups }) => {
+    lines.push('', `■ Lv${level ?? '?'}`);
+    groups.forEach(({ label, changes }) => {
+      lines.push(`[${label}]`);
+      changes.forEach((change) => lines.push(`- ${formatImportChange(change)}`));
+    });
+  });
+
+  return lines.join('\n');
+};
@@ -0,0 +1,133 @@
+import { clearTypeRank, normalizeClearType } from './clearTypes';
+import { chartNoteCount, exScoreRate } from './djLevel';
+
+/**
+ * Time series for the dashboard progress charts.
+ *
+ * Two sources, best first: per-import snapshots (exact counts at each upload)
+ * when the backend has them, otherwise a reconstruction from each chart's
+ * `bestPlayedAt`. The reconstruction dates a lamp by when the best *score* was
+ * set, so a lamp improved without a new best score shows up late; scores
+ * without a date count as older than the whole range.
+ */
+
+// "HARD" means HARD or better, so the three lines never cross.
+export const PROGRESS_LAMPS = ['HARD_CLEAR', 'EX_HARD_CLEAR', 'FULLCOMBO_CLEAR'];
+
+export const PROGRESS_RANGES = [
+  { key: '3M', label: '3개월', months: 3 },
+  { key: '6M', label: '6개월', months: 6 },
+  { key: '1Y', label: '1년', months: 12 },
+  { key: 'ALL', label: '전체', months: null },
+];
+
+const POINT_COUNT = 40;
+
+const playedAtOf = (score) => {
+  const time = score.bestPlayedAt ? new Date(score.bestPlayedAt).getTime() : NaN;
+  return Number.isNaN(time) ? -Infinity : time;
+};
+
+/**
+ * Evenly spaced sample times from the range start to `now`. 'ALL' starts at
+ * the oldest dated score.
+ */
+export const buildSampleTimes = (scores, months, now = Date.now()) => {
+  let start;
+  if (months) {
+    const date = new Date(now);
+    date.setMonth(date.getMonth() - months);
+    start = date.getTime();
+  } else {
+    const dated = scores.map(playedAtOf).filter(Number.isFinite);
+    start = dated.length > 0 ? Math.min(...dated) : now;
+  }
+
+  if (start >= now) return [now];
+  const step = (now - start) / (POINT_COUNT - 1);
+  return Array.from({ length: POINT_COUNT }, (_, index) => start + step * index);
+};
+
+/**
+ * @param {Array} scores - every score of the player (scoresApi.getAllScores)
+ * @param {number[]} times
+ * @returns {Record<string, Array<{ x: number, y: number }>>} keyed by PROGRESS_LAMPS
+ */
+export const buildLampSeriesFromScores = (scores, times) => {
+  const dated = scores.map((score) => ({
+    time: playedAtOf(score),
+    rank: clearTypeRank(normalizeClearType(score.bestClearType)),
+  }));
+
+  return Object.fromEntries(PROGRESS_LAMPS.map((lamp) => {
+    const threshold = clearTypeRank(lamp);
+    const reached = dated.filter(({ rank }) => rank >= threshold);
+    return [lamp, times.map((time) => ({ x: time, y: reached.filter((s) => s.time <= time).length }))];
+  }));
+};
+
+/**
+ * Average EX score rate (0-100) of the charts of `level` played by each time.
+ * Charts without a note count cannot be rated and are left out.
+ *
+ * @returns {Array<{ x: number, y: number }>} points before the first rated
+ *   chart are omitted
+ */
+export const buildRateSeriesFromScores = (scores, times, level) => {
+  const rated = scores
+    .filter((score) => score.chart?.level === level)
+    .map((score) => ({ time: playedAtOf(score), rate: exScoreRate(score.bestScore ?? 0, chartNoteCount(score.chart)) }))
+    .filter(({ rate }) => rate !== null);
+
+  return times.flatMap((time) => {
+    const played = rated.filter((s) => s.time <= time);
+    if (played.length === 0) return [];
+    const average = played.reduce((acc, s) => acc + s.rate, 0) / played.length;
+    return [{ x: time, y: Math.round(average * 1000) / 10 }];
+  });
+};
+
+/**
+ * Whether either source can produce an EX score rate at all. Scores need a
+ * note count, which no API sends yet (see chartNoteCount), so without
+ * snapshot rates this is false and the rate chart is not drawn.
+ *
+ * @param {Array} scores
+ * @param {ReturnType<typeof normalizeImportSnapshots> | null} snapshots
+ */
+export const hasRateData = (scores, snapshots) => (
+  (snapshots ?? []).some(({ rateByLevel }) => Object.keys(rateByLevel).length > 0)
+  || scores.some((score) => chartNoteCount(score.chart) !== null)
+);
+
+/**
+ * @param {unknown} raw - `[{ importedAt, clearTypes: { HARD_CLEAR: n, ... }, rateByLevel?: { 12: 0.81 } }]`
+ * @returns {Array<{ time: number, clearTypes: Record<string, number>, rateByLevel: Record<string, number> }>}
+ *   oldest first; entries without a valid date are dropped
+ */
+export const normalizeImportSnapshots = (raw) => (Array.isArray(raw) ? raw : [])
+  .map((snapshot) => ({
+    time: new Date(snapshot?.importedAt).getTime(),
+    clearTypes: Object.fromEntries(
+      Object.entries(snapshot?.clearTypes ?? {}).map(([clearType, count]) => [normalizeClearType(clearType), Number(count) || 0])
+    ),
+    rateByLevel: snapshot?.rateByLevel ?? {},
+  }))
+  .filter(({ time }) => !Number.isNaN(time))
+  .sort((a, b) => a.time - b.time);
+
+const inRange = (snapshots, times) => snapshots.filter(({ time }) => time >= times[0]);
+
+export const buildLampSeriesFromSnapshots = (snapshots, times) => Object.fromEntries(PROGRESS_LAMPS.map((lamp) => {
+  const threshold = clearTypeRank(lamp);
+  return [lamp, inRange(snapshots, times).map(({ time, clearTypes }) => ({
+    x: time,
+    y: Object.entries(clearTypes)
+      .filter(([clearType]) => clearTypeRank(clearType) >= threshold)
+      .reduce((acc, [, count]) => acc + count, 0),
+  }))];
+}));
+
+export const buildRateSeriesFromSnapshots = (snapshots, times, level) => inRange(snapshots, times)
+  .filter(({ rateByLevel }) => rateByLevel[level] != null)
+  .map(({ time, rateByLevel }) => ({ x: time, y: Math.round(Number(rateByLevel[level]) * 1000) / 10 }));
@@ -0,0 +1,30 @@
+import { clearTypeRank } from './clearTypes';
+
+/**
+ * Lamp-vs-lamp comparison for the tier table's rival mode. Only the clear
+ * lamp decides the result; EX score is not a tiebreaker, matching how the
+ * lamps are compared on the tier table itself.
+ */
+
+/**
+ * @param {{ clearType: string, rivalClearType?: string }} song - an enriched tier song
+ * @returns {'win' | 'lose' | 'draw'}
+ */
+export const compareRivalLamp = (song) => {
+  const diff = clearTypeRank(song.clearType) - clearTypeRank(song.rivalClearType);
+  if (diff > 0) return 'win';
+  if (diff < 0) return 'lose';
+  return 'draw';
+};
+
+/**
+ * @param {Array} songs
+ * @returns {{ win: number, lose: number, draw: number }}
+ */
+export const countRivalResults = (songs) => {
+  const counts = { win: 0, lose: 0, draw: 0 };
+  songs.forEach((song) => {
+    counts[compareRivalLamp(song)] += 1;
+  });
+  return counts;
+};
@@ -0,0 +1,65 @@
+/**
+ * Columns of the score list and how each one sorts on the server.
+ *
+ * `sortField` is the Spring Data property path sent as `sort=<field>,<dir>`;
+ * columns without one are not sortable. `firstDirection` is what the first
+ * click asks for: the best scores and the most misses are what people look
+ * for, titles read A-Z.
+ */
+export const SCORE_COLUMNS = [
+  { key: 'title', label: '곡 제목', sortField: 'song.title', firstDirection: 'asc', hideable: false },
+  { key: 'artist', label: '아티스트', hideable: true },
+  { key: 'playStyle', label: '스타일', hideable: true },
+  { key: 'level', label: 'Lv', sortField: 'chart.level', firstDirection: 'desc', hideable: true },
+  { key: 'chartType', label: '차트', hideable: true },
+  { key: 'clearType', label: '최고 클리어', hideable: true },
+  { key: 'score', label: '최고 점수', sortField: 'bestScore', firstDirection: 'desc', hideable: true },
+  { key: 'djLevel', label: 'DJ 레벨', sortField: 'bestDjLevel', firstDirection: 'desc', hideable: true },
+  { key: 'missCount', label: 'MISS', sortField: 'bestMissCount', firstDirection: 'desc', hideable: true },
+  { key: 'playCount', label: '플레이 수', sortField: 'playCount', firstDirection: 'desc', hideable: true },
+  { key: 'playedAt', label: '최근 플레이', sortField: 'bestPlayedAt', firstDirection: 'desc', hideable: true },
+];
+
+/**
+ * @param {string} sort - current `field,direction`, or '' for the server default
+ * @returns {{ field: string, direction: 'asc' | 'desc' } | null}
+ */
+export const parseSort = (sort) => {
+  const [field, direction] = String(sort ?? '').split(',');
+  if (!field || !['asc', 'desc'].includes(direction)) return null;
+  return { field, direction };
+};
+
+/**
+ * Next sort after clicking a column header: first direction, then the other
+ * one, then back to the server default.
+ *
+ * @param {string} sort - current `field,direction` or ''
+ * @param {{ sortField: string, firstDirection: 'asc' | 'desc' }} column
+ * @returns {string}
+ */
+export const nextSort = (sort, column) => {
+  const current = parseSort(sort);
+  if (current?.field !== column.sortField) return `${column.sortField},${column.firstDirection}`;
+  if (current.direction === column.firstDirection) {
+    return `${column.sortField},${column.firstDirection === 'asc' ? 'desc' : 'asc'}`;
+  }
+  return '';
+};
+
+/**
+ * Hidden column keys from storage, dropping anything that is not a hideable
+ * column (renamed or removed since it was saved).
+ *
+ * @param {string | null} stored - JSON array
+ * @returns {string[]}
+ */
+export const parseHiddenColumns = (stored) => {
+  try {
+    const keys = JSON.parse(stored ?? '[]');
+    if (!Array.isArray(keys)) return [];
+    return keys.filter((key) => SCORE_COLUMNS.some((column) => column.key === key && column.hideable));
+  } catch {
+    return [];
+  }
+};
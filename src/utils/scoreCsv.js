@@ -0,0 +1,268 @@
+/**
+ * Client-side reader for the e-amusement gate score CSV.
+ *
+ * The upload endpoint rejects a bad file with a bare 400, so the same checks
+ * the server applies are run here first and reported row by row. Columns are
+ * located by header name, never by position: the column set has changed
+ * between game versions, and a shifted column would otherwise be read as the
+ * wrong chart without any error.
+ */
+
+export const CSV_CHART_TYPES = ['NORMAL', 'HYPER', 'ANOTHER', 'LEGGENDARIA'];
+
+const TITLE_COLUMN = 'タイトル';
+const PLAY_COUNT_COLUMN = 'プレー回数';
+const LAST_PLAYED_COLUMN = '最終プレー日時';
+
+// Per-chart columns, prefixed with the chart type ("ANOTHER スコア").
+const CHART_COLUMNS = {
+  level: '難易度',
+  score: 'スコア',
+  missCount: 'ミスカウント',
+  clearType: 'クリアタイプ',
+  djLevel: 'DJ LEVEL',
+};
+
+const REQUIRED_CHART_FIELDS = ['level', 'score', 'clearType'];
+
+// Only the SP export has BEGINNER charts; the DP export leaves the columns out.
+const SP_ONLY_COLUMN = `BEGINNER ${CHART_COLUMNS.level}`;
+
+const CSV_CLEAR_TYPES = {
+  'NO PLAY': 'NO_PLAY',
+  FAILED: 'FAILED',
+  'ASSIST CLEAR': 'ASSIST_CLEAR',
+  'EASY CLEAR': 'EASY_CLEAR',
+  CLEAR: 'CLEAR',
+  'HARD CLEAR': 'HARD_CLEAR',
+  'EX HARD CLEAR': 'EX_HARD_CLEAR',
+  'FULLCOMBO CLEAR': 'FULLCOMBO_CLEAR',
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks).
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const splitCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const parseInteger = (value) => {
+  const trimmed = String(value ?? '').trim();
+  if (!/^\d+$/.test(trimmed)) return null;
+  return Number(trimmed);
+};
+
+const buildColumnIndex = (header) => {
+  const index = new Map();
+  header.forEach((name, position) => index.set(name.trim(), position));
+  return index;
+};
+
+const findMissingColumns = (columnIndex) => {
+  const missing = [];
+  if (!columnIndex.has(TITLE_COLUMN)) missing.push(TITLE_COLUMN);
+
+  CSV_CHART_TYPES.forEach((chartType) => {
+    REQUIRED_CHART_FIELDS.forEach((field) => {
+      const name = `${chartType} ${CHART_COLUMNS[field]}`;
+      if (!columnIndex.has(name)) missing.push(name);
+    });
+  });
+
+  return missing;
+};
+
+const readChart = (fields, columnIndex, chartType) => {
+  const read = (field) => {
+    const position = columnIndex.get(`${chartType} ${CHART_COLUMNS[field]}`);
+    return position === undefined ? '' : String(fields[position] ?? '').trim();
+  };
+
+  return {
+    chartType,
+    level: read('level'),
+    score: read('score'),
+    missCount: read('missCount'),
+    clearType: read('clearType'),
+    djLevel: read('djLevel'),
+  };
+};
+
+// Returns the normalized chart, or a list of problems when it cannot be read.
+const validateChart = (rawChart) => {
+  const problems = [];
+  const level = parseInteger(rawChart.level);
+
+  // Level 0 marks a chart the song does not have; nothing else is meaningful.
+  if (level === 0) return { chart: null, problems };
+  if (level === null || level > 12) {
+    problems.push(`${rawChart.chartType} 난이도 값이 올바르지 않습니다 (${rawChart.level || '빈 값'})`);
+    return { chart: null, problems };
+  }
+
+  const clearType = CSV_CLEAR_TYPES[rawChart.clearType.toUpperCase()];
+  if (!clearType) {
+    problems.push(`${rawChart.chartType} 클리어 타입을 알 수 없습니다 (${rawChart.clearType || '빈 값'})`);
+  }
+
+  const score = parseInteger(rawChart.score);
+  if (score === null) {
+    problems.push(`${rawChart.chartType} 스코어가 숫자가 아닙니다 (${rawChart.score || '빈 값'})`);
+  }
+
+  if (problems.length > 0) return { chart: null, problems };
+
+  return {
+    chart: {
+      chartType: rawChart.chartType,
+      level,
+      score,
+      // "---" is what the CSV writes for a chart that was never cleared.
+      missCount: parseInteger(rawChart.missCount),
+      clearType,
+      djLevel: rawChart.djLevel && rawChart.djLevel !== '---' ? rawChart.djLevel : null,
+    },
+    problems,
+  };
+};
+
+/**
+ * Parse and validate an e-amusement score CSV.
+ *
+ * `missingColumns` non-empty means the file is not a score CSV at all and no
+ * row was read. Otherwise every data row lands in either `rows` or
+ * `malformedRows`; `lineNumber` is 1-based and counts the header, so it
+ * matches what a spreadsheet shows.
+ *
+ * @param {string} text
+ * @returns {{
+ *   missingColumns: string[],
+ *   rows: Array<{ lineNumber: number, title: string, playCount: number | null, lastPlayedAt: string | null, charts: object[] }>,
+ *   malformedRows: Array<{ lineNumber: number, title: string, problems: string[] }>,
+ *   chartCounts: Record<string, { total: number, played: number }>,
+ *   playStyle: 'SP' | 'DP' | null,
+ * }} `playStyle` comes from the header (see SP_ONLY_COLUMN); null when the
+ *   file is not a score CSV
+ */
+export const parseScoreCsv = (text) => {
+  const allRows = splitCsvRows(String(text ?? '').replace(/^\uFEFF/, ''));
+  const [header = [], ...dataRows] = allRows;
+  const columnIndex = buildColumnIndex(header);
+  const chartCounts = Object.fromEntries(CSV_CHART_TYPES.map((chartType) => [chartType, { total: 0, played: 0 }]));
+
+  const missingColumns = findMissingColumns(columnIndex);
+  if (missingColumns.length > 0) {
+    return { missingColumns, rows: [], malformedRows: [], chartCounts, playStyle: null };
+  }
+  const playStyle = columnIndex.has(SP_ONLY_COLUMN) ? 'SP' : 'DP';
+
+  const rows = [];
+  const malformedRows = [];
+
+  dataRows.forEach((fields, index) => {
+    const lineNumber = index + 2;
+    // A trailing newline produces one empty row; it is not a data row.
+    if (fields.length === 1 && fields[0].trim() === '') return;
+
+    const title = String(fields[columnIndex.get(TITLE_COLUMN)] ?? '').trim();
+    const problems = [];
+
+    if (fields.length !== header.length) {
+      problems.push(`열 개수가 헤더와 다릅니다 (${fields.length} / ${header.length})`);
+    }
+    if (!title) problems.push('곡 제목이 비어 있습니다');
+
+    const charts = [];
+    if (problems.length === 0) {
+      CSV_CHART_TYPES.forEach((chartType) => {
+        const result = validateChart(readChart(fields, columnIndex, chartType));
+        problems.push(...result.problems);
+        if (result.chart) charts.push(result.chart);
+      });
+    }
+
+    if (problems.length > 0) {
+      malformedRows.push({ lineNumber, title, problems });
+      return;
+    }
+
+    charts.forEach((chart) => {
+      chartCounts[chart.chartType].total += 1;
+      if (chart.clearType !== 'NO_PLAY') chartCounts[chart.chartType].played += 1;
+    });
+
+    const lastPlayedPosition = columnIndex.get(LAST_PLAYED_COLUMN);
+    rows.push({
+      lineNumber,
+      title,
+      playCount: parseInteger(fields[columnIndex.get(PLAY_COUNT_COLUMN)]),
+      lastPlayedAt: lastPlayedPosition === undefined ? null : fields[lastPlayedPosition].trim() || null,
+      charts,
+    });
+  });
+
+  return { missingColumns, rows, malformedRows, chartCounts, playStyle };
+};
+
+// e-amusement names the downloads `<IIDX ID>_sp_score.csv` / `<IIDX ID>_dp_score.csv`.
+const playStyleFromFileName = (fileName) => {
+  const name = String(fileName ?? '').toLowerCase();
+  if (/(^|[^a-z])sp([^a-z]|$)/.test(name)) return 'SP';
+  if (/(^|[^a-z])dp([^a-z]|$)/.test(name)) return 'DP';
+  return null;
+};
+
+/**
+ * Play style of an uploaded CSV. The header decides (parseScoreCsv's
+ * `playStyle`), so a renamed download is still checked; the file name only
+ * settles it when the header could not be read.
+ *
+ * @param {{ playStyle: 'SP' | 'DP' | null } | null} parsed - parseScoreCsv result
+ * @param {string} fileName
+ * @returns {'SP' | 'DP' | null} null when neither carries a hint
+ */
+export const detectCsvPlayStyle = (parsed, fileName) => (
+  parsed?.playStyle ?? playStyleFromFileName(fileName)
+);
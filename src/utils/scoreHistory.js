@@ -0,0 +1,31 @@
+import { clearTypeRank } from './clearTypes';
+
+/**
+ * Score history of one chart (`scoresApi.getScoreHistory`) and the timeline
+ * the chart detail page builds from it.
+ */
+
+/**
+ * @param {unknown} data - an array, or a Spring Page with `content`
+ * @returns {Array<{ id, score, missCount, clearType, djLevel, playedAt }>} oldest first
+ */
+export const normalizeScoreHistory = (data) => {
+  const entries = Array.isArray(data) ? data : data?.content ?? [];
+  return [...entries].sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt));
+};
+
+/**
+ * Each entry with its change from the one before; the first has null deltas.
+ * Newest first, the order the timeline is drawn in.
+ *
+ * @param {ReturnType<typeof normalizeScoreHistory>} history
+ */
+export const buildHistoryTimeline = (history) => history.map((entry, index) => {
+  const prev = history[index - 1];
+  return {
+    ...entry,
+    scoreDelta: prev && entry.score != null && prev.score != null ? entry.score - prev.score : null,
+    missDelta: prev && entry.missCount != null && prev.missCount != null ? entry.missCount - prev.missCount : null,
+    lampImproved: Boolean(prev) && clearTypeRank(entry.clearType) > clearTypeRank(prev.clearType),
+  };
+}).reverse();
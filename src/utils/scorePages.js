@@ -0,0 +1,70 @@
+/**
+ * Paging and caching behind scoresApi.getAllScores, kept free of the API
+ * client so it can be tested without a backend.
+ */
+
+// A chart that shows up on two pages (the data changed between requests)
+// is kept once.
+const buildScoreDedupeKey = (score) => (
+  score.id ?? JSON.stringify([score.song?.title ?? null, score.chart?.chartType ?? null, score.chart?.playStyle ?? null])
+);
+
+/**
+ * Follow a Spring Page response through `totalPages`, stopping early on an
+ * empty or `last` page.
+ *
+ * @param {(page: number) => Promise<{ content?: Array, totalPages?: number, last?: boolean }>} fetchPage
+ * @returns {Promise<Array>} the scores of every page, deduplicated
+ */
+export const fetchAllPages = async (fetchPage) => {
+  const scores = new Map();
+  let page = 0;
+  let totalPages = 1;
+
+  while (page < totalPages) {
+    const data = await fetchPage(page);
+    const content = data?.content ?? [];
+    content.forEach((score) => scores.set(buildScoreDedupeKey(score), score));
+
+    totalPages = data?.totalPages ?? 0;
+    if (content.length === 0 || data?.last) break;
+    page += 1;
+  }
+
+  return [...scores.values()];
+};
+
+/**
+ * Promise cache with a TTL. The in-flight promise is cached too, so
+ * concurrent callers with the same key share one load; a load that rejects
+ * is dropped so the next call retries instead of waiting out the TTL.
+ *
+ * @param {number} ttlMs
+ * @param {() => number} [now]
+ */
+export const createPromiseCache = (ttlMs, now = Date.now) => {
+  const entries = new Map();
+
+  return {
+    /**
+     * @param {string} key
+     * @param {() => Promise<unknown>} load
+     * @param {{ force?: boolean }} [options] - force skips a cached value
+     */
+    get: async (key, load, { force = false } = {}) => {
+      const cached = entries.get(key);
+      if (!force && cached && now() - cached.fetchedAt < ttlMs) return cached.promise;
+
+      const promise = load();
+      entries.set(key, { promise, fetchedAt: now() });
+      try {
+        return await promise;
+      } catch (error) {
+        if (entries.get(key)?.promise === promise) entries.delete(key);
+        throw error;
+      }
+    },
+
+    clear: () => entries.clear(),
+  };
+};
@@ -0,0 +1,88 @@
+import { CLEAR_TYPE_ORDER, normalizeClearType } from './clearTypes';
+
+/**
+ * Normalization for `scoresApi.getSummary()`: lamp and DJ level counts for
+ * every chart the player has a score on, overall and per level/play style.
+ */
+
+export const DJ_LEVELS = ['AAA', 'AA', 'A', 'B', 'C', 'D', 'E', 'F'];
+export const SUMMARY_LEVELS = Array.from({ length: 12 }, (_, index) => index + 1);
+
+const emptyCounts = (keys) => Object.fromEntries(keys.map((key) => [key, 0]));
+
+// Clear type keys go through normalizeClearType so a backend still sending
+// `FULL_COMBO` lands on FULLCOMBO_CLEAR like everywhere else in the app.
+const toClearTypeCounts = (raw) => {
+  const counts = emptyCounts(CLEAR_TYPE_ORDER);
+  Object.entries(raw ?? {}).forEach(([clearType, count]) => {
+    const key = normalizeClearType(clearType);
+    if (key in counts) counts[key] += Number(count) || 0;
+  });
+  return counts;
+};
+
+const toDjLevelCounts = (raw) => {
+  const counts = emptyCounts(DJ_LEVELS);
+  Object.entries(raw ?? {}).forEach(([djLevel, count]) => {
+    const key = String(djLevel).toUpperCase();
+    if (key in counts) counts[key] += Number(count) || 0;
+  });
+  return counts;
+};
+
+const sumCounts = (a, b) => Object.fromEntries(Object.keys(a).map((key) => [key, a[key] + b[key]]));
+
+const totalOf = (counts) => Object.values(counts).reduce((acc, count) => acc + count, 0);
+
+/**
+ * @param {unknown} raw - `{ byLevel: [{ level, playStyle, clearTypes, djLevels }] }`;
+ *   top-level `clearTypes` / `djLevels` are used when present, otherwise
+ *   summed from `byLevel`
+ * @returns {{
+ *   total: number,
+ *   clearTypes: Record<string, number>,
+ *   djLevels: Record<string, number>,
+ *   byLevel: Array<{ level: number, playStyle: string, total: number, clearTypes: Record<string, number>, djLevels: Record<string, number> }>,
+ * }}
+ */
+export const normalizeScoreSummary = (raw) => {
+  const byLevel = (Array.isArray(raw?.byLevel) ? raw.byLevel : [])
+    .filter((row) => Number.isInteger(Number(row?.level)))
+    .map((row) => {
+      const clearTypes = toClearTypeCounts(row.clearTypes);
+      return {
+        level: Number(row.level),
+        playStyle: String(row.playStyle ?? '').toUpperCase(),
+        total: Number(row.total) || totalOf(clearTypes),
+        clearTypes,
+        djLevels: toDjLevelCounts(row.djLevels),
+      };
+    });
+
+  const clearTypes = raw?.clearTypes
+    ? toClearTypeCounts(raw.clearTypes)
+    : byLevel.reduce((acc, row) => sumCounts(acc, row.clearTypes), emptyCounts(CLEAR_TYPE_ORDER));
+  const djLevels = raw?.djLevels
+    ? toDjLevelCounts(raw.djLevels)
+    : byLevel.reduce((acc, row) => sumCounts(acc, row.djLevels), emptyCounts(DJ_LEVELS));
+
+  return {
+    total: Number(raw?.total) || totalOf(clearTypes),
+    clearTypes,
+    djLevels,
+    byLevel,
+  };
+};
+
+/**
+ * Lv1-12 rows for one play style; levels without scores come back as zeros.
+ */
+export const buildLevelLampMatrix = (summary, playStyle) => SUMMARY_LEVELS.map((level) => (
+  summary.byLevel.find((row) => row.level === level && row.playStyle === playStyle) ?? {
+    level,
+    playStyle,
+    total: 0,
+    clearTypes: emptyCounts(CLEAR_TYPE_ORDER),
+    djLevels: emptyCounts(DJ_LEVELS),
+  }
+));
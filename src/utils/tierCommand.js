@@ -0,0 +1,70 @@
+/**
+ * Parsing for the admin editor's command palette, where a line like
+ * `冥 S+` or `almagest 個人差 A` means "put the matching song in that section".
+ */
+
+export const UNASSIGNED_SECTION = 'unassigned';
+
+// Typed as the last token to send songs back to the pool.
+const UNASSIGN_TOKENS = ['-', 'pool', 'none'];
+
+const normalize = (text) => String(text ?? '').trim().toLowerCase();
+
+/**
+ * Split an input line into a title query and a destination.
+ *
+ * The last token is the destination when it names a tier band (compared
+ * case-insensitively, so `s+` works) or one of UNASSIGN_TOKENS. The token
+ * before a tier may name a category; without one the first category is used.
+ *
+ * @param {string} input
+ * @param {{ tiers: string[], categories: string[] }} meta
+ * @returns {{ query: string, target: string | null }} `target` is a
+ *   `category|tier` key, UNASSIGNED_SECTION, or null when no destination
+ *   has been typed yet
+ */
+export const parseTierCommand = (input, { tiers, categories }) => {
+  const tokens = String(input ?? '').trim().split(/\s+/).filter(Boolean);
+  const last = normalize(tokens[tokens.length - 1]);
+
+  if (UNASSIGN_TOKENS.includes(last)) {
+    return { query: tokens.slice(0, -1).join(' '), target: UNASSIGNED_SECTION };
+  }
+
+  const tier = tiers.find((candidate) => normalize(candidate) === last);
+  if (!tier) return { query: tokens.join(' '), target: null };
+
+  const category = categories.find((candidate) => normalize(candidate) === normalize(tokens[tokens.length - 2]));
+  const queryTokens = tokens.slice(0, category ? -2 : -1);
+
+  return {
+    query: queryTokens.join(' '),
+    target: `${category ?? categories[0]}|${tier}`,
+  };
+};
+
+/**
+ * Songs whose title contains `query` (case-insensitive), exact and prefix
+ * matches first.
+ *
+ * @template {{ title: string }} T
+ * @param {T[]} songs
+ * @param {string} query
+ * @returns {T[]}
+ */
+export const searchSongsByTitle = (songs, query) => {
+  const needle = normalize(query);
+  if (!needle) return [];
+
+  const rank = (title) => {
+    if (title === needle) return 0;
+    if (title.startsWith(needle)) return 1;
+    return 2;
+  };
+
+  return songs
+    .map((song) => ({ song, title: normalize(song.title) }))
+    .filter(({ title }) => title.includes(needle))
+    .sort((a, b) => rank(a.title) - rank(b.title))
+    .map(({ song }) => song);
+};
@@ -7,6 +7,16 @@ const CATEGORY_LABELS = {
 
 export const normalizeTierCategory = (category) => CATEGORY_LABELS[category] ?? category ?? null;
 
+const DIFFICULTY_ABBREVIATIONS = {
+  BEGINNER: 'B',
+  NORMAL: 'N',
+  HYPER: 'H',
+  ANOTHER: 'A',
+  LEGGENDARIA: 'L',
+};
+
+export const abbreviateDifficulty = (difficulty) => DIFFICULTY_ABBREVIATIONS[difficulty] ?? difficulty ?? null;
+
 const normalizeTierItem = (item) => {
   if (typeof item === 'string') {
     return {
@@ -47,6 +57,11 @@ const buildTierLabel = (item, fallbackLabel) => {
   return fallbackLabel;
 };
 
+/**
+ * Group flat tier items by their "category tier" label. Each song keeps its
+ * difficulty, so two charts of one title stay two entries; a bare title
+ * string has no difficulty and is left `null` rather than guessed.
+ */
 export const groupTierItems = (items, fallbackLabel = UNCATEGORIZED_TIER_LABEL) => {
   const grouped = {};
 
@@ -76,3 +91,40 @@ export const normalizeTitleKey = (title) => String(title ?? '')
 export const normalizeDifficultyKey = (difficulty) => String(difficulty ?? '')
   .trim()
   .toUpperCase();
+
+/**
+ * Every chart known to exist at one level, as `title → difficulties`.
+ *
+ * @param {Array<{ title: string, difficulty: string | null }>} charts - entries
+ *   without a title or difficulty are skipped
+ * @returns {Map<string, string[]>}
+ */
+export const buildLevelChartIndex = (charts) => {
+  const index = new Map();
+  charts.forEach(({ title, difficulty }) => {
+    const key = normalizeDifficultyKey(difficulty);
+    if (!title || !key) return;
+    if (!index.has(title)) index.set(title, []);
+    if (!index.get(title).includes(key)) index.get(title).push(key);
+  });
+  index.forEach((difficulties) => difficulties.sort());
+  return index;
+};
+
+/**
+ * The chart a tier entry refers to. An entry without a difficulty is only
+ * resolved when the level has a single chart of that title; with several
+ * (e.g. ANOTHER and LEGGENDARIA both at Lv12) picking one would be a guess,
+ * so the candidates come back instead.
+ *
+ * @param {{ title: string, difficulty: string | null }} entry
+ * @param {Map<string, string[]>} chartIndex - see buildLevelChartIndex
+ * @returns {{ difficulty: string | null, ambiguousDifficulties: string[] | null }}
+ */
+export const resolveTierEntryChart = (entry, chartIndex) => {
+  if (entry.difficulty) return { difficulty: entry.difficulty, ambiguousDifficulties: null };
+
+  const difficulties = chartIndex.get(entry.title) ?? [];
+  if (difficulties.length > 1) return { difficulty: null, ambiguousDifficulties: difficulties };
+  return { difficulty: difficulties[0] ?? null, ambiguousDifficulties: null };
+};
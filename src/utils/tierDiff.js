@@ -0,0 +1,116 @@
+/**
+ * Section-level diff between two versions of a tier table, both given as flat
+ * `[{ title, difficulty, category, tier }]` arrays (the save payload shape).
+ *
+ * Only section membership is compared. Order inside a section is derived from
+ * the title (see utils/tierData.sortSongsByTitle), so it can never differ
+ * between two versions in a way that matters.
+ */
+
+// Unassigned and absent entries both count as "not in the table".
+export const sectionOf = (entry) => (
+  entry?.category && entry?.tier ? `${entry.category}|${entry.tier}` : null
+);
+
+const buildEntryKey = (entry, defaultDifficulty) => (
+  JSON.stringify([entry.title, entry.difficulty ?? defaultDifficulty])
+);
+
+const indexEntries = (entries, defaultDifficulty) => {
+  const index = new Map();
+  entries.forEach((entry) => {
+    if (!entry?.title) return;
+    index.set(buildEntryKey(entry, defaultDifficulty), entry);
+  });
+  return index;
+};
+
+/**
+ * @param {Array} fromEntries - the older version
+ * @param {Array} toEntries - the newer version
+ * @param {{ defaultDifficulty?: string | null }} [options] - difficulty
+ *   assumed for entries without one, so a legacy `null` and the default the
+ *   editor fills in on save are not reported as two different charts
+ * @returns {{
+ *   added: Array<{ key: string, title: string, difficulty: string | null, from: null, to: string }>,
+ *   removed: Array<{ key: string, title: string, difficulty: string | null, from: string, to: null }>,
+ *   moved: Array<{ key: string, title: string, difficulty: string | null, from: string, to: string }>,
+ * }}
+ */
+export const diffTierEntries = (fromEntries, toEntries, { defaultDifficulty = null } = {}) => {
+  const fromIndex = indexEntries(fromEntries, defaultDifficulty);
+  const toIndex = indexEntries(toEntries, defaultDifficulty);
+  const keys = new Set([...fromIndex.keys(), ...toIndex.keys()]);
+
+  const diff = { added: [], removed: [], moved: [] };
+
+  keys.forEach((key) => {
+    const fromEntry = fromIndex.get(key);
+    const toEntry = toIndex.get(key);
+    const from = sectionOf(fromEntry);
+    const to = sectionOf(toEntry);
+    if (from === to) return;
+
+    const source = toEntry ?? fromEntry;
+    const change = {
+      key,
+      title: source.title,
+      difficulty: source.difficulty ?? defaultDifficulty,
+      from,
+      to,
+    };
+
+    if (from === null) diff.added.push(change);
+    else if (to === null) diff.removed.push(change);
+    else diff.moved.push(change);
+  });
+
+  return diff;
+};
+
+export const countTierDiff = (diff) => diff.added.length + diff.removed.length + diff.moved.length;
+
+/**
+ * Every change grouped by where the song ends up, in `sectionOrder` order,
+ * with songs leaving the table collected under `null` at the end.
+ *
+ * @param {ReturnType<typeof diffTierEntries>} diff
+ * @param {string[]} sectionOrder - `category|tier` keys in render order
+ * @returns {Array<{ section: string | null, changes: Array<{ type: 'added' | 'removed' | 'moved' }> }>}
+ */
+export const groupTierDiffByDestination = (diff, sectionOrder) => {
+  const groups = new Map();
+  const push = (type) => (change) => {
+    if (!groups.has(change.to)) groups.set(change.to, []);
+    groups.get(change.to).push({ ...change, type });
+  };
+
+  diff.added.forEach(push('added'));
+  diff.moved.forEach(push('moved'));
+  diff.removed.forEach(push('removed'));
+
+  const rank = (section) => {
+    if (section === null) return Number.MAX_SAFE_INTEGER;
+    const index = sectionOrder.indexOf(section);
+    return index === -1 ? sectionOrder.length : index;
+  };
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([section, changes]) => ({
+      section,
+      changes: [...changes].sort((a, b) => String(a.title).localeCompare(String(b.title), 'en')),
+    }));
+};
+
+/**
+ * Sections that held songs in `fromEntries` and hold none in `toEntries` —
+ * the signature of a whole section dragged into the unassigned pool.
+ *
+ * @returns {string[]} `category|tier` keys
+ */
+export const findEmptiedSections = (fromEntries, toEntries) => {
+  const filled = new Set(toEntries.map(sectionOf).filter(Boolean));
+  const emptied = new Set(fromEntries.map(sectionOf).filter((section) => section && !filled.has(section)));
+  return [...emptied];
+};
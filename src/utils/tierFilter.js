@@ -0,0 +1,52 @@
+import { meetsClearTarget, normalizeClearType } from './clearTypes';
+import { normalizeDifficultyKey, normalizeTitleKey } from './tierData';
+
+/**
+ * Song filters for the player-facing tier table. Filters never change the
+ * cleared counts; they only decide how each tile is shown.
+ */
+
+export const EMPTY_TIER_FILTERS = {
+  query: '',
+  unplayedOnly: false,
+  belowTargetOnly: false,
+  difficulties: [],        // e.g. ['ANOTHER', 'LEGGENDARIA']; empty = every chart
+  hideNonMatching: false,  // hide tiles that fail the filters instead of dimming them
+};
+
+export const hasActiveTierFilter = (filters) => Boolean(
+  filters
+  && (filters.query.trim() || filters.unplayedOnly || filters.belowTargetOnly || filters.difficulties.length > 0)
+);
+
+/**
+ * @param {object} song - an enrichedTierData song
+ * @param {typeof EMPTY_TIER_FILTERS} filters
+ * @param {string | null} clearTarget - goal lamp for `belowTargetOnly`
+ */
+export const matchesTierFilter = (song, filters, clearTarget) => {
+  if (filters.unplayedOnly && (normalizeClearType(song.clearType) ?? 'NO_PLAY') !== 'NO_PLAY') return false;
+  if (filters.belowTargetOnly && meetsClearTarget(song.clearType, clearTarget)) return false;
+  // An entry without a difficulty cannot be shown to be one of the picked charts.
+  if (filters.difficulties.length > 0 && !filters.difficulties.includes(normalizeDifficultyKey(song.difficulty))) {
+    return false;
+  }
+
+  const needle = normalizeTitleKey(filters.query);
+  return !needle || normalizeTitleKey(song.title).includes(needle);
+};
+
+/**
+ * How a tile renders. While a filter is active only the filter decides, so
+ * "below my target" does not dim exactly the tiles it matched; otherwise
+ * tiles short of the goal lamp are dimmed.
+ *
+ * @returns {'visible' | 'dimmed' | 'hidden'}
+ */
+export const getTileVisibility = (song, { filters, clearTarget }) => {
+  if (hasActiveTierFilter(filters)) {
+    if (matchesTierFilter(song, filters, clearTarget)) return 'visible';
+    return filters.hideNonMatching ? 'hidden' : 'dimmed';
+  }
+  return clearTarget && !meetsClearTarget(song.clearType, clearTarget) ? 'dimmed' : 'visible';
+};
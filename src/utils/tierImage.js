@@ -0,0 +1,258 @@
+import { CLEAR_TYPE_LABELS, meetsClearTarget, normalizeClearType } from './clearTypes';
+import { abbreviateDifficulty } from './tierData';
+
+/**
+ * Client-side PNG export of the tier table grid.
+ *
+ * Browser screenshots cut off tall tables (Lv12 runs several screens), so the
+ * whole table is laid out and painted on one canvas instead. Layout and
+ * drawing are separate passes: the canvas height is only known once every
+ * row has been wrapped.
+ */
+
+// Hex equivalents of the Tailwind classes in SongTile's getColorClass.
+// `fill` as an array is a left-to-right gradient (the FC tile).
+const LAMP_CANVAS_STYLES = {
+  FAILED: { fill: '#6b7280', text: '#ffffff', border: '#4b5563' },
+  ASSIST_CLEAR: { fill: '#a855f7', text: '#ffffff', border: '#9333ea' },
+  EASY_CLEAR: { fill: '#22c55e', text: '#ffffff', border: '#16a34a' },
+  CLEAR: { fill: '#3b82f6', text: '#ffffff', border: '#2563eb' },
+  HARD_CLEAR: { fill: '#ffffff', text: '#000000', border: '#000000', borderWidth: 2, bold: true },
+  EX_HARD_CLEAR: { fill: '#facc15', text: '#000000', border: '#ca8a04', bold: true },
+  FULLCOMBO_CLEAR: { fill: ['#fde047', '#ffffff', '#fde047'], text: '#000000', border: '#eab308', bold: true },
+  NO_PLAY: { fill: '#374151', text: '#9ca3af', border: '#4b5563' },
+};
+
+const LEGEND_ORDER = [
+  'FULLCOMBO_CLEAR', 'EX_HARD_CLEAR', 'HARD_CLEAR', 'CLEAR', 'EASY_CLEAR', 'ASSIST_CLEAR', 'FAILED', 'NO_PLAY',
+];
+
+const WIDTH = 1200;
+const PADDING = 24;
+const HEADER_HEIGHT = 96;
+const LEGEND_HEIGHT = 36;
+const TIER_COLUMN = 120;
+const ROW_PADDING = 8;
+const TILE_HEIGHT = 26;
+const TILE_GAP = 4;
+const TILE_PADDING_X = 8;
+const MAX_TILE_WIDTH = 320;
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", "Noto Sans JP", "Noto Sans KR", sans-serif';
+
+const font = (size, bold = false) => `${bold ? 'bold ' : ''}${size}px ${FONT_FAMILY}`;
+
+const lampStyle = (clearType) => LAMP_CANVAS_STYLES[normalizeClearType(clearType) ?? 'NO_PLAY'] ?? LAMP_CANVAS_STYLES.NO_PLAY;
+
+const tileLabel = (song) => {
+  const difficulty = abbreviateDifficulty(song.difficulty);
+  const ambiguous = song.ambiguousDifficulties?.length > 1;
+  return `${song.title}${difficulty ? ` [${difficulty}]` : ''}${ambiguous ? ' [?]' : ''}`;
+};
+
+// Shorten with an ellipsis until the label fits; `measure` returns px width.
+const fitLabel = (label, maxWidth, measure) => {
+  if (measure(label) <= maxWidth) return label;
+  let end = label.length;
+  while (end > 1 && measure(`${label.slice(0, end)}…`) > maxWidth) end -= 1;
+  return `${label.slice(0, end)}…`;
+};
+
+/**
+ * Wrap every tier's songs into tile rows.
+ *
+ * @param {Array<{ tier: string, songs: Array }>} tierData - enrichedTierData
+ * @param {(text: string, bold: boolean) => number} measure - text width in px
+ * @param {string | null} [clearTarget] - goal lamp; tiles short of it are
+ *   dimmed and left out of the cleared counts
+ * @returns {{ height: number, rows: Array<{
+ *   tier: string, cleared: number, total: number, y: number, height: number,
+ *   tiles: Array<{ x: number, y: number, width: number, label: string, clearType: string, dimmed: boolean }>,
+ * }> }}
+ */
+export const layoutTierImage = (tierData, measure, clearTarget = null) => {
+  const contentLeft = PADDING + TIER_COLUMN + ROW_PADDING;
+  const contentRight = WIDTH - PADDING - ROW_PADDING;
+  let y = PADDING + HEADER_HEIGHT;
+
+  const rows = tierData.map(({ tier, songs }) => {
+    const rowTop = y;
+    let x = contentLeft;
+    let lineY = rowTop + ROW_PADDING;
+
+    const tiles = songs.map((song) => {
+      const style = lampStyle(song.clearType);
+      const label = fitLabel(tileLabel(song), MAX_TILE_WIDTH - TILE_PADDING_X * 2, (text) => measure(text, style.bold));
+      const width = Math.ceil(measure(label, style.bold)) + TILE_PADDING_X * 2;
+
+      if (x > contentLeft && x + width > contentRight) {
+        x = contentLeft;
+        lineY += TILE_HEIGHT + TILE_GAP;
+      }
+      const tile = {
+        x,
+        y: lineY,
+        width,
+        label,
+        clearType: normalizeClearType(song.clearType) ?? 'NO_PLAY',
+        dimmed: Boolean(clearTarget) && !meetsClearTarget(song.clearType, clearTarget),
+      };
+      x += width + TILE_GAP;
+      return tile;
+    });
+
+    // Keep room for the tier name and count even when the tier is empty.
+    const height = Math.max(lineY + TILE_HEIGHT + ROW_PADDING - rowTop, 56);
+    y = rowTop + height;
+
+    return {
+      tier,
+      cleared: songs.filter((s) => meetsClearTarget(s.clearType, clearTarget)).length,
+      total: songs.length,
+      y: rowTop,
+      height,
+      tiles,
+    };
+  });
+
+  return { height: y + LEGEND_HEIGHT + PADDING, rows };
+};
+
+const fillRoundRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(x, y, width, height, radius);
+  else ctx.rect(x, y, width, height);
+};
+
+const paintFill = (ctx, fill, x, width) => {
+  if (!Array.isArray(fill)) return fill;
+  const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+  fill.forEach((color, index) => gradient.addColorStop(index / (fill.length - 1), color));
+  return gradient;
+};
+
+const drawTile = (ctx, { x, y, width, label, clearType, dimmed = false }) => {
+  const style = lampStyle(clearType);
+  ctx.globalAlpha = dimmed ? 0.4 : 1;
+  fillRoundRect(ctx, x, y, width, TILE_HEIGHT, 4);
+  ctx.fillStyle = paintFill(ctx, style.fill, x, width);
+  ctx.fill();
+  ctx.lineWidth = style.borderWidth ?? 1;
+  ctx.strokeStyle = style.border;
+  ctx.stroke();
+
+  ctx.font = font(12, style.bold);
+  ctx.fillStyle = style.text;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, x + TILE_PADDING_X, y + TILE_HEIGHT / 2 + 1);
+  ctx.globalAlpha = 1;
+};
+
+const drawHeader = (ctx, { title, subtitle, cleared, total }) => {
+  const progress = total > 0 ? cleared / total : 0;
+
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = '#ffffff';
+  ctx.font = font(26, true);
+  ctx.fillText(title, PADDING, PADDING + 28);
+
+  ctx.fillStyle = '#9ca3af';
+  ctx.font = font(14);
+  ctx.fillText(subtitle, PADDING, PADDING + 52);
+
+  const summary = `${cleared} / ${total} (${Math.round(progress * 100)}%)`;
+  ctx.fillStyle = '#ffffff';
+  ctx.font = font(22, true);
+  ctx.textAlign = 'right';
+  ctx.fillText(summary, WIDTH - PADDING, PADDING + 28);
+  ctx.textAlign = 'left';
+
+  const barY = PADDING + 66;
+  const barWidth = WIDTH - PADDING * 2;
+  fillRoundRect(ctx, PADDING, barY, barWidth, 10, 5);
+  ctx.fillStyle = '#111827';
+  ctx.fill();
+  if (progress > 0) {
+    const gradient = ctx.createLinearGradient(PADDING, 0, PADDING + barWidth, 0);
+    gradient.addColorStop(0, '#6366f1');
+    gradient.addColorStop(0.5, '#a855f7');
+    gradient.addColorStop(1, '#ec4899');
+    fillRoundRect(ctx, PADDING, barY, barWidth * progress, 10, 5);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+  }
+};
+
+const drawRow = (ctx, row, index) => {
+  const rowWidth = WIDTH - PADDING * 2;
+  ctx.fillStyle = index % 2 === 0 ? '#1f2937' : '#18202e';
+  ctx.fillRect(PADDING, row.y, rowWidth, row.height);
+  ctx.fillStyle = '#111827';
+  ctx.fillRect(PADDING, row.y, TIER_COLUMN, row.height);
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(PADDING + 0.5, row.y + 0.5, rowWidth - 1, row.height - 1);
+
+  const centerX = PADDING + TIER_COLUMN / 2;
+  const centerY = row.y + row.height / 2;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = '#ffffff';
+  ctx.font = font(18, true);
+  ctx.fillText(fitLabel(row.tier, TIER_COLUMN - 12, (text) => ctx.measureText(text).width), centerX, centerY);
+  ctx.fillStyle = '#6b7280';
+  ctx.font = font(11);
+  ctx.fillText(`${row.cleared} / ${row.total}`, centerX, centerY + 16);
+  ctx.textAlign = 'left';
+
+  row.tiles.forEach((tile) => drawTile(ctx, tile));
+};
+
+const drawLegend = (ctx, top) => {
+  let x = PADDING;
+  LEGEND_ORDER.forEach((clearType) => {
+    const label = CLEAR_TYPE_LABELS[clearType];
+    ctx.font = font(12, lampStyle(clearType).bold);
+    const width = Math.ceil(ctx.measureText(label).width) + TILE_PADDING_X * 2;
+    drawTile(ctx, { x, y: top + 8, width, label, clearType });
+    x += width + TILE_GAP;
+  });
+};
+
+/**
+ * Paint the tier table and return it as a PNG blob.
+ *
+ * @param {Array<{ tier: string, songs: Array }>} tierData - enrichedTierData
+ * @param {{ title: string, subtitle: string, clearTarget?: string | null, scale?: number }} options -
+ *   `scale` renders at a multiple of the layout size for sharper text
+ * @returns {Promise<Blob>}
+ */
+export const renderTierImage = async (tierData, { title, subtitle, clearTarget = null, scale = 2 }) => {
+  // Tiles are measured with the page's fonts; measuring before they load
+  // would size every tile for the fallback font.
+  await document.fonts?.ready;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const measure = (text, bold) => {
+    ctx.font = font(12, bold);
+    return ctx.measureText(text).width;
+  };
+  const { height, rows } = layoutTierImage(tierData, measure, clearTarget);
+
+  canvas.width = WIDTH * scale;
+  canvas.height = height * scale;
+  ctx.scale(scale, scale);
+
+  ctx.fillStyle = '#0b1120';
+  ctx.fillRect(0, 0, WIDTH, height);
+
+  const cleared = rows.reduce((acc, row) => acc + row.cleared, 0);
+  const total = rows.reduce((acc, row) => acc + row.total, 0);
+  drawHeader(ctx, { title, subtitle, cleared, total });
+  rows.forEach((row, index) => drawRow(ctx, row, index));
+  drawLegend(ctx, height - PADDING - LEGEND_HEIGHT);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG 이미지를 만들지 못했습니다.'))), 'image/png');
+  });
+};
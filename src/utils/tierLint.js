@@ -0,0 +1,91 @@
+import { normalizeTierCategory } from './tierData';
+
+/**
+ * Integrity checks for tier data, either as it came from the server or as it
+ * stands in the editor. The editor quietly repairs most of these on load (a
+ * missing difficulty becomes the default, an unknown tier lands in the
+ * unassigned pool, a legacy category label is renamed), which keeps it
+ * working but hides the bad data; only the server copy still shows them.
+ */
+
+export const TIER_LINT_RULES = {
+  DUPLICATE_CHART: { severity: 'error', label: 'Chart in more than one place' },
+  UNKNOWN_TITLE: { severity: 'error', label: 'Not in the master song list' },
+  LEVEL_MISMATCH: { severity: 'error', label: 'Level does not match' },
+  UNKNOWN_TIER: { severity: 'warning', label: 'Unknown tier' },
+  UNKNOWN_CATEGORY: { severity: 'warning', label: 'Unknown category' },
+  MISSING_DIFFICULTY: { severity: 'warning', label: 'Missing difficulty' },
+};
+
+const describeSection = (entry) => (entry.tier ? `${entry.category ?? '?'} ${entry.tier}` : 'unassigned');
+
+/**
+ * @param {Array} entries - flat tier entries (adminTierStore.rawTierData, or the
+ *   editor's buildArrayPayload)
+ * @param {{
+ *   masterSongs: Array<{ title: string, difficulty?: string | null }>,
+ *   otherLevelSongs?: Array<{ title: string, difficulty?: string | null, level: number }>,
+ *   level: number, tiers: string[], categories: string[], defaultDifficulty: string,
+ * }} context - `masterSongs` are this level's songs. A chart missing from them
+ *   is looked up in `otherLevelSongs` (the master songs of every other level),
+ *   which tells a chart filed under the wrong level from one that does not
+ *   exist at all
+ * @returns {Array<{ rule: string, title: string, difficulty: string | null, message: string }>}
+ *   in TIER_LINT_RULES order
+ */
+export const lintTierEntries = (entries, {
+  masterSongs, otherLevelSongs = [], level, tiers, categories, defaultDifficulty,
+}) => {
+  const issues = [];
+  const report = (rule, entry, message) => issues.push({
+    rule,
+    title: entry.title,
+    difficulty: entry.difficulty ?? null,
+    message,
+  });
+
+  const chartKey = (item) => JSON.stringify([item.title, item.difficulty ?? defaultDifficulty]);
+  const masterKeys = new Set(masterSongs.map(chartKey));
+  const otherLevelByKey = new Map(otherLevelSongs.map((song) => [chartKey(song), song]));
+  const placements = new Map();
+
+  entries.forEach((entry) => {
+    if (!entry?.title) return;
+
+    const key = chartKey(entry);
+    if (!placements.has(key)) placements.set(key, []);
+    placements.get(key).push(entry);
+
+    if (!entry.difficulty) {
+      report('MISSING_DIFFICULTY', entry, `No difficulty; the editor treats it as ${defaultDifficulty}.`);
+    }
+
+    if (!masterKeys.has(key)) {
+      const elsewhere = otherLevelByKey.get(key);
+      if (elsewhere) {
+        report('LEVEL_MISMATCH', entry, `The chart is Lv.${elsewhere.level}, but this is the Lv.${level} table.`);
+      } else {
+        report('UNKNOWN_TITLE', entry, `${entry.title} (${entry.difficulty ?? defaultDifficulty}) is not a Lv.${level} song.`);
+      }
+    }
+
+    if (entry.tier && !tiers.includes(entry.tier)) {
+      report('UNKNOWN_TIER', entry, `Tier "${entry.tier}" does not exist; the editor moves it to the unassigned pool.`);
+    }
+
+    if (entry.category && !categories.includes(entry.category)) {
+      const renamed = normalizeTierCategory(entry.category);
+      report('UNKNOWN_CATEGORY', entry, categories.includes(renamed)
+        ? `Legacy category "${entry.category}"; the editor renames it to ${renamed}.`
+        : `Category "${entry.category}" is neither ${categories.join(' nor ')}.`);
+    }
+  });
+
+  placements.forEach((placed) => {
+    if (placed.length < 2) return;
+    report('DUPLICATE_CHART', placed[0], `Listed ${placed.length} times: ${placed.map(describeSection).join(', ')}.`);
+  });
+
+  const ruleOrder = Object.keys(TIER_LINT_RULES);
+  return issues.sort((a, b) => ruleOrder.indexOf(a.rule) - ruleOrder.indexOf(b.rule));
+};
@@ -0,0 +1,65 @@
+import { normalizeTierCategory } from './tierData';
+
+/**
+ * Tier-table metadata: which levels have a table per play style, and the tier
+ * bands and categories a table is split into. The backend is the source of
+ * truth so a new level or band needs no frontend release; these defaults are
+ * what the app shipped with and only fill in what the backend leaves out.
+ */
+
+export const DEFAULT_TIER_META = {
+  levels: {
+    SP: [10, 11, 12],
+    DP: [10, 11, 12],
+  },
+  tiers: ['S+', 'S', 'A+', 'A', 'B+', 'B', 'C', 'D', 'E', 'F'],
+  categories: ['地力', '個人差'],
+};
+
+const toStringList = (value) => (
+  Array.isArray(value) ? value.map((item) => String(item).trim()).filter(Boolean) : []
+);
+
+const toLevelList = (value) => (
+  Array.isArray(value)
+    ? [...new Set(value.map(Number).filter((level) => Number.isInteger(level) && level > 0))].sort((a, b) => a - b)
+    : []
+);
+
+/**
+ * Normalize a metadata response into `DEFAULT_TIER_META`'s shape. `levels`
+ * may come as one list for both play styles or keyed by play style; any part
+ * that is missing or empty keeps its default.
+ *
+ * @param {unknown} raw
+ * @returns {typeof DEFAULT_TIER_META}
+ */
+export const normalizeTierMeta = (raw) => {
+  if (!raw || typeof raw !== 'object') return DEFAULT_TIER_META;
+
+  const sharedLevels = toLevelList(raw.levels);
+  const levelsFor = (playStyle) => {
+    if (sharedLevels.length > 0) return sharedLevels;
+    const levels = toLevelList(raw.levels?.[playStyle]);
+    return levels.length > 0 ? levels : DEFAULT_TIER_META.levels[playStyle];
+  };
+
+  const tiers = toStringList(raw.tiers);
+  const categories = toStringList(raw.categories).map(normalizeTierCategory);
+
+  return {
+    levels: { SP: levelsFor('SP'), DP: levelsFor('DP') },
+    tiers: tiers.length > 0 ? tiers : DEFAULT_TIER_META.tiers,
+    categories: categories.length > 0 ? categories : DEFAULT_TIER_META.categories,
+  };
+};
+
+export const getLevelsFor = (meta, playStyle) => meta.levels[playStyle] ?? [];
+
+/**
+ * The level to show after a play-style switch: keep the current one when the
+ * new style has a table for it, otherwise fall back to the highest level.
+ */
+export const resolveSelectableLevel = (levels, level) => (
+  levels.includes(level) || levels.length === 0 ? level : levels[levels.length - 1]
+);
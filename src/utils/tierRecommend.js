@@ -0,0 +1,77 @@
+import { CLEAR_TYPE_ORDER, clearTypeRank, meetsClearTarget } from './clearTypes';
+
+/**
+ * "What to play next" suggestions from the enriched tier table.
+ *
+ * Tier bands are ranked by their position in the tier metadata (`S+` first,
+ * `F` last), so a larger index means an easier band.
+ */
+
+// Plays after which a chart still short of the goal counts as stuck.
+export const STUCK_PLAY_COUNT = 10;
+
+// Row labels are "<category> <band>" or a bare band (see
+// tierData.groupTierItems); band names carry no spaces.
+const bandOfRow = (label) => String(label).split(' ').at(-1);
+
+// Every song of a row gets the row's band, so all songs are ranked on one
+// scale. Row order is the fallback only for a row whose band is not in the
+// metadata (e.g. 未定).
+const flattenSongs = (tierData, tierOrder) => tierData.flatMap((tierObj, rowIndex) => {
+  const bandIndex = tierOrder.indexOf(bandOfRow(tierObj.tier));
+  const easiness = bandIndex === -1 ? rowIndex : bandIndex;
+  return tierObj.songs.map((song) => ({ ...song, tierLabel: tierObj.tier, easiness }));
+});
+
+// Best lamp at least half of the charts have reached.
+const majorityRank = (songs) => {
+  const ranks = songs.map((song) => clearTypeRank(song.clearType)).sort((a, b) => b - a);
+  return ranks[Math.ceil(ranks.length / 2) - 1] ?? 0;
+};
+
+// Charts one lamp short of the majority lamp of the next harder band: most
+// of the harder charts already have that lamp, so these are overdue for it.
+// The hardest band has nothing above it and suggests nothing.
+const findCatchUp = (songs) => {
+  const bands = [...new Set(songs.map((song) => song.easiness))].sort((a, b) => a - b);
+  return bands.slice(1).flatMap((easiness, index) => {
+    const target = majorityRank(songs.filter((song) => song.easiness === bands[index]));
+    return songs
+      .filter((song) => song.easiness === easiness && clearTypeRank(song.clearType) === target - 1)
+      .map((song) => ({ ...song, nextClearType: CLEAR_TYPE_ORDER[target] }));
+  });
+};
+
+/**
+ * @param {Array<{ tier: string, songs: Array }>} tierData - enrichedTierData
+ * @param {{ clearTarget?: string | null, tierOrder: string[], limit?: number }} options
+ * @returns {{
+ *   belowTarget: Array, // easiest charts still short of the goal lamp
+ *   catchUp: Array,     // one lamp below what most of the next harder band already has
+ *   stuck: Array,       // played STUCK_PLAY_COUNT+ times and still short of the goal
+ * }} songs with `tierLabel` added; `catchUp` songs also carry `nextClearType`
+ *
+ * `stuck` goes by play count alone. The score payload has no lamp history
+ * (`bestPlayedAt` dates the best EX score, not the lamp), so "played a lot
+ * without improving" cannot be told apart from "played a lot, improved,
+ * still short".
+ */
+export const recommendNextCharts = (tierData, { clearTarget = null, tierOrder, limit = 6 }) => {
+  const songs = flattenSongs(tierData, tierOrder);
+  const short = songs.filter((song) => !meetsClearTarget(song.clearType, clearTarget));
+
+  const belowTarget = [...short]
+    .sort((a, b) => b.easiness - a.easiness)
+    .slice(0, limit);
+
+  const catchUp = findCatchUp(songs)
+    .sort((a, b) => b.easiness - a.easiness)
+    .slice(0, limit);
+
+  const stuck = short
+    .filter((song) => (song.playCount ?? 0) >= STUCK_PLAY_COUNT)
+    .sort((a, b) => b.playCount - a.playCount)
+    .slice(0, limit);
+
+  return { belowTarget, catchUp, stuck };
+};
@@ -0,0 +1,144 @@
+import { splitCsvRows } from './scoreCsv';
+import { normalizeTierCategory } from './tierData';
+
+/**
+ * Import/export of tier tables as files, so community tier sheets kept in
+ * spreadsheets can round-trip through the admin editor.
+ *
+ * Both formats carry the flat save-payload shape
+ * `[{ title, difficulty, category, tier }]`. `sortOrder` is left out on
+ * export: the editor derives order from titles and rewrites it on save.
+ */
+
+export const TIER_CSV_COLUMNS = ['title', 'difficulty', 'category', 'tier'];
+
+const toExportEntry = ({ title, difficulty, category, tier }) => ({
+  title,
+  difficulty: difficulty ?? null,
+  category: category ?? null,
+  tier: tier ?? null,
+});
+
+export const serializeTierJson = (entries) => JSON.stringify(entries.map(toExportEntry), null, 2);
+
+const escapeCsvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The BOM makes Excel read the file as UTF-8 instead of mangling the
+// Japanese titles and categories.
+export const serializeTierCsv = (entries) => `\uFEFF${[
+  TIER_CSV_COLUMNS.join(','),
+  ...entries.map((entry) => TIER_CSV_COLUMNS.map((column) => escapeCsvField(entry[column])).join(',')),
+].join('\r\n')}\r\n`;
+
+const blankToNull = (value) => {
+  const text = String(value ?? '').trim();
+  return text === '' ? null : text;
+};
+
+const toImportEntry = (raw) => ({
+  title: blankToNull(raw.title),
+  difficulty: blankToNull(raw.difficulty)?.toUpperCase() ?? null,
+  category: normalizeTierCategory(blankToNull(raw.category)),
+  tier: blankToNull(raw.tier),
+});
+
+/**
+ * @param {string} text
+ * @returns {{ entries: Array, error: string | null }}
+ */
+export const parseTierJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { entries: [], error: 'JSON 형식이 올바르지 않습니다.' };
+  }
+
+  if (!Array.isArray(data)) {
+    return { entries: [], error: '곡 목록(배열) 형식의 JSON이 아닙니다.' };
+  }
+
+  return {
+    entries: data.filter((item) => item && typeof item === 'object').map(toImportEntry),
+    error: null,
+  };
+};
+
+/**
+ * Columns are found by header name, so a spreadsheet may reorder them or
+ * carry extra columns of its own. Only `title` and `tier` are required.
+ *
+ * @param {string} text
+ * @returns {{ entries: Array, error: string | null }}
+ */
+export const parseTierCsv = (text) => {
+  const [header = [], ...rows] = splitCsvRows(text.replace(/^\uFEFF/, ''));
+  const columnIndex = Object.fromEntries(
+    TIER_CSV_COLUMNS.map((column) => [column, header.findIndex((name) => name.trim().toLowerCase() === column)])
+  );
+
+  const missing = ['title', 'tier'].filter((column) => columnIndex[column] === -1);
+  if (missing.length > 0) {
+    return { entries: [], error: `필수 열이 없습니다: ${missing.join(', ')}` };
+  }
+
+  const entries = rows
+    .filter((fields) => fields.some((field) => field.trim() !== ''))
+    .map((fields) => toImportEntry(Object.fromEntries(
+      TIER_CSV_COLUMNS.map((column) => [column, columnIndex[column] === -1 ? null : fields[columnIndex[column]]])
+    )));
+
+  return { entries, error: null };
+};
+
+/**
+ * Check imported entries against the level's master songs and the tier
+ * metadata.
+ *
+ * - unknownTitles: charts the master song list does not have
+ * - unknownSections: a tier or category the metadata does not know; the
+ *   entry still imports, but lands in the unassigned pool
+ * - duplicates: a chart listed more than once; only the first one is kept
+ *
+ * @param {Array} entries - parseTierJson / parseTierCsv result
+ * @param {{ masterSongs: Array, tiers: string[], categories: string[], defaultDifficulty: string }} context
+ * @returns {{ entries: Array, knownEntries: Array, unknownTitles: Array, unknownSections: Array, duplicates: Array }}
+ *   `entries` is every usable entry; `knownEntries` leaves out unknown titles
+ */
+export const validateTierImport = (entries, { masterSongs, tiers, categories, defaultDifficulty }) => {
+  const chartKey = (title, difficulty) => JSON.stringify([title, difficulty ?? defaultDifficulty]);
+  const masterKeys = new Set(masterSongs.map((song) => chartKey(song.title, song.difficulty)));
+
+  const seen = new Set();
+  const report = { entries: [], knownEntries: [], unknownTitles: [], unknownSections: [], duplicates: [] };
+
+  entries.forEach((raw) => {
+    if (!raw.title) return;
+
+    const entry = {
+      ...raw,
+      difficulty: raw.difficulty ?? defaultDifficulty,
+      category: raw.tier ? raw.category ?? categories[0] ?? null : raw.category,
+    };
+    const key = chartKey(entry.title, entry.difficulty);
+
+    if (seen.has(key)) {
+      report.duplicates.push(entry);
+      return;
+    }
+    seen.add(key);
+    report.entries.push(entry);
+
+    if (entry.tier && (!tiers.includes(entry.tier) || !categories.includes(entry.category))) {
+      report.unknownSections.push(entry);
+    }
+
+    if (masterKeys.has(key)) report.knownEntries.push(entry);
+    else report.unknownTitles.push(entry);
+  });
+
+  return report;
+};
@@ -0,0 +1,94 @@
+import { normalizeDifficultyKey, normalizeTitleKey } from './tierData';
+
+/**
+ * Fuzzy matching between tier entries and the master song list.
+ *
+ * The editor identifies a chart by its exact `title__difficulty` id, so an
+ * entry spelled slightly differently from the master song (full-width
+ * characters, stray spaces, a version suffix) becomes a phantom chart next
+ * to the real one. This finds those pairs so an admin can merge them.
+ */
+
+// Below this, two titles are too different to suggest as the same song.
+const MIN_SIMILARITY = 0.8;
+
+const REASON_RANK = { normalized: 0, prefix: 1, similar: 2 };
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * How alike two titles are once normalized.
+ *
+ * @returns {{ reason: 'normalized' | 'prefix' | 'similar', score: number } | null}
+ */
+export const compareTitles = (a, b) => {
+  const keyA = normalizeTitleKey(a);
+  const keyB = normalizeTitleKey(b);
+  if (!keyA || !keyB) return null;
+
+  if (keyA === keyB) return { reason: 'normalized', score: 1 };
+
+  // "Timepiece phase II" vs "Timepiece phase II (CN Ver.)"
+  const [shorter, longer] = keyA.length < keyB.length ? [keyA, keyB] : [keyB, keyA];
+  if (longer.startsWith(shorter) && shorter.length >= 4) {
+    return { reason: 'prefix', score: shorter.length / longer.length };
+  }
+
+  const score = 1 - levenshtein(keyA, keyB) / longer.length;
+  return score >= MIN_SIMILARITY ? { reason: 'similar', score } : null;
+};
+
+/**
+ * Pair each entry that has no exact master song with the most likely master
+ * song that no entry claims yet, and each master song is offered once.
+ *
+ * "Exact" compares title and difficulty as given, like the editor's item ids
+ * do, so an entry missing its difficulty is still an orphan. For the match
+ * itself a missing difficulty counts as `defaultDifficulty`.
+ *
+ * @param {Array<{ title: string, difficulty?: string | null }>} entries
+ * @param {Array<{ title: string, difficulty?: string | null }>} masterSongs
+ * @param {{ defaultDifficulty: string }} options
+ * @returns {Array<{ entry: object, song: object, reason: string, score: number }>}
+ *   best matches first
+ */
+export const findTitleMatches = (entries, masterSongs, { defaultDifficulty }) => {
+  const exactKey = (item) => JSON.stringify([item.title, item.difficulty ?? null]);
+  const difficultyKey = (item) => normalizeDifficultyKey(item.difficulty ?? defaultDifficulty);
+
+  const masterKeys = new Set(masterSongs.map(exactKey));
+  const claimedKeys = new Set(entries.map(exactKey));
+
+  const orphans = entries.filter((entry) => entry.title && !masterKeys.has(exactKey(entry)));
+  const unclaimed = masterSongs.filter((song) => !claimedKeys.has(exactKey(song)));
+
+  const pairs = orphans.flatMap((entry) => unclaimed
+    .filter((song) => difficultyKey(song) === difficultyKey(entry))
+    .map((song) => ({ entry, song, ...compareTitles(entry.title, song.title) }))
+    .filter((pair) => pair.reason));
+
+  pairs.sort((a, b) => (REASON_RANK[a.reason] - REASON_RANK[b.reason]) || (b.score - a.score));
+
+  const usedEntries = new Set();
+  const usedSongs = new Set();
+  return pairs.filter(({ entry, song }) => {
+    if (usedEntries.has(entry) || usedSongs.has(song)) return false;
+    usedEntries.add(entry);
+    usedSongs.add(song);
+    return true;
+  });
+};
@@ -0,0 +1,107 @@
+/**
+ * Query-string form of the list views' state, so a filtered score list or a
+ * tier table view survives a refresh and can be bookmarked or shared.
+ *
+ * `build*` leaves out every value still at its default, so an untouched page
+ * keeps a bare URL. `parse*` falls back to the default for anything missing
+ * or malformed: a hand-edited link should land on a working page, not an
+ * error.
+ */
+
+export const DEFAULT_SCORE_FILTERS = {
+  playStyle: '',  // 'SP' | 'DP' | '' (all)
+  level: '',      // '1'..'12' | '' (all)
+  chartType: '',  // 'BEGINNER' | 'NORMAL' | 'HYPER' | 'ANOTHER' | 'LEGGENDARIA' | ''
+  clearType: '',  // 'FAILED' | 'ASSIST_CLEAR' | ... | ''
+};
+
+export const DEFAULT_SCORE_PAGINATION = {
+  page: 0,   // 0-indexed like Spring; the URL shows it 1-indexed
+  size: 20,
+  sort: '',  // Spring `field,direction`; '' = server default
+};
+
+export const DEFAULT_TIER_VIEW = {
+  selectedLevel: 12,
+  selectedPlayStyle: 'SP',
+  viewMode: 'grid',
+};
+
+const PLAY_STYLES = ['SP', 'DP'];
+const CHART_TYPES = ['BEGINNER', 'NORMAL', 'HYPER', 'ANOTHER', 'LEGGENDARIA'];
+const VIEW_MODES = ['grid', 'list'];
+const MAX_PAGE_SIZE = 100;
+
+const toInteger = (value, min, max) => {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isInteger(number) && number >= min && number <= max
+    ? number
+    : null;
+};
+
+const pick = (value, allowed) => {
+  const upper = String(value ?? '').toUpperCase();
+  return allowed.includes(upper) ? upper : null;
+};
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {{ filters: typeof DEFAULT_SCORE_FILTERS, pagination: typeof DEFAULT_SCORE_PAGINATION }}
+ */
+export const parseScoreQuery = (params) => {
+  const level = toInteger(params.get('level'), 1, 12);
+  const page = toInteger(params.get('page'), 1, Number.MAX_SAFE_INTEGER);
+  const sort = params.get('sort') ?? '';
+
+  return {
+    filters: {
+      playStyle: pick(params.get('playStyle'), PLAY_STYLES) ?? DEFAULT_SCORE_FILTERS.playStyle,
+      level: level === null ? DEFAULT_SCORE_FILTERS.level : String(level),
+      chartType: pick(params.get('chartType'), CHART_TYPES) ?? DEFAULT_SCORE_FILTERS.chartType,
+      // The backend owns the clear type list (and its legacy aliases); only the shape is checked.
+      clearType: /^[A-Z_]+$/.test(params.get('clearType') ?? '') ? params.get('clearType') : DEFAULT_SCORE_FILTERS.clearType,
+    },
+    pagination: {
+      page: page === null ? DEFAULT_SCORE_PAGINATION.page : page - 1,
+      size: toInteger(params.get('size'), 1, MAX_PAGE_SIZE) ?? DEFAULT_SCORE_PAGINATION.size,
+      sort: /^[\w.]+,(asc|desc)$/.test(sort) ? sort : DEFAULT_SCORE_PAGINATION.sort,
+    },
+  };
+};
+
+/**
+ * @param {{ filters: typeof DEFAULT_SCORE_FILTERS, pagination: typeof DEFAULT_SCORE_PAGINATION }} state
+ * @returns {URLSearchParams}
+ */
+export const buildScoreQuery = ({ filters, pagination }) => {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_SCORE_FILTERS).forEach((key) => {
+    if (filters[key] !== '' && filters[key] != null) params.set(key, String(filters[key]));
+  });
+  if (pagination.page !== DEFAULT_SCORE_PAGINATION.page) params.set('page', String(pagination.page + 1));
+  if (pagination.size !== DEFAULT_SCORE_PAGINATION.size) params.set('size', String(pagination.size));
+  if (pagination.sort) params.set('sort', pagination.sort);
+  return params;
+};
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {typeof DEFAULT_TIER_VIEW}
+ */
+export const parseTierQuery = (params) => ({
+  selectedLevel: toInteger(params.get('level'), 1, 12) ?? DEFAULT_TIER_VIEW.selectedLevel,
+  selectedPlayStyle: pick(params.get('playStyle'), PLAY_STYLES) ?? DEFAULT_TIER_VIEW.selectedPlayStyle,
+  viewMode: VIEW_MODES.includes(params.get('view')) ? params.get('view') : DEFAULT_TIER_VIEW.viewMode,
+});
+
+/**
+ * @param {typeof DEFAULT_TIER_VIEW} state - extra store fields are ignored
+ * @returns {URLSearchParams}
+ */
+export const buildTierQuery = ({ selectedLevel, selectedPlayStyle, viewMode }) => {
+  const params = new URLSearchParams();
+  if (selectedLevel !== DEFAULT_TIER_VIEW.selectedLevel) params.set('level', String(selectedLevel));
+  if (selectedPlayStyle !== DEFAULT_TIER_VIEW.selectedPlayStyle) params.set('playStyle', selectedPlayStyle);
+  if (viewMode !== DEFAULT_TIER_VIEW.viewMode) params.set('view', viewMode);
+  return params;
+};
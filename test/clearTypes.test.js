@@ -0,0 +1,17 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { meetsClearTarget } from '../src/utils/clearTypes.js';
+
+test('without a goal every clearing lamp counts, assist included', () => {
+  assert.equal(meetsClearTarget('ASSIST_CLEAR'), true);
+  assert.equal(meetsClearTarget('FAILED'), false);
+  assert.equal(meetsClearTarget(null), false);
+});
+
+test('a goal counts that lamp and everything above it', () => {
+  assert.equal(meetsClearTarget('CLEAR', 'HARD_CLEAR'), false);
+  assert.equal(meetsClearTarget('HARD_CLEAR', 'HARD_CLEAR'), true);
+  assert.equal(meetsClearTarget('full combo', 'EX_HARD_CLEAR'), true);
+  assert.equal(meetsClearTarget('EASY_CLEAR', 'CLEAR'), false);
+});
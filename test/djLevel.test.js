@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chartNoteCount, computeDjLevel, formatGradeGap } from '../src/utils/djLevel.js';
+
+// 1000 notes: MAX 2000, AAA 1778, AA 1556, A 1334.
+test('grades start at each ninth of the max EX score', () => {
+  assert.equal(computeDjLevel(1778, 1000), 'AAA');
+  assert.equal(computeDjLevel(1777, 1000), 'AA');
+  assert.equal(computeDjLevel(2000, 1000), 'AAA');
+  assert.equal(computeDjLevel(100, 1000), 'F');
+});
+
+test('the gap is measured to the closer border', () => {
+  assert.equal(formatGradeGap(1766, 1000), 'AAA-12');
+  assert.equal(formatGradeGap(1586, 1000), 'AA+30');
+  assert.equal(formatGradeGap(1990, 1000), 'MAX-10');
+  assert.equal(formatGradeGap(2000, 1000), 'MAX+0');
+});
+
+test('without a note count nothing is computed', () => {
+  assert.equal(computeDjLevel(1500, null), null);
+  assert.equal(formatGradeGap(1500, 0), null);
+});
+
+test('only a positive noteCount on the chart counts as a note count', () => {
+  assert.equal(chartNoteCount({ id: 1, chartType: 'ANOTHER', noteCount: 1000 }), 1000);
+  assert.equal(chartNoteCount({ id: 1, chartType: 'ANOTHER' }), null);
+  assert.equal(chartNoteCount({ notes: 1000 }), null);
+  assert.equal(chartNoteCount({ noteCount: 0 }), null);
+  assert.equal(chartNoteCount(null), null);
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { downloadBlob } from '../src/utils/download.js';
+
+test('the object URL outlives the click', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const events = [];
+  const link = {
+    click: () => events.push(`click ${link.download}`),
+    remove: () => events.push('remove'),
+  };
+  t.mock.method(URL, 'createObjectURL', () => 'blob:1');
+  t.mock.method(URL, 'revokeObjectURL', (url) => events.push(`revoke ${url}`));
+  globalThis.document = {
+    createElement: () => link,
+    body: { appendChild: () => events.push('append') },
+  };
+  t.after(() => { delete globalThis.document; });
+
+  downloadBlob(new Blob(['x']), 'tier.csv');
+  assert.deepEqual(events, ['append', 'click tier.csv', 'remove']);
+
+  t.mock.timers.tick(40 * 1000);
+  assert.equal(events.at(-1), 'revoke blob:1');
+});
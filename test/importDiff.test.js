@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffScoreSnapshots, formatImportChange, groupImportChanges } from '../src/utils/importDiff.js';
+
+const score = (title, chartType, { level = 12, clearType = 'CLEAR', exScore = 2000, djLevel = 'A' } = {}) => ({
+  song: { title },
+  chart: { chartType, level, playStyle: 'SP' },
+  bestClearType: clearType,
+  bestScore: exScore,
+  bestDjLevel: djLevel,
+});
+
+test('only charts whose lamp, EX score or DJ level went up are reported', () => {
+  const before = [
+    score('Alpha', 'ANOTHER', { clearType: 'CLEAR', exScore: 2000 }),
+    score('Beta', 'ANOTHER', { clearType: 'HARD_CLEAR', exScore: 2500 }),
+  ];
+  const after = [
+    score('Alpha', 'ANOTHER', { clearType: 'HARD_CLEAR', exScore: 2000 }),
+    score('Beta', 'ANOTHER', { clearType: 'HARD_CLEAR', exScore: 2500 }),
+  ];
+
+  const changes = diffScoreSnapshots(before, after);
+
+  assert.equal(changes.length, 1);
+  assert.deepEqual(changes[0].clearType, { from: 'CLEAR', to: 'HARD_CLEAR' });
+  assert.equal(changes[0].scoreImproved, false);
+});
+
+test('a chart missing from the before snapshot counts as a first play', () => {
+  const [change] = diffScoreSnapshots([], [score('Alpha', 'ANOTHER', { clearType: 'EASY_CLEAR', exScore: 1500 })]);
+
+  assert.deepEqual(change.clearType, { from: 'NO_PLAY', to: 'EASY_CLEAR' });
+  assert.deepEqual(change.score, { from: 0, to: 1500 });
+});
+
+test('the same title on another chart or play style is a different chart', () => {
+  const before = [score('Alpha', 'ANOTHER', { clearType: 'FULLCOMBO_CLEAR', exScore: 3000, djLevel: 'AAA' })];
+  const after = [score('Alpha', 'HYPER', { clearType: 'CLEAR', exScore: 1000 })];
+
+  assert.equal(diffScoreSnapshots(before, after).length, 1);
+});
+
+test('changes group by level, best resulting lamp first, with score-only gains last', () => {
+  const before = [
+    score('Alpha', 'ANOTHER', { exScore: 2000 }),
+    score('Beta', 'ANOTHER', { clearType: 'CLEAR' }),
+    score('Gamma', 'ANOTHER', { level: 11, clearType: 'FAILED' }),
+  ];
+  const after = [
+    score('Alpha', 'ANOTHER', { exScore: 2100 }),
+    score('Beta', 'ANOTHER', { clearType: 'EX_HARD_CLEAR' }),
+    score('Gamma', 'ANOTHER', { level: 11, clearType: 'CLEAR' }),
+  ];
+
+  const grouped = groupImportChanges(diffScoreSnapshots(before, after));
+
+  assert.deepEqual(grouped.map((entry) => entry.level), [12, 11]);
+  assert.deepEqual(grouped[0].groups.map((group) => group.changes[0].title), ['Beta', 'Alpha']);
+  assert.equal(grouped[0].groups[1].label, '램프 유지');
+  assert.equal(formatImportChange(grouped[0].groups[1].changes[0]), 'Lv12 Alpha ANOTHER: score 2000 → 2100');
+});
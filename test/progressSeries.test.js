@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildLampSeriesFromScores,
+  buildRateSeriesFromScores,
+  buildRateSeriesFromSnapshots,
+  buildSampleTimes,
+  hasRateData,
+  normalizeImportSnapshots,
+} from '../src/utils/progressSeries.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const at = (day) => new Date(day * DAY).toISOString();
+const score = (day, bestClearType, chart = {}) => ({
+  bestPlayedAt: day === null ? null : at(day),
+  bestClearType,
+  bestScore: 1500,
+  chart: { level: 12, ...chart },
+});
+
+test('sample times run from the oldest dated score to now', () => {
+  const times = buildSampleTimes([score(10, 'CLEAR'), score(null, 'CLEAR')], null, 50 * DAY);
+
+  assert.equal(times.length, 40);
+  assert.equal(times[0], 10 * DAY);
+  assert.equal(times.at(-1), 50 * DAY);
+});
+
+test('lamp lines count HARD or better, and undated scores from the start', () => {
+  const series = buildLampSeriesFromScores(
+    [score(null, 'HARD_CLEAR'), score(20, 'EX_HARD_CLEAR'), score(30, 'CLEAR')],
+    [10 * DAY, 25 * DAY],
+  );
+
+  assert.deepEqual(series.HARD_CLEAR.map((p) => p.y), [1, 2]);
+  assert.deepEqual(series.EX_HARD_CLEAR.map((p) => p.y), [0, 1]);
+});
+
+test('without note counts the score rate series is empty and no rate data is reported', () => {
+  const scores = [score(10, 'HARD_CLEAR'), score(20, 'CLEAR', { notes: 1000 })];
+
+  assert.deepEqual(buildRateSeriesFromScores(scores, [30 * DAY], 12), []);
+  assert.equal(hasRateData(scores, null), false);
+});
+
+test('scores with a note count are averaged per level', () => {
+  const scores = [
+    score(10, 'CLEAR', { noteCount: 1000 }), // 75%
+    score(20, 'CLEAR', { noteCount: 750 }), // 100%
+    score(20, 'CLEAR', { noteCount: 1000, level: 11 }),
+  ];
+
+  assert.equal(hasRateData(scores, null), true);
+  assert.deepEqual(buildRateSeriesFromScores(scores, [5 * DAY, 15 * DAY, 25 * DAY], 12), [
+    { x: 15 * DAY, y: 75 },
+    { x: 25 * DAY, y: 87.5 },
+  ]);
+});
+
+test('snapshot rates count as rate data and are read per level', () => {
+  const snapshots = normalizeImportSnapshots([
+    { importedAt: at(20), clearTypes: { FULL_COMBO: 1 }, rateByLevel: { 12: 0.812 } },
+    { importedAt: at(10), clearTypes: {} },
+    { importedAt: 'not a date' },
+  ]);
+
+  assert.deepEqual(snapshots.map((s) => s.time), [10 * DAY, 20 * DAY]);
+  assert.equal(snapshots[1].clearTypes.FULLCOMBO_CLEAR, 1);
+  assert.equal(hasRateData([], snapshots), true);
+  assert.deepEqual(buildRateSeriesFromSnapshots(snapshots, [0], 12), [{ x: 20 * DAY, y: 81.2 }]);
+});
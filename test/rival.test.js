@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareRivalLamp, countRivalResults } from '../src/utils/rival.js';
+
+test('the better lamp wins and equal lamps draw', () => {
+  assert.equal(compareRivalLamp({ clearType: 'HARD_CLEAR', rivalClearType: 'CLEAR' }), 'win');
+  assert.equal(compareRivalLamp({ clearType: 'EASY_CLEAR', rivalClearType: 'EX_HARD_CLEAR' }), 'lose');
+  assert.equal(compareRivalLamp({ clearType: 'CLEAR', rivalClearType: 'CLEAR' }), 'draw');
+});
+
+test('a chart the rival never played counts as NO PLAY on their side', () => {
+  assert.equal(compareRivalLamp({ clearType: 'FAILED' }), 'win');
+  assert.equal(compareRivalLamp({ clearType: 'NO_PLAY' }), 'draw');
+});
+
+test('legacy lamp names compare like their current ones', () => {
+  assert.equal(compareRivalLamp({ clearType: 'FULL_COMBO', rivalClearType: 'FULLCOMBO_CLEAR' }), 'draw');
+});
+
+test('results are tallied per song', () => {
+  assert.deepEqual(countRivalResults([
+    { clearType: 'HARD_CLEAR', rivalClearType: 'CLEAR' },
+    { clearType: 'CLEAR', rivalClearType: 'CLEAR' },
+    { clearType: 'FAILED', rivalClearType: 'CLEAR' },
+    { clearType: 'CLEAR', rivalClearType: 'FAILED' },
+  ]), { win: 2, lose: 1, draw: 1 });
+});
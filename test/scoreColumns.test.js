@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SCORE_COLUMNS, nextSort, parseHiddenColumns } from '../src/utils/scoreColumns.js';
+
+const column = (key) => SCORE_COLUMNS.find((c) => c.key === key);
+
+test('a header click cycles first direction, the other one, then the server default', () => {
+  const miss = column('missCount');
+  assert.equal(nextSort('', miss), 'bestMissCount,desc');
+  assert.equal(nextSort('bestMissCount,desc', miss), 'bestMissCount,asc');
+  assert.equal(nextSort('bestMissCount,asc', miss), '');
+});
+
+test('switching columns starts over at the new column\'s first direction', () => {
+  assert.equal(nextSort('bestScore,asc', column('title')), 'song.title,asc');
+});
+
+test('stored hidden columns ignore unknown, unhideable and malformed entries', () => {
+  assert.deepEqual(parseHiddenColumns('["artist","title","gone"]'), ['artist']);
+  assert.deepEqual(parseHiddenColumns('{oops'), []);
+  assert.deepEqual(parseHiddenColumns(null), []);
+});
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  detectCsvPlayStyle,
+  parseScoreCsv,
+  splitCsvRows,
+} from '../src/utils/scoreCsv.js';
+
+const CHART_HEADER = (chartType) => [
+  `${chartType} 難易度`,
+  `${chartType} スコア`,
+  `${chartType} PGreat`,
+  `${chartType} Great`,
+  `${chartType} ミスカウント`,
+  `${chartType} クリアタイプ`,
+  `${chartType} DJ LEVEL`,
+];
+
+const HEADER = [
+  'バージョン', 'タイトル', 'ジャンル', 'アーティスト', 'プレー回数',
+  ...['BEGINNER', 'NORMAL', 'HYPER', 'ANOTHER', 'LEGGENDARIA'].flatMap(CHART_HEADER),
+  '最終プレー日時',
+].join(',');
+
+const NO_CHART = ['0', '0', '0', '0', '---', 'NO PLAY', '---'];
+
+const row = ({ title = '冥', another = ['12', '3521', '1500', '521', '12', 'HARD CLEAR', 'AA'] } = {}) => [
+  'IIDX RED', title, 'GENRE', 'ARTIST', '42',
+  ...NO_CHART,
+  ...NO_CHART,
+  ['5', '800', '350', '100', '3', 'FULLCOMBO CLEAR', 'AAA'],
+  another,
+  ...NO_CHART,
+  '2026-10-01 21:00',
+].flat().join(',');
+
+test('quoted fields keep their commas, quotes and line breaks', () => {
+  assert.deepEqual(
+    splitCsvRows('a,"b,c","say ""hi""","x\ny"\r\n1,2,3,4'),
+    [['a', 'b,c', 'say "hi"', 'x\ny'], ['1', '2', '3', '4']]
+  );
+});
+
+test('charts are read by header name and level 0 charts are skipped', () => {
+  const { missingColumns, rows, malformedRows, chartCounts } = parseScoreCsv(`\uFEFF${HEADER}\n${row()}\n`);
+
+  assert.deepEqual(missingColumns, []);
+  assert.deepEqual(malformedRows, []);
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].charts, [
+    { chartType: 'HYPER', level: 5, score: 800, missCount: 3, clearType: 'FULLCOMBO_CLEAR', djLevel: 'AAA' },
+    { chartType: 'ANOTHER', level: 12, score: 3521, missCount: 12, clearType: 'HARD_CLEAR', djLevel: 'AA' },
+  ]);
+  assert.deepEqual(chartCounts.ANOTHER, { total: 1, played: 1 });
+  assert.deepEqual(chartCounts.LEGGENDARIA, { total: 0, played: 0 });
+});
+
+test('a file without the score columns is reported instead of parsed', () => {
+  const { missingColumns, rows } = parseScoreCsv('title,score\nfoo,1\n');
+  assert.ok(missingColumns.includes('タイトル'));
+  assert.ok(missingColumns.includes('ANOTHER スコア'));
+  assert.deepEqual(rows, []);
+});
+
+test('malformed rows carry their spreadsheet line number and every problem', () => {
+  const bad = row({ title: 'Broken', another: ['12', 'abc', '0', '0', '---', 'SUPER CLEAR', '---'] });
+  const { rows, malformedRows } = parseScoreCsv(`${HEADER}\n${row()}\n${bad}\n`);
+
+  assert.equal(rows.length, 1);
+  assert.equal(malformedRows.length, 1);
+  assert.equal(malformedRows[0].lineNumber, 3);
+  assert.equal(malformedRows[0].title, 'Broken');
+  assert.equal(malformedRows[0].problems.length, 2);
+});
+
+test('a row with the wrong column count is malformed', () => {
+  const { malformedRows } = parseScoreCsv(`${HEADER}\nIIDX RED,冥,GENRE\n`);
+  assert.equal(malformedRows.length, 1);
+  assert.match(malformedRows[0].problems[0], /열 개수/);
+});
+
+test('play style comes from the header, whatever the file is called', () => {
+  const dpHeader = [
+    'バージョン', 'タイトル', 'ジャンル', 'アーティスト', 'プレー回数',
+    ...['NORMAL', 'HYPER', 'ANOTHER', 'LEGGENDARIA'].flatMap(CHART_HEADER),
+    '最終プレー日時',
+  ].join(',');
+  const sp = parseScoreCsv(HEADER);
+  const dp = parseScoreCsv(dpHeader);
+
+  assert.equal(sp.playStyle, 'SP');
+  assert.equal(dp.playStyle, 'DP');
+  assert.equal(detectCsvPlayStyle(dp, 'download.csv'), 'DP');
+  assert.equal(detectCsvPlayStyle(dp, 'C1234567_sp_score.csv'), 'DP');
+});
+
+test('the file name only decides when the header cannot be read', () => {
+  const unreadable = parseScoreCsv('not,a,score,csv');
+
+  assert.equal(detectCsvPlayStyle(unreadable, 'C1234567_sp_score.csv'), 'SP');
+  assert.equal(detectCsvPlayStyle(null, 'C1234567_dp_score.csv'), 'DP');
+  assert.equal(detectCsvPlayStyle(unreadable, 'my scores.csv'), null);
+  assert.equal(detectCsvPlayStyle(unreadable, 'spring.csv'), null);
+});
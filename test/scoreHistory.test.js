@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildHistoryTimeline, normalizeScoreHistory } from '../src/utils/scoreHistory.js';
+
+const entry = (id, playedAt, score, missCount, clearType) => ({ id, playedAt, score, missCount, clearType });
+
+test('history comes back oldest first from an array or a Page', () => {
+  const entries = [
+    entry(2, '2026-09-01T00:00:00Z', 1600, 10, 'HARD_CLEAR'),
+    entry(1, '2026-08-01T00:00:00Z', 1500, 20, 'CLEAR'),
+  ];
+
+  assert.deepEqual(normalizeScoreHistory(entries).map((e) => e.id), [1, 2]);
+  assert.deepEqual(normalizeScoreHistory({ content: entries }).map((e) => e.id), [1, 2]);
+  assert.deepEqual(normalizeScoreHistory(null), []);
+});
+
+test('the timeline is newest first with changes from the previous entry', () => {
+  const timeline = buildHistoryTimeline([
+    entry(1, '2026-08-01T00:00:00Z', 1500, 20, 'CLEAR'),
+    entry(2, '2026-09-01T00:00:00Z', 1600, 12, 'HARD_CLEAR'),
+    entry(3, '2026-10-01T00:00:00Z', 1590, null, 'CLEAR'),
+  ]);
+
+  assert.deepEqual(timeline.map((e) => e.id), [3, 2, 1]);
+  assert.deepEqual(timeline.map((e) => e.scoreDelta), [-10, 100, null]);
+  assert.deepEqual(timeline.map((e) => e.missDelta), [null, -8, null]);
+  assert.deepEqual(timeline.map((e) => e.lampImproved), [false, true, false]);
+});
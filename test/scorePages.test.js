@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPromiseCache, fetchAllPages } from '../src/utils/scorePages.js';
+
+const pagesOf = (pages) => {
+  const requested = [];
+  const fetchPage = async (page) => {
+    requested.push(page);
+    return pages[page];
+  };
+  return { fetchPage, requested };
+};
+
+test('every page is fetched up to totalPages', async () => {
+  const { fetchPage, requested } = pagesOf([
+    { content: [{ id: 1 }, { id: 2 }], totalPages: 3 },
+    { content: [{ id: 3 }], totalPages: 3 },
+    { content: [{ id: 4 }], totalPages: 3 },
+  ]);
+
+  assert.deepEqual((await fetchAllPages(fetchPage)).map((s) => s.id), [1, 2, 3, 4]);
+  assert.deepEqual(requested, [0, 1, 2]);
+});
+
+test('paging stops on an empty or last page', async () => {
+  const early = pagesOf([{ content: [{ id: 1 }], totalPages: 5, last: true }]);
+  await fetchAllPages(early.fetchPage);
+  assert.deepEqual(early.requested, [0]);
+
+  const empty = pagesOf([{ content: [{ id: 1 }], totalPages: 5 }, { content: [], totalPages: 5 }]);
+  await fetchAllPages(empty.fetchPage);
+  assert.deepEqual(empty.requested, [0, 1]);
+});
+
+test('a score repeated across pages is kept once', async () => {
+  const chart = { song: { title: '冥' }, chart: { chartType: 'ANOTHER', playStyle: 'SP' } };
+  const { fetchPage } = pagesOf([
+    { content: [{ id: 1 }, { ...chart }], totalPages: 2 },
+    { content: [{ id: 1 }, { ...chart }], totalPages: 2 },
+  ]);
+
+  assert.equal((await fetchAllPages(fetchPage)).length, 2);
+});
+
+test('concurrent loads of one key share a request', async () => {
+  const cache = createPromiseCache(1000);
+  let loads = 0;
+  const load = async () => { loads += 1; return [loads]; };
+
+  const [a, b] = await Promise.all([cache.get('k', load), cache.get('k', load)]);
+  assert.equal(loads, 1);
+  assert.equal(a, b);
+});
+
+test('cached values expire after the TTL and on force or clear', async () => {
+  let time = 0;
+  const cache = createPromiseCache(1000, () => time);
+  let loads = 0;
+  const load = async () => { loads += 1; return loads; };
+
+  await cache.get('k', load);
+  time = 999;
+  assert.equal(await cache.get('k', load), 1);
+  time = 1000;
+  assert.equal(await cache.get('k', load), 2);
+  assert.equal(await cache.get('k', load, { force: true }), 3);
+  cache.clear();
+  assert.equal(await cache.get('k', load), 4);
+});
+
+test('a failed load is not cached', async () => {
+  const cache = createPromiseCache(1000);
+  await assert.rejects(cache.get('k', async () => { throw new Error('down'); }), /down/);
+  assert.equal(await cache.get('k', async () => 'ok'), 'ok');
+});
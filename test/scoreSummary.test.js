@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildLevelLampMatrix, normalizeScoreSummary } from '../src/utils/scoreSummary.js';
+
+const rows = [
+  { level: 12, playStyle: 'sp', clearTypes: { HARD_CLEAR: 3, CLEAR: 2 }, djLevels: { AA: 4, a: 1 } },
+  { level: '11', playStyle: 'SP', clearTypes: { HARD_CLEAR: 1, FAILED: 4 }, djLevels: { B: 5 } },
+];
+
+test('overall counts are summed from byLevel when the top level has none', () => {
+  const summary = normalizeScoreSummary({ byLevel: rows });
+
+  assert.equal(summary.clearTypes.HARD_CLEAR, 4);
+  assert.equal(summary.clearTypes.FAILED, 4);
+  assert.equal(summary.djLevels.AA, 4);
+  assert.equal(summary.djLevels.A, 1);
+  assert.equal(summary.djLevels.B, 5);
+});
+
+test('top-level counts win over the byLevel sum', () => {
+  const summary = normalizeScoreSummary({ byLevel: rows, clearTypes: { CLEAR: 9 } });
+
+  assert.equal(summary.clearTypes.CLEAR, 9);
+  assert.equal(summary.clearTypes.HARD_CLEAR, 0);
+});
+
+test('FULL_COMBO is counted as FULLCOMBO_CLEAR', () => {
+  const summary = normalizeScoreSummary({ clearTypes: { FULL_COMBO: 2, FULLCOMBO_CLEAR: 1 } });
+
+  assert.equal(summary.clearTypes.FULLCOMBO_CLEAR, 3);
+  assert.equal('FULL_COMBO' in summary.clearTypes, false);
+});
+
+test('totals come from the payload or else from the lamp counts', () => {
+  const derived = normalizeScoreSummary({ byLevel: rows });
+  assert.equal(derived.total, 10);
+  assert.deepEqual(derived.byLevel.map((row) => [row.level, row.playStyle, row.total]), [[12, 'SP', 5], [11, 'SP', 5]]);
+
+  assert.equal(normalizeScoreSummary({ total: 42, byLevel: rows }).total, 42);
+});
+
+test('a malformed payload normalizes to zeros', () => {
+  const summary = normalizeScoreSummary(null);
+
+  assert.equal(summary.total, 0);
+  assert.deepEqual(summary.byLevel, []);
+  assert.equal(buildLevelLampMatrix(summary, 'SP')[11].total, 0);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  UNASSIGNED_SECTION,
+  parseTierCommand,
+  searchSongsByTitle,
+} from '../src/utils/tierCommand.js';
+
+const meta = { tiers: ['S+', 'S', 'A+', 'A'], categories: ['地力', '個人差'] };
+
+test('a trailing tier becomes the destination in the first category', () => {
+  assert.deepEqual(parseTierCommand('冥 s+', meta), { query: '冥', target: '地力|S+' });
+});
+
+test('a category before the tier picks that category', () => {
+  assert.deepEqual(parseTierCommand('Almagest 個人差 A', meta), { query: 'Almagest', target: '個人差|A' });
+});
+
+test('a line without a destination is only a query', () => {
+  assert.deepEqual(parseTierCommand('Verflucht', meta), { query: 'Verflucht', target: null });
+  assert.deepEqual(parseTierCommand('S+', meta), { query: '', target: '地力|S+' });
+});
+
+test('pool tokens send songs back to the unassigned pool', () => {
+  assert.deepEqual(parseTierCommand('冥 -', meta), { query: '冥', target: UNASSIGNED_SECTION });
+});
+
+test('title search ranks exact and prefix matches first', () => {
+  const songs = [{ title: 'Stay Free' }, { title: 'Free Style' }, { title: 'free' }];
+  assert.deepEqual(searchSongsByTitle(songs, 'FREE').map(({ title }) => title), ['free', 'Free Style', 'Stay Free']);
+  assert.deepEqual(searchSongsByTitle(songs, '  '), []);
+});
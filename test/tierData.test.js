@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildLevelChartIndex, groupTierItems, resolveTierEntryChart } from '../src/utils/tierData.js';
+
+test('two charts of one title stay separate entries with their difficulty', () => {
+  const grouped = groupTierItems([
+    { title: '冥', difficulty: 'LEGGENDARIA', category: '地力', tier: 'S+' },
+    { title: '冥', difficulty: 'ANOTHER', category: '地力', tier: 'S+' },
+  ]);
+
+  assert.deepEqual(grouped['地力 S+'].map(({ difficulty }) => difficulty), ['ANOTHER', 'LEGGENDARIA']);
+});
+
+test('a bare title keeps a null difficulty instead of a guessed one', () => {
+  const grouped = groupTierItems(['冥']);
+  assert.equal(grouped['未定'][0].difficulty, null);
+});
+
+test('a bare title stays ambiguous when the user has played only one of its charts', () => {
+  const chartIndex = buildLevelChartIndex([
+    { title: '冥', difficulty: 'ANOTHER' }, // the user's only score
+    { title: '冥', difficulty: 'LEGGENDARIA' }, // named elsewhere in the table
+  ]);
+
+  assert.deepEqual(resolveTierEntryChart({ title: '冥', difficulty: null }, chartIndex), {
+    difficulty: null,
+    ambiguousDifficulties: ['ANOTHER', 'LEGGENDARIA'],
+  });
+});
+
+test('a bare title resolves when the level has a single chart of it', () => {
+  const chartIndex = buildLevelChartIndex([{ title: 'AA', difficulty: 'another' }]);
+
+  assert.deepEqual(resolveTierEntryChart({ title: 'AA', difficulty: null }, chartIndex), {
+    difficulty: 'ANOTHER',
+    ambiguousDifficulties: null,
+  });
+  assert.equal(resolveTierEntryChart({ title: 'unknown', difficulty: null }, chartIndex).difficulty, null);
+});
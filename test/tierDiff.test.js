@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  countTierDiff,
+  diffTierEntries,
+  findEmptiedSections,
+  groupTierDiffByDestination,
+} from '../src/utils/tierDiff.js';
+
+const entry = (title, category, tier, difficulty = 'ANOTHER') => ({ title, difficulty, category, tier });
+
+test('songs are reported as added, removed or moved by section only', () => {
+  const before = [
+    entry('冥', '地力', 'S'),
+    entry('Almagest', '地力', 'A'),
+    entry('Verflucht', '個人差', 'B'),
+    entry('Stay', '地力', 'C'),
+  ];
+  const after = [
+    entry('冥', '地力', 'S+'),
+    entry('Almagest', '地力', 'A'),
+    entry('Verflucht', null, null),
+    entry('Stay', '地力', 'C'),
+    entry('New Song', '地力', 'B+'),
+  ];
+
+  const diff = diffTierEntries(before, after);
+
+  assert.deepEqual(diff.moved.map(({ title, from, to }) => [title, from, to]), [['冥', '地力|S', '地力|S+']]);
+  assert.deepEqual(diff.removed.map(({ title, from }) => [title, from]), [['Verflucht', '個人差|B']]);
+  assert.deepEqual(diff.added.map(({ title, to }) => [title, to]), [['New Song', '地力|B+']]);
+  assert.equal(countTierDiff(diff), 3);
+});
+
+test('a missing difficulty matches the default difficulty', () => {
+  const diff = diffTierEntries(
+    [{ title: '冥', difficulty: null, category: '地力', tier: 'S' }],
+    [entry('冥', '地力', 'S')],
+    { defaultDifficulty: 'ANOTHER' }
+  );
+  assert.equal(countTierDiff(diff), 0);
+});
+
+test('the same title in two difficulties is two separate charts', () => {
+  const diff = diffTierEntries(
+    [entry('冥', '地力', 'S', 'ANOTHER')],
+    [entry('冥', '地力', 'S', 'ANOTHER'), entry('冥', '地力', 'A', 'HYPER')]
+  );
+  assert.deepEqual(diff.added.map(({ difficulty }) => difficulty), ['HYPER']);
+});
+
+test('changes are grouped by destination in render order, removals last', () => {
+  const diff = diffTierEntries(
+    [entry('b', '地力', 'A'), entry('gone', '地力', 'A')],
+    [entry('b', '地力', 'S'), entry('a', '地力', 'S'), entry('c', '個人差', 'S+')]
+  );
+
+  const groups = groupTierDiffByDestination(diff, ['地力|S+', '個人差|S+', '地力|S', '地力|A']);
+
+  assert.deepEqual(groups.map(({ section }) => section), ['個人差|S+', '地力|S', null]);
+  assert.deepEqual(groups[1].changes.map(({ title, type }) => [title, type]), [['a', 'added'], ['b', 'moved']]);
+});
+
+test('a section that lost every song is reported as emptied', () => {
+  const before = [entry('a', '地力', 'S'), entry('b', '地力', 'S'), entry('c', '地力', 'A')];
+  const after = [entry('a', null, null), entry('b', null, null), entry('c', '地力', 'A')];
+  assert.deepEqual(findEmptiedSections(before, after), ['地力|S']);
+});
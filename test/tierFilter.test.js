@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildLevelChartIndex, resolveTierEntryChart } from '../src/utils/tierData.js';
+import { EMPTY_TIER_FILTERS, getTileVisibility, matchesTierFilter } from '../src/utils/tierFilter.js';
+
+const song = (overrides = {}) => ({ title: '冥', difficulty: 'ANOTHER', clearType: 'NO_PLAY', ...overrides });
+const filters = (overrides = {}) => ({ ...EMPTY_TIER_FILTERS, ...overrides });
+
+test('the title query ignores case and surrounding spaces', () => {
+  assert.equal(matchesTierFilter(song({ title: 'Verflucht' }), filters({ query: ' verf ' }), null), true);
+  assert.equal(matchesTierFilter(song({ title: 'Verflucht' }), filters({ query: 'zzz' }), null), false);
+});
+
+test('unplayed-only and below-target keep only the tiles they describe', () => {
+  assert.equal(matchesTierFilter(song(), filters({ unplayedOnly: true }), null), true);
+  assert.equal(matchesTierFilter(song({ clearType: 'FAILED' }), filters({ unplayedOnly: true }), null), false);
+
+  const belowHard = filters({ belowTargetOnly: true });
+  assert.equal(matchesTierFilter(song({ clearType: 'CLEAR' }), belowHard, 'HARD_CLEAR'), true);
+  assert.equal(matchesTierFilter(song({ clearType: 'EX_HARD_CLEAR' }), belowHard, 'HARD_CLEAR'), false);
+});
+
+test('the difficulty filter excludes entries without a difficulty', () => {
+  const leggendariaOnly = filters({ difficulties: ['LEGGENDARIA'] });
+
+  assert.equal(matchesTierFilter(song({ difficulty: 'leggendaria' }), leggendariaOnly, null), true);
+  assert.equal(matchesTierFilter(song({ difficulty: 'ANOTHER' }), leggendariaOnly, null), false);
+  assert.equal(matchesTierFilter(song({ difficulty: null }), leggendariaOnly, null), false);
+});
+
+test('a bare title resolved to its only chart passes that chart\'s difficulty filter', () => {
+  const entry = { title: '冥', difficulty: null };
+  const { difficulty } = resolveTierEntryChart(entry, buildLevelChartIndex([{ title: '冥', difficulty: 'LEGGENDARIA' }]));
+  // What tierStore.buildEnrichedTierData keeps on the enriched song.
+  const enriched = song({ ...entry, difficulty });
+
+  assert.equal(matchesTierFilter(enriched, filters({ difficulties: ['LEGGENDARIA'] }), null), true);
+  assert.equal(matchesTierFilter(enriched, filters({ difficulties: ['ANOTHER'] }), null), false);
+});
+
+test('an active filter decides alone, so matched tiles below the target are not dimmed', () => {
+  const view = { filters: filters({ belowTargetOnly: true }), clearTarget: 'HARD_CLEAR' };
+
+  assert.equal(getTileVisibility(song({ clearType: 'CLEAR' }), view), 'visible');
+  assert.equal(getTileVisibility(song({ clearType: 'HARD_CLEAR' }), view), 'dimmed');
+  assert.equal(
+    getTileVisibility(song({ clearType: 'HARD_CLEAR' }), { ...view, filters: { ...view.filters, hideNonMatching: true } }),
+    'hidden',
+  );
+});
+
+test('without a filter, tiles short of the clear target are dimmed', () => {
+  const view = { filters: filters(), clearTarget: 'HARD_CLEAR' };
+
+  assert.equal(getTileVisibility(song({ clearType: 'CLEAR' }), view), 'dimmed');
+  assert.equal(getTileVisibility(song({ clearType: 'HARD_CLEAR' }), view), 'visible');
+  assert.equal(getTileVisibility(song({ clearType: 'CLEAR' }), { ...view, clearTarget: null }), 'visible');
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { layoutTierImage } from '../src/utils/tierImage.js';
+
+// 10px per character, so a 28-character title makes a 296px tile (with
+// padding) and three of them fill the 1016px content width.
+const measure = (text) => text.length * 10;
+const song = (title, clearType = 'NO_PLAY') => ({ title, difficulty: null, clearType });
+const wide = (n, clearType) => song(String(n).repeat(28), clearType);
+
+test('tiles wrap onto a new line once the row is full', () => {
+  const { rows } = layoutTierImage([{ tier: 'S', songs: [1, 2, 3, 4].map((n) => wide(n)) }], measure);
+  const [first, , third, fourth] = rows[0].tiles;
+
+  assert.equal(third.y, first.y);
+  assert.equal(fourth.x, first.x);
+  assert.equal(fourth.y, first.y + 30);
+});
+
+test('row height follows the number of wrapped lines and stacks the rows', () => {
+  const { rows, height } = layoutTierImage([
+    { tier: 'S', songs: [1, 2, 3, 4].map((n) => wide(n)) },
+    { tier: 'A', songs: [wide(5)] },
+    { tier: 'B', songs: [] },
+  ], measure);
+
+  assert.deepEqual(rows.map((row) => row.height), [72, 56, 56]);
+  assert.equal(rows[1].y, rows[0].y + 72);
+  assert.equal(rows[2].y, rows[1].y + 56);
+  assert.equal(height, rows[2].y + 56 + 36 + 24);
+});
+
+test('a label too wide for one tile is shortened with an ellipsis', () => {
+  const { rows } = layoutTierImage([{ tier: 'S', songs: [song('x'.repeat(60))] }], measure);
+  const [tile] = rows[0].tiles;
+
+  assert.ok(tile.label.endsWith('…'));
+  assert.ok(tile.width <= 320);
+});
+
+test('cleared counts and dimming follow the clear target', () => {
+  const tierData = [{ tier: 'S', songs: [song('a', 'EASY_CLEAR'), song('b', 'HARD_CLEAR'), song('c', 'FAILED')] }];
+
+  const plain = layoutTierImage(tierData, measure).rows[0];
+  assert.equal(plain.cleared, 2);
+  assert.equal(plain.total, 3);
+  assert.ok(plain.tiles.every((tile) => !tile.dimmed));
+
+  const hard = layoutTierImage(tierData, measure, 'HARD_CLEAR').rows[0];
+  assert.equal(hard.cleared, 1);
+  assert.deepEqual(hard.tiles.map((tile) => tile.dimmed), [true, false, true]);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { lintTierEntries } from '../src/utils/tierLint.js';
+
+const context = {
+  masterSongs: [
+    { title: 'Alpha', difficulty: 'ANOTHER' },
+    { title: 'Beta', difficulty: 'ANOTHER' },
+  ],
+  otherLevelSongs: [{ title: 'Eleven', difficulty: 'ANOTHER', level: 11 }],
+  level: 12,
+  tiers: ['S', 'A'],
+  categories: ['地力', '個人差'],
+  defaultDifficulty: 'ANOTHER',
+};
+
+const rulesOf = (issues) => issues.map((issue) => `${issue.rule}:${issue.title}`);
+
+test('a clean table has no issues', () => {
+  assert.deepEqual(lintTierEntries([
+    { title: 'Alpha', difficulty: 'ANOTHER', category: '地力', tier: 'S' },
+    { title: 'Beta', difficulty: 'ANOTHER', category: '個人差', tier: 'A' },
+  ], context), []);
+});
+
+test('a chart from another level is a level mismatch, not an unknown title', () => {
+  const issues = lintTierEntries([
+    { title: 'Eleven', difficulty: 'ANOTHER', category: '地力', tier: 'S' },
+    { title: 'Nowhere', difficulty: 'ANOTHER', category: '地力', tier: 'S' },
+  ], context);
+
+  assert.deepEqual(rulesOf(issues), ['UNKNOWN_TITLE:Nowhere', 'LEVEL_MISMATCH:Eleven']);
+  assert.match(issues[1].message, /Lv\.11/);
+});
+
+test('a chart with no difficulty is flagged and looked up as the default', () => {
+  assert.deepEqual(rulesOf(lintTierEntries([
+    { title: 'Alpha', difficulty: null, category: '地力', tier: 'S' },
+  ], context)), ['MISSING_DIFFICULTY:Alpha']);
+});
+
+test('duplicates, unknown tiers and legacy categories are reported in rule order', () => {
+  const issues = lintTierEntries([
+    { title: 'Alpha', difficulty: 'ANOTHER', category: '地力', tier: 'S' },
+    { title: 'Alpha', difficulty: 'ANOTHER', category: '地力', tier: 'Z' },
+    { title: 'Beta', difficulty: 'ANOTHER', category: 'Made Up', tier: 'A' },
+  ], context);
+
+  assert.deepEqual(rulesOf(issues), ['DUPLICATE_CHART:Alpha', 'UNKNOWN_TIER:Alpha', 'UNKNOWN_CATEGORY:Beta']);
+  assert.match(issues[0].message, /2 times: 地力 S, 地力 Z/);
+});
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_TIER_META, getLevelsFor, normalizeTierMeta, resolveSelectableLevel } from '../src/utils/tierMeta.js';
+
+test('a missing or malformed response keeps the defaults', () => {
+  assert.equal(normalizeTierMeta(null), DEFAULT_TIER_META);
+  assert.deepEqual(normalizeTierMeta({ levels: 'x', tiers: [], categories: null }), DEFAULT_TIER_META);
+});
+
+test('one level list applies to both play styles, sorted and deduplicated', () => {
+  const meta = normalizeTierMeta({ levels: ['12', 11, 11, 0, 'x'] });
+
+  assert.deepEqual(meta.levels, { SP: [11, 12], DP: [11, 12] });
+});
+
+test('levels keyed by play style fall back per style', () => {
+  const meta = normalizeTierMeta({ levels: { SP: [9, 12] } });
+
+  assert.deepEqual(getLevelsFor(meta, 'SP'), [9, 12]);
+  assert.deepEqual(getLevelsFor(meta, 'DP'), DEFAULT_TIER_META.levels.DP);
+  assert.deepEqual(getLevelsFor(meta, 'DOUBLE'), []);
+});
+
+test('tiers are trimmed and categories normalized', () => {
+  const meta = normalizeTierMeta({ tiers: [' S ', '', 'A'], categories: ['地力'] });
+
+  assert.deepEqual(meta.tiers, ['S', 'A']);
+  assert.deepEqual(meta.categories, ['地力']);
+});
+
+test('a level without a table falls back to the highest one', () => {
+  assert.equal(resolveSelectableLevel([10, 11, 12], 11), 11);
+  assert.equal(resolveSelectableLevel([8, 9], 12), 9);
+  assert.equal(resolveSelectableLevel([], 12), 12);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { recommendNextCharts, STUCK_PLAY_COUNT } from '../src/utils/tierRecommend.js';
+
+const tierOrder = ['S', 'A', 'B'];
+const song = (title, tier, clearType, playCount = 1) => ({ title, tier, clearType, playCount });
+const row = (tier, songs) => ({ tier, songs });
+
+test('below-target suggestions start from the easiest tier', () => {
+  const { belowTarget } = recommendNextCharts([
+    row('S', [song('s1', 'S', 'FAILED')]),
+    row('A', [song('a1', 'A', 'HARD_CLEAR'), song('a2', 'A', 'CLEAR')]),
+    row('B', [song('b1', 'B', 'EASY_CLEAR')]),
+  ], { clearTarget: 'HARD_CLEAR', tierOrder });
+
+  assert.deepEqual(belowTarget.map((s) => s.title), ['b1', 'a2', 's1']);
+});
+
+test('catch-up compares against the majority lamp of the next harder tier', () => {
+  const { catchUp } = recommendNextCharts([
+    row('S', [song('s1', 'S', 'HARD_CLEAR'), song('s2', 'S', 'HARD_CLEAR'), song('s3', 'S', 'CLEAR')]),
+    // A's own majority is EASY_CLEAR; only S decides what A is behind on.
+    row('A', [song('a1', 'A', 'CLEAR'), song('a2', 'A', 'EASY_CLEAR'), song('a3', 'A', 'EASY_CLEAR')]),
+  ], { tierOrder });
+
+  assert.deepEqual(catchUp.map((s) => [s.title, s.nextClearType]), [['a1', 'HARD_CLEAR']]);
+});
+
+test('the hardest tier has nothing above it to catch up with', () => {
+  const { catchUp } = recommendNextCharts([
+    row('S', [song('s1', 'S', 'HARD_CLEAR'), song('s2', 'S', 'CLEAR')]),
+  ], { tierOrder });
+
+  assert.deepEqual(catchUp, []);
+});
+
+test('stuck charts are short of the goal after many plays, most played first', () => {
+  const { stuck } = recommendNextCharts([
+    row('A', [
+      song('many', 'A', 'CLEAR', STUCK_PLAY_COUNT + 5),
+      song('enough', 'A', 'CLEAR', STUCK_PLAY_COUNT),
+      song('few', 'A', 'CLEAR', STUCK_PLAY_COUNT - 1),
+      song('done', 'A', 'HARD_CLEAR', 50),
+    ]),
+  ], { clearTarget: 'HARD_CLEAR', tierOrder });
+
+  assert.deepEqual(stuck.map((s) => s.title), ['many', 'enough']);
+});
+
+test('rows are ranked by their band label even when songs carry no tier', () => {
+  const { belowTarget } = recommendNextCharts([
+    row('地力 B', [{ title: 'b1', clearType: 'FAILED' }]),
+    row('地力 S', [song('s1', 'S', 'FAILED')]),
+    row('個人差 A', [{ title: 'a1', clearType: 'FAILED' }]),
+  ], { tierOrder });
+
+  assert.deepEqual(belowTarget.map((s) => s.title), ['b1', 'a1', 's1']);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseTierCsv,
+  parseTierJson,
+  serializeTierCsv,
+  serializeTierJson,
+  validateTierImport,
+} from '../src/utils/tierTransfer.js';
+
+const entries = [
+  { title: 'Alpha', difficulty: 'ANOTHER', category: '地力', tier: 'S', sortOrder: 3 },
+  { title: 'Beta, the "Remix"', difficulty: 'LEGGENDARIA', category: '個人差', tier: 'A+' },
+  { title: 'Gamma\nsecond line', difficulty: 'HYPER', category: '地力', tier: 'F' },
+  { title: 'Unassigned', difficulty: 'ANOTHER', category: null, tier: null },
+];
+
+const withoutSortOrder = entries.map(({ title, difficulty, category, tier }) => ({ title, difficulty, category, tier }));
+
+test('JSON export parses back to the same entries, without sortOrder', () => {
+  assert.deepEqual(parseTierJson(serializeTierJson(entries)), { entries: withoutSortOrder, error: null });
+});
+
+test('CSV export parses back to the same entries through commas, quotes and newlines', () => {
+  const csv = serializeTierCsv(entries);
+
+  assert.ok(csv.startsWith('\uFEFFtitle,difficulty,category,tier\r\n'));
+  assert.ok(csv.includes('"Beta, the ""Remix"""'));
+  assert.deepEqual(parseTierCsv(csv), { entries: withoutSortOrder, error: null });
+});
+
+test('CSV columns are found by header name, in any order and next to extra columns', () => {
+  const { entries: parsed } = parseTierCsv('\uFEFFTier,Note,Title\nS,keep,Alpha\n,,\n');
+
+  assert.deepEqual(parsed, [{ title: 'Alpha', difficulty: null, category: null, tier: 'S' }]);
+});
+
+test('malformed files are reported instead of parsed', () => {
+  assert.match(parseTierCsv('title,difficulty\nAlpha,ANOTHER\n').error, /tier/);
+  assert.ok(parseTierJson('{ not json').error);
+  assert.ok(parseTierJson('{"title":"Alpha"}').error);
+});
+
+test('the validation report sorts out unknown charts, unknown sections and duplicates', () => {
+  const report = validateTierImport([
+    { title: 'Alpha', difficulty: null, category: null, tier: 'S' },
+    { title: 'Alpha', difficulty: 'ANOTHER', category: '地力', tier: 'A' },
+    { title: 'Beta', difficulty: 'LEGGENDARIA', category: '地力', tier: 'Z' },
+    { title: 'Nowhere', difficulty: 'ANOTHER', category: '地力', tier: 'S' },
+    { title: null, difficulty: null, category: null, tier: 'S' },
+  ], {
+    masterSongs: [{ title: 'Alpha', difficulty: 'ANOTHER' }, { title: 'Beta', difficulty: 'LEGGENDARIA' }],
+    tiers: ['S', 'A'],
+    categories: ['地力', '個人差'],
+    defaultDifficulty: 'ANOTHER',
+  });
+
+  // The first Alpha takes the default difficulty and the first category.
+  assert.deepEqual(report.entries[0], { title: 'Alpha', difficulty: 'ANOTHER', category: '地力', tier: 'S' });
+  assert.deepEqual(report.duplicates.map((entry) => entry.tier), ['A']);
+  assert.deepEqual(report.unknownSections.map((entry) => entry.title), ['Beta']);
+  assert.deepEqual(report.unknownTitles.map((entry) => entry.title), ['Nowhere']);
+  assert.deepEqual(report.knownEntries.map((entry) => entry.title), ['Alpha', 'Beta']);
+});
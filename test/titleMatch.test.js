@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareTitles, findTitleMatches } from '../src/utils/titleMatch.js';
+
+test('titles equal after NFKC, case and whitespace folding are a normalized match', () => {
+  assert.deepEqual(compareTitles('ＦＡＸ　ＭＡＣＨＩＮＥ', 'fax machine'), { reason: 'normalized', score: 1 });
+});
+
+test('a version suffix is a prefix match, but only for prefixes of 4+ characters', () => {
+  const match = compareTitles('Timepiece phase II', 'Timepiece phase II (CN Ver.)');
+
+  assert.equal(match.reason, 'prefix');
+  assert.ok(match.score > 0.5 && match.score < 1);
+  assert.equal(compareTitles('Ray', 'Rayzer'), null);
+});
+
+test('near-identical spellings are similar; anything under 80% is no match', () => {
+  assert.equal(compareTitles('Colorful Cookie', 'Colourful Cookie').reason, 'similar');
+  assert.equal(compareTitles('Alpha', 'Omega'), null);
+  assert.equal(compareTitles('', 'Alpha'), null);
+});
+
+test('each orphan gets its best unclaimed master song of the same difficulty, once', () => {
+  const entries = [
+    { title: 'Colourful Cookie', difficulty: 'ANOTHER' },
+    { title: 'colorful cookie', difficulty: 'ANOTHER' },
+    { title: 'Exact', difficulty: 'ANOTHER' },
+    { title: 'Legg Only', difficulty: null },
+  ];
+  const masterSongs = [
+    { title: 'Colorful Cookie', difficulty: 'ANOTHER' },
+    { title: 'Exact', difficulty: 'ANOTHER' },
+    { title: 'Legg Only', difficulty: 'LEGGENDARIA' },
+  ];
+
+  const matches = findTitleMatches(entries, masterSongs, { defaultDifficulty: 'ANOTHER' });
+
+  // The normalized spelling beats the merely similar one for the same song.
+  assert.deepEqual(matches.map(({ entry, song, reason }) => [entry.title, song.title, reason]), [
+    ['colorful cookie', 'Colorful Cookie', 'normalized'],
+  ]);
+});
+
+test('an entry without a difficulty is matched as the default difficulty', () => {
+  const matches = findTitleMatches(
+    [{ title: 'Alpha', difficulty: null }],
+    [{ title: 'Alpha', difficulty: 'ANOTHER' }],
+    { defaultDifficulty: 'ANOTHER' }
+  );
+
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].reason, 'normalized');
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_SCORE_FILTERS,
+  DEFAULT_SCORE_PAGINATION,
+  DEFAULT_TIER_VIEW,
+  buildScoreQuery,
+  buildTierQuery,
+  parseScoreQuery,
+  parseTierQuery,
+} from '../src/utils/viewQuery.js';
+
+test('score filters round-trip through the query string with a 1-indexed page', () => {
+  const state = {
+    filters: { playStyle: 'SP', level: '12', chartType: 'ANOTHER', clearType: 'HARD_CLEAR' },
+    pagination: { page: 2, size: 50, sort: 'bestMissCount,desc' },
+  };
+  const query = buildScoreQuery(state);
+
+  assert.equal(query.get('page'), '3');
+  assert.deepEqual(parseScoreQuery(new URLSearchParams(query.toString())), state);
+});
+
+test('default score state keeps a bare URL', () => {
+  assert.equal(buildScoreQuery({ filters: DEFAULT_SCORE_FILTERS, pagination: DEFAULT_SCORE_PAGINATION }).toString(), '');
+});
+
+test('malformed score params fall back to their defaults', () => {
+  const parsed = parseScoreQuery(new URLSearchParams('level=99&page=0&size=5000&sort=DROP%20TABLE&playStyle=xx'));
+
+  assert.deepEqual(parsed, { filters: DEFAULT_SCORE_FILTERS, pagination: DEFAULT_SCORE_PAGINATION });
+});
+
+test('tier view round-trips and omits defaults', () => {
+  const view = { selectedLevel: 11, selectedPlayStyle: 'DP', viewMode: 'list' };
+
+  assert.equal(buildTierQuery(view).toString(), 'level=11&playStyle=DP&view=list');
+  assert.deepEqual(parseTierQuery(buildTierQuery(view)), view);
+  assert.equal(buildTierQuery(DEFAULT_TIER_VIEW).toString(), '');
+  assert.deepEqual(parseTierQuery(new URLSearchParams('level=abc&view=table')), DEFAULT_TIER_VIEW);
+});